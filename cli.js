@@ -1,167 +1,28 @@
 #!/usr/bin/env node
-const { spawn, spawnSync } = require('child_process');
-const http = require('http');
-const path = require('path');
 const fs = require('fs');
-const readline = require('readline');
+const path = require('path');
 
 // Node 24+ prints a DeprecationWarning when spawning with `shell: true` and args.
 // This CLI intentionally uses shell execution on Windows for `.cmd` shims in
 // node_modules/.bin; suppressing DeprecationWarnings keeps output readable.
 process.noDeprecation = true;
 
-const { readExpoProtocols, setupLinuxTempDesktopProtocolHandlers } = require('./lib/linux-dev-deeplinks');
-
-async function bundleElectronMainIfNeeded({ entryFile, outFile, projectRoot }) {
-    // Allow disabling bundling for debugging/workarounds.
-    const disabled = String(process.env.EXPO_ELECTRON_NO_BUNDLE_MAIN || '').toLowerCase();
-    if (disabled === '1' || disabled === 'true' || disabled === 'yes') {
-        console.log('Packaging: skipping main bundling (EXPO_ELECTRON_NO_BUNDLE_MAIN set)');
-        return { bundled: false, entry: entryFile };
-    }
-
-    let esbuild;
-    try {
-        esbuild = require('esbuild');
-    } catch (e) {
-        console.error('Packaging: missing esbuild dependency in expo-electron.');
-        console.error('Install deps at project root (or re-install expo-electron): `npm install`');
-        throw e;
-    }
-
-    if (!fs.existsSync(entryFile)) {
-        throw new Error('Packaging: cannot bundle missing entry: ' + entryFile);
-    }
-
-    console.log('Packaging: bundling Electron main', entryFile, '->', outFile);
-    await esbuild.build({
-        entryPoints: [entryFile],
-        outfile: outFile,
-        bundle: true,
-        platform: 'node',
-        format: 'cjs',
-        target: ['node22'],
-        absWorkingDir: projectRoot,
-        logLevel: 'info',
-        sourcemap: false,
-        // Never bundle Electron itself or native addons.
-        external: ['electron', '*.node'],
-        // Keep runtime semantics similar to Node/Electron.
-        define: {
-            'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'production'),
-        },
-    });
-
-    return { bundled: true, entry: outFile };
-}
-
-async function bundleElectronPreloadIfNeeded({ entryFile, outFile, projectRoot }) {
-    // Allow disabling bundling for debugging/workarounds.
-    const disabled = String(process.env.EXPO_ELECTRON_NO_BUNDLE_PRELOAD || '').toLowerCase();
-    if (disabled === '1' || disabled === 'true' || disabled === 'yes') {
-        console.log('Packaging: skipping preload bundling (EXPO_ELECTRON_NO_BUNDLE_PRELOAD set)');
-        return { bundled: false, entry: entryFile };
-    }
-
-    let esbuild;
-    try {
-        esbuild = require('esbuild');
-    } catch (e) {
-        console.error('Packaging: missing esbuild dependency in expo-electron.');
-        console.error('Install deps at project root (or re-install expo-electron): `npm install`');
-        throw e;
-    }
-
-    if (!fs.existsSync(entryFile)) {
-        throw new Error('Packaging: cannot bundle missing preload entry: ' + entryFile);
-    }
+// The CLI is a thin wrapper over lib/api.js: it parses argv, prints results
+// and turns ExpoElectronError#exitCode into the process exit code.
+const api = require('./lib/api');
+const { colorize } = require('./lib/exec');
+const { formatFuses } = require('./lib/fuses');
+const { formatAutolinkReport } = require('./lib/autolink');
 
-    console.log('Packaging: bundling Electron preload', entryFile, '->', outFile);
-    await esbuild.build({
-        entryPoints: [entryFile],
-        outfile: outFile,
-        bundle: true,
-        platform: 'node',
-        format: 'cjs',
-        target: ['node22'],
-        absWorkingDir: projectRoot,
-        logLevel: 'info',
-        sourcemap: false,
-        // Never bundle Electron itself or native addons.
-        external: ['electron', '*.node'],
-        define: {
-            'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'production'),
-        },
-    });
-
-    return { bundled: true, entry: outFile };
-}
-
-// Determine project root: walk upwards until we find a package.json whose
-// `name` differs from this package (expo-electron). This allows the package
-// to be installed under `node_modules` or `sub_modules` during development.
-function findProjectRoot() {
-    const selfPkgPath = path.join(__dirname, 'package.json');
-    let selfName = null;
-    try { selfName = JSON.parse(fs.readFileSync(selfPkgPath, 'utf8')).name; } catch (e) { /* ignore */ }
-    let cur = path.resolve(__dirname);
-    for (let i = 0; i < 6; i++) {
-        cur = path.dirname(cur);
-        const p = path.join(cur, 'package.json');
-        if (fs.existsSync(p)) {
-            try {
-                const name = JSON.parse(fs.readFileSync(p, 'utf8')).name;
-                if (name && name !== selfName) return cur;
-            } catch (e) { /* ignore parse errors */ }
-        }
-    }
-    // FALLBACK: two levels up (common when installed in node_modules)
-    // If the package root isn't found within the upward walk, fall back
-    // to a conservative two-levels-up default.
-    return path.resolve(__dirname, '..', '..');
-}
-
-const PROJECT_ROOT = findProjectRoot();
-const ROOT_NODE_BIN = path.join(PROJECT_ROOT, 'node_modules', '.bin');
-
-const EXPO_CMD = path.join(ROOT_NODE_BIN, process.platform === 'win32' ? 'expo.cmd' : 'expo');
-const ELECTRON_CMD = path.join(ROOT_NODE_BIN, process.platform === 'win32' ? 'electron.cmd' : 'electron');
-const NPM_CMD = process.platform === 'win32' ? 'npm.cmd' : 'npm';
-
-const DEV_URL = process.env.EXPO_WEB_URL || 'http://localhost:8081';
-const POLL_INTERVAL = 500;
-const TIMEOUT_MS = 120000;
-
-function getExpoSpawnInfo() {
-    // On Windows, spawning `expo.cmd` uses a shell wrapper which can make
-    // signal propagation and process-tree cleanup unreliable. Prefer running
-    // Expo via Node directly when possible.
-    const expoNodeCli = path.join(PROJECT_ROOT, 'node_modules', 'expo', 'bin', 'cli');
-    if (process.platform === 'win32' && fs.existsSync(expoNodeCli)) {
-        return {
-            cmd: process.execPath,
-            argsPrefix: [expoNodeCli],
-            shell: false,
-            display: `${process.execPath} ${expoNodeCli}`,
-        };
-    }
-    return {
-        cmd: EXPO_CMD,
-        argsPrefix: [],
-        shell: process.platform === 'win32' ? true : false,
-        display: EXPO_CMD,
-    };
-}
-
-function parseMakeArg() {
-    const argv = process.argv.slice(2);
+// Comma-separated list flag: `--flag a,b` or `--flag=a,b`.
+function parseListArg(argv, flag) {
     for (let i = 0; i < argv.length; i++) {
         const a = argv[i];
-        if (a.startsWith('--make=')) {
+        if (a.startsWith(`${flag}=`)) {
             const val = a.split('=')[1] || '';
             return val.split(',').map((s) => s.trim()).filter(Boolean);
         }
-        if (a === '--make') {
+        if (a === flag) {
             const v = argv[i + 1];
             if (v && !v.startsWith('--')) return v.split(',').map((s) => s.trim()).filter(Boolean);
         }
@@ -169,1122 +30,158 @@ function parseMakeArg() {
     return null;
 }
 
-function waitForUrl(url, timeoutMs = TIMEOUT_MS) {
-    const start = Date.now();
-    return new Promise((resolve, reject) => {
-        (function poll() {
-            const req = http.get(url, (res) => {
-                res.resume();
-                resolve(url);
-            });
-            req.on('error', () => {
-                if (Date.now() - start > timeoutMs) {
-                    reject(new Error('timeout waiting for ' + url));
-                } else {
-                    setTimeout(poll, POLL_INTERVAL);
-                }
-            });
-            req.setTimeout(2000, () => req.abort());
-        })();
-    });
-}
-
-function copyRecursiveSkipExisting(src, dest, skipFiles = []) {
-    const stat = fs.statSync(src);
-    if (stat.isDirectory()) {
-        if (!fs.existsSync(dest)) fs.mkdirSync(dest, { recursive: true });
-        for (const entry of fs.readdirSync(src)) {
-            const s = path.join(src, entry);
-            const d = path.join(dest, entry);
-            if (skipFiles.includes(entry)) {
-                console.log('Prebuild: skipping', entry, 'per skip list');
-                continue;
-            }
-            if (fs.existsSync(d)) {
-                // If destination exists and is a directory, recurse into it to
-                // skip any existing children but copy missing ones. If it's a
-                // file, skip and warn (do not overwrite).
-                const dstStat = fs.statSync(d);
-                const srcStat = fs.statSync(s);
-                if (dstStat.isDirectory() && srcStat.isDirectory()) {
-                    copyRecursiveSkipExisting(s, d, skipFiles);
-                } else {
-                    console.log('Prebuild: skipping existing', d);
-                }
-            } else {
-                // Destination missing — perform a full copy
-                if (fs.statSync(s).isDirectory()) {
-                    copyRecursiveSkipExisting(s, d, skipFiles);
-                } else {
-                    fs.copyFileSync(s, d);
-                    console.log('Prebuild: copied', d);
-                }
-            }
-        }
-    } else if (stat.isFile()) {
-        if (fs.existsSync(dest)) {
-            console.log('Prebuild: skipping existing', dest);
-        } else {
-            fs.copyFileSync(src, dest);
-            console.log('Prebuild: copied', dest);
-        }
-    }
-}
-
-function copyRecursiveFilteredSkipExisting(src, dest, filterFn) {
-    const stat = fs.statSync(src);
-    if (stat.isDirectory()) {
-        if (!fs.existsSync(dest)) fs.mkdirSync(dest, { recursive: true });
-        for (const entry of fs.readdirSync(src)) {
-            const s = path.join(src, entry);
-            const d = path.join(dest, entry);
-            const st = fs.statSync(s);
-
-            if (st.isDirectory()) {
-                if (fs.existsSync(d)) {
-                    const dstStat = fs.statSync(d);
-                    if (dstStat.isDirectory()) {
-                        copyRecursiveFilteredSkipExisting(s, d, filterFn);
-                    } else {
-                        console.log('Prebuild: skipping existing', d);
-                    }
-                } else {
-                    copyRecursiveFilteredSkipExisting(s, d, filterFn);
-                }
-                continue;
-            }
-
-            if (typeof filterFn === 'function' && !filterFn(s, d)) continue;
-            if (fs.existsSync(d)) {
-                console.log('Prebuild: skipping existing', d);
-            } else {
-                const dpar = path.dirname(d);
-                if (!fs.existsSync(dpar)) fs.mkdirSync(dpar, { recursive: true });
-                fs.copyFileSync(s, d);
-                console.log('Prebuild: copied', d);
-            }
-        }
-    } else if (stat.isFile()) {
-        if (typeof filterFn === 'function' && !filterFn(src, dest)) return;
-        if (fs.existsSync(dest)) {
-            console.log('Prebuild: skipping existing', dest);
-        } else {
-            const dpar = path.dirname(dest);
-            if (!fs.existsSync(dpar)) fs.mkdirSync(dpar, { recursive: true });
-            fs.copyFileSync(src, dest);
-            console.log('Prebuild: copied', dest);
-        }
-    }
-}
-
-// Check for an executable in PATH using Node APIs only (cross-platform).
-function commandExistsInPath(cmd) {
-    // On Windows, env var casing can be `Path` instead of `PATH`.
-    const PATH = process.env.PATH || process.env.Path || '';
-    const parts = PATH.split(path.delimiter).filter(Boolean);
-    if (process.platform === 'win32') {
-        const pathext = (process.env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';');
-        const hasExt = Boolean(path.extname(cmd));
-        for (const dir of parts) {
-            // If caller already provided an extension (e.g. `npm.cmd`), check it directly.
-            if (hasExt) {
-                const candidate = path.join(dir, cmd);
-                try { if (fs.existsSync(candidate)) return true; } catch (e) { }
-                continue;
-            }
-
-            for (const ext of pathext) {
-                const candidate = path.join(dir, cmd + ext);
-                try { if (fs.existsSync(candidate)) return true; } catch (e) { }
-            }
-        }
-        return false;
-    }
-    for (const dir of parts) {
-        const candidate = path.join(dir, cmd);
-        try { fs.accessSync(candidate, fs.constants.X_OK); return true; } catch (e) { }
-    }
-    return false;
-}
-
-function runCommand(cmdPath, args, options = {}) {
-    return new Promise((resolve, reject) => {
-        /** @type {import('child_process').SpawnOptions} */
-        const spawnOptions = { stdio: ['inherit', 'inherit', 'inherit'], ...options };
-        if (spawnOptions.shell === undefined && process.platform === 'win32') spawnOptions.shell = true;
-        const p = spawn(cmdPath, args, spawnOptions);
-        p.on('error', (err) => reject(err));
-        p.on('exit', (code) => code === 0 ? resolve(0) : reject(new Error('exit ' + code)));
-    });
-}
-
-function supportsAnsi() {
-    // Basic heuristic: respect NO_COLOR; avoid ANSI when not a TTY.
-    if (process.env.NO_COLOR) return false;
-    return Boolean(process.stdout && process.stdout.isTTY);
-}
-
-function colorize(kind, text) {
-    if (!supportsAnsi()) return text;
-    const reset = '\x1b[0m';
-    const codes = {
-        dim: '\x1b[2m',
-        red: '\x1b[31m',
-        green: '\x1b[32m',
-        yellow: '\x1b[33m',
-        cyan: '\x1b[36m',
-    };
-    const c = codes[kind];
-    if (!c) return text;
-    return c + text + reset;
-}
-
-function truncateTail(str, maxChars) {
-    const s = String(str || '');
-    if (s.length <= maxChars) return s;
-    return s.slice(s.length - maxChars);
+function parseMakeArg(argv) {
+    return parseListArg(argv, '--make');
 }
 
-function createSpinner({ text = 'building…', stream = process.stdout, startTimeMs = Date.now() } = {}) {
-    const enabled = Boolean(stream && stream.isTTY);
-    const frames = ['-', '\\', '|', '/'];
-    let frameIndex = 0;
-    let lastTick = 0;
-    let started = false;
-    let lastRenderLen = 0;
-
-    function frame() {
-        const elapsedS = ((Date.now() - startTimeMs) / 1000).toFixed(1);
-        return `${frames[frameIndex]} ${text} ${elapsedS}s`;
-    }
-
-    function render() {
-        if (!enabled) return;
-        const s = frame();
-        // Clear previous render (if any), then redraw in-place.
-        readline.clearLine(stream, 0);
-        readline.cursorTo(stream, 0);
-        stream.write(s);
-        lastRenderLen = s.length;
-        started = true;
-    }
-
-    function tick() {
-        if (!enabled) return;
-        const now = Date.now();
-        // Throttle a bit so fast output doesn't spam terminal updates.
-        if (now - lastTick < 60) return;
-        lastTick = now;
-        frameIndex = (frameIndex + 1) % frames.length;
-        render();
-    }
-
-    function stop() {
-        if (!enabled) return;
-        if (!started) return;
-        // Clear spinner line.
-        readline.clearLine(stream, 0);
-        readline.cursorTo(stream, 0);
-        // Avoid leaving the cursor at column 0 with no newline when
-        // subsequent console.log happens.
-        stream.write(' '.repeat(Math.min(lastRenderLen, 200)));
-        readline.clearLine(stream, 0);
-        readline.cursorTo(stream, 0);
-        started = false;
-        lastRenderLen = 0;
-    }
-
-    return { tick, stop, render };
-}
-
-function runCommandCaptured(cmdPath, args, options = {}) {
-    return new Promise((resolve, reject) => {
-        const maxOutputChars = typeof options.maxOutputChars === 'number' ? options.maxOutputChars : 160_000;
-        const label = options.label || cmdPath;
-        /** @type {import('child_process').SpawnOptions} */
-        const spawnOptions = {
-            cwd: options.cwd,
-            env: options.env,
-            windowsHide: true,
-            stdio: ['ignore', 'pipe', 'pipe'],
-        };
-        if (options.shell !== undefined) spawnOptions.shell = options.shell;
-        if (spawnOptions.shell === undefined && process.platform === 'win32') spawnOptions.shell = true;
-
-        const p = spawn(cmdPath, args, spawnOptions);
-        let combined = '';
-
-        const spinner = options.spinnerText
-            ? createSpinner({ text: options.spinnerText, stream: process.stdout, startTimeMs: Date.now() })
-            : null;
-        if (spinner) spinner.render();
-
-        const onData = (buf) => {
-            combined = truncateTail(combined + String(buf || ''), maxOutputChars);
-            if (spinner) spinner.tick();
-        };
-        if (p.stdout) p.stdout.on('data', onData);
-        if (p.stderr) p.stderr.on('data', onData);
-
-        p.on('error', (err) => reject(err));
-        p.on('close', (code, signal) => {
-            if (spinner) spinner.stop();
-            if (code === 0) return resolve({ code: 0, output: combined });
-            const msg = signal
-                ? `${label} failed (signal ${signal})`
-                : `${label} failed (exit ${code})`;
-            const e = new Error(msg);
-            e.code = code;
-            e.signal = signal;
-            e.cmd = cmdPath;
-            e.args = args;
-            e.cwd = spawnOptions.cwd;
-            e.output = combined;
-            reject(e);
-        });
-    });
-}
-
-function readJsonIfExists(p) {
-    try {
-        if (!fs.existsSync(p)) return null;
-        return JSON.parse(fs.readFileSync(p, 'utf8'));
-    } catch (e) {
-        return null;
-    }
-}
-
-function listTopLevelDependencies(projectRoot) {
-    const pkgPath = path.join(projectRoot, 'package.json');
-    const pkg = readJsonIfExists(pkgPath) || {};
-    const deps = Object.assign({}, pkg.dependencies || {}, pkg.devDependencies || {});
-    return Object.keys(deps || {});
-}
-
-function findAutolinkableModuleRoots(projectRoot) {
-    // Mirror the autolinker behavior: only consider top-level declared deps,
-    // and only those that have an `electron/` entrypoint.
-    const names = listTopLevelDependencies(projectRoot);
-    const results = [];
-    for (const name of names) {
-        const modRoot = path.join(projectRoot, 'node_modules', name);
-        try {
-            const st = fs.statSync(modRoot);
-            if (!st.isDirectory()) continue;
-        } catch (e) {
-            continue;
-        }
-        const electronDir = path.join(modRoot, 'electron');
-        const electronIndex = path.join(electronDir, 'index.js');
-        if (!fs.existsSync(electronDir) || !fs.existsSync(electronIndex)) continue;
-        results.push({ name, modRoot, electronDir });
-    }
-    return results;
-}
-
-function getBuildWorkspacesForModule(modRoot) {
-    // Only consider `electron/package.json` if it defines a build script.
-    const candidates = [];
-    const electronPkgPath = path.join(modRoot, 'electron', 'package.json');
-    const electronPkg = readJsonIfExists(electronPkgPath);
-    if (electronPkg && electronPkg.scripts && typeof electronPkg.scripts.build === 'string' && electronPkg.scripts.build.trim()) {
-        candidates.push(path.dirname(electronPkgPath));
-    }
-    // Deduplicate
-    return Array.from(new Set(candidates));
-}
-
-async function buildElectronNativeModules(projectRoot) {
-    const argv = process.argv.slice(2);
-    const verbose = ['1', 'true', 'yes'].includes(String(process.env.EXPO_ELECTRON_VERBOSE || '').toLowerCase()) || argv.includes('--verbose') || argv.includes('-v');
-    const listOnly = argv.includes('--list') || argv.includes('-l');
-    const disabled = String(process.env.EXPO_ELECTRON_NO_NATIVE_BUILD || '').toLowerCase();
-    if (disabled === '1' || disabled === 'true' || disabled === 'yes') {
-        console.log('Native build: skipping (EXPO_ELECTRON_NO_NATIVE_BUILD set)');
-        return;
-    }
-
-    if (!commandExistsInPath(NPM_CMD)) {
-        console.warn('Native build: npm not found in PATH; skipping native module builds.');
-        return;
-    }
-
-    const mods = findAutolinkableModuleRoots(projectRoot);
-    if (!mods.length) {
-        console.log('Native build: no autolinkable electron modules found');
-        return;
-    }
-
-    const buildTargets = [];
-    for (const m of mods) {
-        const workspaces = getBuildWorkspacesForModule(m.modRoot);
-        for (const cwd of workspaces) {
-            buildTargets.push({ name: m.name, cwd });
-        }
-    }
-
-    if (!buildTargets.length) {
-        console.log('Native build: no build scripts found in electron modules');
-        return;
-    }
-
+function parseBuildArgs(argv) {
     // Optional filter for building a single module:
-    // - `expo-electron build <name>` passes the name in argv[1] for that subcommand
-    // - `expo-electron build --module <name>` also supported
+    // - `expo-electron build <name>`
+    // - `expo-electron build --module <name>`
     let onlyModule = null;
     const moduleFlagIdx = argv.indexOf('--module');
     if (moduleFlagIdx !== -1 && argv[moduleFlagIdx + 1] && !argv[moduleFlagIdx + 1].startsWith('--')) {
         onlyModule = argv[moduleFlagIdx + 1];
     }
-    // When invoked via `expo-electron build <name>`, argv looks like: ['build', '<name>', ...]
-    if (!onlyModule && argv[0] === 'build' && argv[1] && !argv[1].startsWith('-')) {
+    // argv looks like: ['build', '<name>', ...]
+    if (!onlyModule && argv[1] && !argv[1].startsWith('-')) {
         onlyModule = argv[1];
     }
-
-    const targets = onlyModule
-        ? buildTargets.filter((t) => String(t.name).toLowerCase() === String(onlyModule).toLowerCase())
-        : buildTargets;
-    if (onlyModule && targets.length === 0) {
-        const known = Array.from(new Set(buildTargets.map((t) => t.name))).sort();
-        throw new Error(`Native build: unknown module "${onlyModule}". Known: ${known.join(', ') || '(none)'}`);
-    }
-
-    if (listOnly) {
-        const uniqueMods = Array.from(new Set(targets.map((t) => t.name))).sort();
-        console.log('Native build: discovered', targets.length, 'module workspace(s)' + (onlyModule ? ` (module: ${onlyModule})` : ''));
-        for (const name of uniqueMods) {
-            console.log(colorize('cyan', name));
-            for (const t of targets.filter((x) => x.name === name)) {
-                const rel = path.relative(projectRoot, t.cwd) || t.cwd;
-                console.log('  -', rel);
-            }
-        }
-        return;
-    }
-
-    console.log('Native build: building', targets.length, 'module workspace(s)' + (onlyModule ? ` (module: ${onlyModule})` : ''));
-    for (let i = 0; i < targets.length; i++) {
-        const t = targets[i];
-        const rel = path.relative(projectRoot, t.cwd) || t.cwd;
-        const prefix = `[${i + 1}/${targets.length}]`;
-        const startMs = Date.now();
-        console.log(colorize('cyan', `Native build ${prefix}`), `${t.name}`, colorize('dim', `(${rel})`));
-
-        try {
-            if (verbose) {
-                console.log(colorize('dim', `Running: ${NPM_CMD} run build`));
-                await runCommand(NPM_CMD, ['run', 'build'], { cwd: t.cwd });
-            } else {
-                await runCommandCaptured(NPM_CMD, ['run', 'build'], {
-                    cwd: t.cwd,
-                    label: `${t.name}: npm run build`,
-                    spinnerText: `building ${t.name}`
-                });
-            }
-            const dur = ((Date.now() - startMs) / 1000).toFixed(1);
-            console.log(colorize('green', 'OK'), colorize('dim', `(${dur}s)`));
-        } catch (e) {
-            const dur = ((Date.now() - startMs) / 1000).toFixed(1);
-            console.error(colorize('red', 'FAILED'), colorize('dim', `(${dur}s)`));
-            if (!verbose) {
-                const out = String(e && e.output ? e.output : '');
-                if (out.trim()) {
-                    console.error(colorize('yellow', '--- build output (captured) ---'));
-                    console.error(out.trimEnd());
-                    console.error(colorize('yellow', '--- end build output ---'));
-                } else {
-                    console.error(colorize('yellow', '(no output captured)'));
-                }
-
-                // Windows-specific hint: node-gyp often fails to unlink outputs
-                // when the .node is still loaded by a running Electron/Node process
-                // or locked by antivirus/indexers.
-                if (process.platform === 'win32') {
-                    const lower = out.toLowerCase();
-                    if (lower.includes('eperm') && lower.includes('unlink') && lower.includes('.node')) {
-                        console.error(colorize('yellow', 'Hint (Windows): a previous Electron/Node process may still be using the .node file.'));
-                        console.error(colorize('dim', 'Close the running app, then delete the module\electron\build folder and re-run.'));
-                        console.error(colorize('dim', 'If it persists, temporarily disable AV real-time scanning for the project folder.'));
-                    }
-                }
-                console.error(colorize('dim', 'Tip: re-run with --verbose or set EXPO_ELECTRON_VERBOSE=1 for live logs.'));
-            }
-            throw e;
-        }
-    }
-}
-
-function sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+    return {
+        module: onlyModule,
+        list: argv.includes('--list') || argv.includes('-l'),
+        verbose: argv.includes('--verbose') || argv.includes('-v'),
+        // `--rebuild` forces @electron/rebuild for binding.gyp modules.
+        rebuild: argv.includes('--rebuild') ? true : undefined,
+        arch: parseListArg(argv, '--arch'),
+    };
 }
 
-async function copyFileWithRetries(src, dest, { retries = 12, delayMs = 40 } = {}) {
-    let lastErr = null;
-    for (let i = 0; i <= retries; i++) {
-        try {
-            fs.copyFileSync(src, dest);
-            return true;
-        } catch (e) {
-            lastErr = e;
-            const code = (e && e.code) || '';
-            // Common transient errors on Windows when AV/indexers lock files.
-            const transient = ['EBUSY', 'EPERM', 'EACCES'].includes(String(code));
-            if (!transient || i === retries) break;
-            await sleep(delayMs * Math.max(1, i + 1));
+// `--project-root <dir>` / `--project-root=<dir>` (any position). Returns the
+// remaining argv so commands never see the flag.
+function parseProjectRootArg(argv) {
+    const rest = [];
+    let projectRoot = null;
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a.startsWith('--project-root=')) {
+            projectRoot = a.slice('--project-root='.length);
+        } else if (a === '--project-root') {
+            projectRoot = argv[i + 1] || null;
+            i++;
+        } else {
+            rest.push(a);
         }
     }
-    if (lastErr) throw lastErr;
-    return false;
+    return { projectRoot: projectRoot ? path.resolve(projectRoot) : null, argv: rest };
 }
 
-function spawnExpoWeb() {
-    // Build env without CI so Metro hot-reload remains enabled
-    const env = Object.assign({}, process.env);
-    delete env.CI;
-    env.BROWSER = 'none';
-
-    const expo = getExpoSpawnInfo();
-    if (!fs.existsSync(expo.cmd)) {
-        console.error('Missing expo binary. Run `npm install` at project root:', PROJECT_ROOT);
-        process.exit(2);
-    }
-    console.log('Starting Expo (web) via', expo.display, 'start --web');
-    /** @type {import('child_process').SpawnOptions} */
-    const expoSpawnOpts = { stdio: 'inherit', env, cwd: PROJECT_ROOT, shell: expo.shell };
-    const child = spawn(expo.cmd, [...expo.argsPrefix, 'start', '--web'], expoSpawnOpts);
-    child.on('error', (err) => console.error('Expo process error:', err && err.message));
-    return child;
+function exitWithError(e, prefix) {
+    const msg = e && e.message ? e.message : String(e);
+    if (prefix) console.error(prefix, msg);
+    else console.error(msg);
+    process.exit(api.isExpoElectronError(e) ? e.exitCode : 1);
 }
 
-function spawnElectron(cwd, resolvedUrl) {
-    console.log('Launching Electron in', cwd);
-    const preloadPath = path.join(cwd, 'main', 'preload.js');
-
-    const protocols = readExpoProtocols(PROJECT_ROOT)
-        .map((s) => String(s || '').trim())
-        .filter(Boolean);
-
-    const env = Object.assign({}, process.env, {
-        EXPO_WEB_URL: resolvedUrl || DEV_URL,
-        EXPO_PRELOAD_PATH: preloadPath,
-        NODE_ENV: 'development',
-        // Used by main/main.js to register scheme handlers and to filter argv.
-        EXPO_ELECTRON_PROTOCOLS: protocols.length ? protocols.join(',') : process.env.EXPO_ELECTRON_PROTOCOLS,
-    });
-    const electronEntry = path.join(cwd, 'main', 'main.js');
-    if (!fs.existsSync(ELECTRON_CMD)) {
-        console.error('Missing electron binary. Run `npm install` at project root:', PROJECT_ROOT);
-        process.exit(2);
+function printPrebuildDiff(result) {
+    console.log('Prebuild: template version', result.templateVersion + (result.projectVersion ? `, project generated from ${result.projectVersion}` : ', no template stamp in project'));
+    let differing = 0;
+    for (const r of result.files) {
+        if (r.status === 'same') continue;
+        differing++;
+        console.log(colorize('cyan', `${r.file} (${r.status === 'missing' ? 'missing in project' : 'differs from template'})`));
+        process.stdout.write(r.diff);
     }
-    console.log('Starting Electron via', ELECTRON_CMD, electronEntry);
-    // Give Electron an ignored stdin so it does not steal terminal input from
-    // the Expo process. Keep stdout/stderr inherited so logs still appear.
-    /** @type {import('child_process').SpawnOptions} */
-    const electronSpawnOpts = { stdio: ['ignore', 'inherit', 'inherit'], cwd, env };
-    if (electronSpawnOpts.shell === undefined && process.platform === 'win32') electronSpawnOpts.shell = true;
-    const child = spawn(ELECTRON_CMD, [electronEntry, '--no-sandbox'], electronSpawnOpts);
-    child.on('error', (err) => console.error('Electron process error:', err && err.message));
-    return child;
+    if (!differing) console.log('Prebuild: project files match the template');
 }
 
-async function start() {
-    // Ensure prebuild exists and generate autolink files into it
-    try {
-        prebuild();
-        const projectElectron = path.join(PROJECT_ROOT, 'electron');
-        const autolink = require(path.join(__dirname, 'lib', 'autolink'));
-        // Build native electron modules (per-module `npm run build`) before autolink
-        // so compiled .node artifacts exist for preload + packaging resources.
-        await buildElectronNativeModules(PROJECT_ROOT);
-        autolink.run(PROJECT_ROOT, projectElectron);
-    } catch (e) {
-        console.error('Startup: prebuild/autolink failed:', e && e.message);
-        process.exit(1);
+function printPrebuildUpgrade(result) {
+    for (const r of result.files) {
+        if (r.action === 'unchanged') continue;
+        const color = (r.action === 'conflict' || r.action === 'unresolved') ? 'red' : (r.action === 'kept' ? 'dim' : 'green');
+        const detail = r.action === 'conflict' ? ` (${r.conflicts} conflict${r.conflicts === 1 ? '' : 's'})` : '';
+        console.log('Prebuild:', colorize(color, r.action.padEnd(8)), `electron/${r.file}${detail}`);
     }
-
-    // Start Expo web dev server
-    const expoProc = spawnExpoWeb();
-    await waitForUrl(DEV_URL);
-
-    const projectElectron = path.join(PROJECT_ROOT, 'electron');
-    const cwd = fs.existsSync(projectElectron) ? projectElectron : path.join(__dirname);
-    console.log('Using Electron working directory:', cwd);
-
-    // Linux dev helper: temporarily register x-scheme-handler defaults via a
-    // generated .desktop file, and remove/restore defaults when dev stops.
-    const protocols = readExpoProtocols(PROJECT_ROOT)
-        .map((s) => String(s || '').trim())
-        .filter(Boolean);
-    const electronEntry = path.join(cwd, 'main', 'main.js');
-    const linuxTempDesktop = setupLinuxTempDesktopProtocolHandlers({
-        projectRoot: PROJECT_ROOT,
-        electronCmd: ELECTRON_CMD,
-        electronEntry,
-        electronCwd: cwd,
-        protocols,
-    });
-
-    const electronProc = spawnElectron(cwd);
-
-    // Centralized shutdown handling
-    let isShuttingDown = false;
-    let finalized = false;
-    let livenessInterval = null;
-
-    function alive(p) {
-        if (!p || !p.pid) return false;
-        try { process.kill(p.pid, 0); return true; } catch (e) { return false; }
-    }
-
-    function bothGone() {
-        return !alive(expoProc) && !alive(electronProc);
-    }
-
-    function finalizeExit(code) {
-        if (finalized) return;
-        finalized = true;
-        if (livenessInterval) { clearInterval(livenessInterval); livenessInterval = null; }
-        try { linuxTempDesktop.cleanup(); } catch (e) { }
-        process.exit(typeof code === 'number' ? code : 0);
-    }
-
-    function sendSigint(p, opts = {}) {
-        if (!p || !p.pid) return;
-        try {
-            if (process.platform === 'win32') {
-                // Windows: SIGINT often doesn't propagate, and with `shell:true`
-                // the PID may be a wrapper. Kill the process tree synchronously.
-                try { process.kill(p.pid, 'SIGINT'); } catch (e) { }
-
-                try {
-                    const r1 = spawnSync('taskkill', ['/PID', String(p.pid), '/T', '/F'], { windowsHide: true });
-                    if (r1.error) console.warn('taskkill /PID failed:', r1.error && r1.error.message);
-                } catch (e) {
-                    console.warn('taskkill /PID threw:', e && e.message);
-                }
-
-                // Backup: kill any remaining Electron processes (ONLY when we're
-                // explicitly trying to stop Electron, not when stopping Expo).
-                if (opts && opts.kind === 'electron') {
-                    try {
-                        const r2 = spawnSync('taskkill', ['/IM', 'electron.exe', '/T', '/F'], { windowsHide: true });
-                        if (r2.error) console.warn('taskkill /IM electron.exe failed:', r2.error && r2.error.message);
-                    } catch (e) {
-                        console.warn('taskkill /IM threw:', e && e.message);
-                    }
-                }
-            } else {
-                p.kill('SIGINT');
-            }
-        } catch (e) { }
-    }
-
-    function initiateShutdown(code) {
-        if (isShuttingDown) return;
-        isShuttingDown = true;
-        sendSigint(expoProc, { kind: 'expo' });
-        sendSigint(electronProc, { kind: 'electron' });
-        if (bothGone()) return finalizeExit(code);
-        // fall through and wait for exit events or liveness poll
+    console.log('Prebuild: wrote', result.stampPath);
+    if (result.conflicts.length) {
+        console.error(colorize('yellow', `Prebuild: ${result.conflicts.length} file(s) have conflict markers (<<<<<<< / >>>>>>>); resolve them before running the app.`));
+    } else {
+        console.log('Prebuild: upgrade complete');
     }
-
-    // Handle expo exit: if electron still running, signal it; finalize when both gone
-    expoProc.on('exit', (code) => {
-        console.log('Expo exited', code);
-        if (!isShuttingDown) initiateShutdown(code);
-        if (bothGone()) finalizeExit(code);
-    });
-
-    // Handle electron exit: if expo still running, signal it; finalize when both gone
-    electronProc.on('exit', (code) => {
-        console.log('Electron exited', code);
-        if (!isShuttingDown) initiateShutdown(code);
-        if (bothGone()) finalizeExit(code);
-    });
-
-    // Periodic liveness check to cover edge cases where 'exit' isn't emitted
-    livenessInterval = setInterval(() => {
-        if (bothGone()) finalizeExit(0);
-    }, 250);
-
-    process.on('SIGINT', () => initiateShutdown(0));
-    process.on('SIGTERM', () => initiateShutdown(0));
-    process.on('SIGHUP', () => initiateShutdown(0));
 }
 
-function prebuild() {
-    const target = path.join(PROJECT_ROOT, 'electron');
-    const srcMain = path.join(__dirname, 'main');
-    const tgtMain = path.join(target, 'main');
-
-    if (!fs.existsSync(target)) {
-        console.log('Prebuild: creating', target);
-        fs.mkdirSync(target, { recursive: true });
-    } else {
-        // FALLBACK/PROTECT: target already exists — do not overwrite files.
-        console.log('Prebuild: target already exists at', target, '- will not overwrite existing files.');
+function printDoctorReport(report) {
+    const labels = { pass: colorize('green', 'PASS'), warn: colorize('yellow', 'WARN'), fail: colorize('red', 'FAIL') };
+    console.log('expo-electron doctor', colorize('dim', `(${report.projectRoot})`));
+    for (const c of report.checks) {
+        console.log(`  ${labels[c.status]} ${c.title}` + (c.message ? colorize('dim', ` — ${c.message}`) : ''));
+        if (c.fix && c.status !== 'pass') console.log(colorize('dim', `       fix: ${c.fix}`));
     }
+    const { pass, warn, fail } = report.summary;
+    console.log(`${pass} passed, ${warn} warning(s), ${fail} failed`);
+}
 
-    // Copy template main into target but DO NOT overwrite existing files.
-    if (fs.existsSync(srcMain)) {
-        // Do not copy the template preload into the project's prebuild.
-        // The preload is generated by the autolinker and should not be
-        // overwritten by the template. Skip `preload.js` during copy.
-        copyRecursiveSkipExisting(srcMain, tgtMain, ['preload.js']);
-    } else {
-        console.warn('Prebuild: template main missing at', srcMain);
-    }
-    // Add a .gitignore in the prebuild folder to avoid checking in build outputs
-    try {
-        const gi = path.join(target, '.gitignore');
-        if (!fs.existsSync(gi)) {
-            // Exclude build output, the generated preload entry, and autolink resources
-            fs.writeFileSync(gi, 'build\nmain/preload.js\nelectron-resources.json\n');
-            console.log('Prebuild: wrote', gi);
-        } else {
-            console.log('Prebuild: .gitignore already exists; leaving in place');
-        }
-    } catch (e) {
-        console.error('Prebuild: failed to write .gitignore', e && e.message);
+function printAutolinkReport(report, projectRoot) {
+    const linked = report.modules.filter((m) => m.linked).length;
+    console.log('expo-electron autolink', colorize('dim', `(${projectRoot})`));
+    if (report.modules.length) console.log(formatAutolinkReport(report));
+    for (const key of ['include', 'exclude']) {
+        for (const p of report.unmatched[key]) console.log(colorize('yellow', `  autolink.${key} entry "${p}" matches no declared dependency`));
     }
-    console.log('Prebuild: done. You can now edit the electron files at', target);
+    console.log(`${linked} linked, ${report.modules.length - linked} skipped`);
 }
 
-async function pack(makeMakers) {
-    // Ensure prebuild exists; if not, run prebuild to create it (deterministic).
-    const target = path.join(PROJECT_ROOT, 'electron');
-    // Always run prebuild step so users get warnings if files would be
-    // overwritten. prebuild itself will skip existing files rather than
-    // overwriting them.
-    try {
-        // Run prebuild first to create the editable electron folder, then autolink into it
-        prebuild();
-        const projectElectron = path.join(PROJECT_ROOT, 'electron');
-        // Ensure native electron modules are built so .node artifacts exist
-        // for autolink resource copying.
-        await buildElectronNativeModules(PROJECT_ROOT);
-        try {
-            const autolink = require(path.join(__dirname, 'lib', 'autolink'));
-            autolink.run(PROJECT_ROOT, projectElectron);
-        } catch (e) {
-            console.warn('Autolink (package) failed:', e && e.message);
+function printAutolinkCheck(result) {
+    const labels = { missing: 'missing', changed: 'would change', edited: 'edited by hand (content hash mismatch)' };
+    for (const r of result.files) {
+        if (r.status === 'same') {
+            console.log('Autolink:', colorize('green', 'up to date'), r.file);
+            continue;
         }
-    } catch (e) {
-        console.error('Package: prebuild failed:', e && e.message);
-        process.exit(3);
+        console.log('Autolink:', colorize('red', labels[r.status]), r.file);
+        process.stdout.write(r.diff);
     }
+    if (!result.ok) console.error(colorize('yellow', 'Autolink: generated files are out of date; run `expo-electron autolink` and commit the result.'));
+}
 
-    // Ensure binaries
-    const ELECTRON_FORGE_CMD = path.join(ROOT_NODE_BIN, process.platform === 'win32' ? 'electron-forge.cmd' : 'electron-forge');
-    if (!fs.existsSync(EXPO_CMD)) {
-        console.error('Missing expo binary. Run `npm install` at project root:', PROJECT_ROOT);
-        process.exit(2);
-    }
-    if (!fs.existsSync(ELECTRON_FORGE_CMD)) {
-        console.error('Missing electron-forge binary. Run `npm install` at project root:', PROJECT_ROOT);
-        process.exit(2);
-    }
+async function start(projectRoot) {
+    const handle = await api.start({ projectRoot });
+    // Ctrl+C / terminal close: stop both Expo and Electron, then exit once
+    // both are gone.
+    process.on('SIGINT', handle.stop);
+    process.on('SIGTERM', handle.stop);
+    process.on('SIGHUP', handle.stop);
+    process.exit(await handle.exited);
+}
 
-    // Build web into the project's prebuild `electron/build` folder so
-    // packaging uses the editable prebuilt electron folder but keeps the
-    // static build separate from editable sources.
-    const buildDirName = String(process.env.EXPO_ELECTRON_BUILD_DIR || 'build');
-    const appOut = path.resolve(target, buildDirName);
-    if (fs.existsSync(appOut)) {
-        console.log('Removing existing build workspace at', appOut);
-        try {
-            // Node 14.14+ supports rmSync
-            if (typeof fs.rmSync === 'function') {
-                fs.rmSync(appOut, { recursive: true, force: true });
-            } else {
-                // rmdirSync recursive for older Node
-                fs.rmdirSync(appOut, { recursive: true });
-            }
-        } catch (e) {
-            console.error('Failed to remove existing build workspace at', appOut + ':', e && e.message);
-            console.error('Per no-fallback policy this tool will not attempt alternative removal; please remove the folder manually and re-run packaging.');
-            process.exit(1);
-        }
-    }
-    // recreate empty packaging workspace
-    fs.mkdirSync(appOut, { recursive: true });
-    // Export web into an `app` subdirectory so packaged apps will find
-    // `app/index.html` under the ASAR resources (expected by main.js).
-    const webOut = path.join(appOut, 'app');
-    console.log('Packaging: building Expo web into', webOut);
-    // Deterministic behavior: detect whether the installed Expo CLI supports
-    // the `export` command and run exactly that form. Do NOT attempt multiple
-    // fallbacks — fail loudly if the expected command is not available.
-    const helpCheck = require('child_process').spawnSync(EXPO_CMD, ['--help'], { encoding: 'utf8', shell: process.platform === 'win32' });
-    if (helpCheck.error) {
-        console.error('Failed to execute expo --help:', helpCheck.error && helpCheck.error.message);
-        process.exit(2);
+async function main(rawArgv) {
+    const parsed = parseProjectRootArg(rawArgv);
+    const argv = parsed.argv;
+    const cmd = argv[0] || 'start';
+    if (parsed.projectRoot && !fs.existsSync(path.join(parsed.projectRoot, 'package.json'))) {
+        throw new api.ExpoElectronError('E_CONFIG', `--project-root: no package.json in ${parsed.projectRoot}`);
     }
-    const helpOut = String(helpCheck.stdout || '') + String(helpCheck.stderr || '');
-    if (helpOut.includes('export')) {
-        const args = ['export', '.', '--output-dir', webOut, '-p', 'web'];
-        console.log('Running:', EXPO_CMD, args.join(' '));
-        try {
-            // Ensure output dir exists
-            if (!fs.existsSync(webOut)) fs.mkdirSync(webOut, { recursive: true });
-            await runCommand(EXPO_CMD, args, { cwd: PROJECT_ROOT });
-        } catch (e) {
-            console.error('Expo export failed:', e && e.message);
-            process.exit(4);
-        }
-        // FALLBACK/ADAPT: Ensure index.html uses relative asset paths when opened via file://
-        // This transforms export output so the packaged app can load static
-        // assets from file:// locations. It's a deterministic post-export
-        // transformation to adapt web export output for packaging.
-        try {
-            const indexPath = path.join(webOut, 'index.html');
-            if (fs.existsSync(indexPath)) {
-                let html = fs.readFileSync(indexPath, 'utf8');
-                // Inject a base href if missing
-                if (!/\<base[^>]*href=/.test(html)) {
-                    const headIndex = html.indexOf('<head>');
-                    if (headIndex !== -1) {
-                        const insertAt = headIndex + '<head>'.length;
-                        html = html.slice(0, insertAt) + '\n  <base href="./">' + html.slice(insertAt);
-                    }
-                }
-                // Convert root-absolute asset references like src="/_expo/..." or href="/static/..."
-                // to relative references so file:// loads work. Only targets attribute patterns
-                // to avoid touching protocol URLs.
-                html = html.replace(/(\b(?:src|href)\s*=\s*['"])\//gi, '$1./');
-
-                // Inject CSP for packaged builds (meta tag works for file://).
-                // Can be disabled with EXPO_ELECTRON_NO_CSP=1 or overridden with EXPO_ELECTRON_CSP.
-                const disableCsp = ['1', 'true', 'yes'].includes(String(process.env.EXPO_ELECTRON_NO_CSP || '').toLowerCase());
-                if (!disableCsp) {
-                    const hasInlineScript = /<script(?![^>]*\bsrc\s*=)[^>]*>/i.test(html);
-                    const defaultCsp = [
-                        "default-src 'self'",
-                        "base-uri 'self'",
-                        "object-src 'none'",
-                        "form-action 'self'",
-                        "img-src 'self' data: blob:",
-                        "font-src 'self' data:",
-                        "style-src 'self' 'unsafe-inline'",
-                        hasInlineScript ? "script-src 'self' 'unsafe-inline'" : "script-src 'self'",
-                        "connect-src 'self' https: wss:",
-                    ].join('; ');
-                    const csp = String(process.env.EXPO_ELECTRON_CSP || defaultCsp);
-
-                    // `frame-ancestors` is ignored in <meta http-equiv="Content-Security-Policy">.
-                    // Keep it in the Electron response-header CSP (installed in main.js),
-                    // but strip it from the meta CSP to avoid confusing console warnings.
-                    const cspForMeta = csp
-                        .replace(/(^|;)\s*frame-ancestors\s+[^;]*/gi, '$1')
-                        .replace(/;\s*;/g, ';')
-                        .replace(/^\s*;\s*/g, '')
-                        .replace(/\s*;\s*$/g, '')
-                        .trim();
-                    if (!cspForMeta) {
-                        // If stripping leaves nothing, skip injecting the meta tag.
-                        fs.writeFileSync(indexPath, html, 'utf8');
-                        console.log('Post-export: fixed asset paths and ensured base href in', indexPath);
-                        return;
-                    }
-                    const escapeAttr = (s) => String(s)
-                        .replace(/&/g, '&amp;')
-                        .replace(/</g, '&lt;')
-                        .replace(/>/g, '&gt;')
-                        .replace(/"/g, '&quot;')
-                        .replace(/'/g, '&#39;');
-                    const metaTag = `  <meta http-equiv=\"Content-Security-Policy\" content=\"${escapeAttr(cspForMeta)}\">`;
-
-                    if (/<meta[^>]+http-equiv=['"]Content-Security-Policy['"][^>]*>/i.test(html)) {
-                        html = html.replace(/<meta[^>]+http-equiv=['"]Content-Security-Policy['"][^>]*>/i, metaTag);
-                    } else {
-                        const headIndex = html.indexOf('<head>');
-                        if (headIndex !== -1) {
-                            const insertAt = headIndex + '<head>'.length;
-                            html = html.slice(0, insertAt) + '\n' + metaTag + html.slice(insertAt);
-                        } else if (html.includes('</head>')) {
-                            html = html.replace('</head>', metaTag + '\n</head>');
-                        } else {
-                            // If no <head> is present, just prefix.
-                            html = metaTag + '\n' + html;
-                        }
-                    }
-                }
-
-                fs.writeFileSync(indexPath, html, 'utf8');
-                console.log('Post-export: fixed asset paths and ensured base href in', indexPath);
-            }
-        } catch (e) {
-            console.warn('Post-export: failed to adjust index.html for file:// usage:', e && e.message);
-        }
-    } else {
-        console.error('Installed expo CLI does not advertise an `export` command.');
-        console.error('Per project policy this tool will not try fallback commands.');
-        console.error('Please run the appropriate web build/export for your Expo CLI manually from the project root, e.g. `expo export . --output-dir <dir> -p web`, then re-run this command.');
-        process.exit(4);
+    const projectRoot = parsed.projectRoot || api.findProjectRoot();
+    if (cmd === 'start') {
+        await start(projectRoot);
     }
-
-    // Run electron-forge make from a temporary packaging workspace inside the
-    // project's `electron/build` directory so all outputs live under that
-    // folder. Create a minimal packaging workspace there and run `make`.
-    console.log('Packaging: running electron-forge make in packaging workspace');
-    const originalPkgPath = path.join(__dirname, 'package.json');
-    let originalPkg = null;
-    const workPkgPath = path.join(appOut, 'package.json');
-    try {
-        if (!fs.existsSync(appOut)) fs.mkdirSync(appOut, { recursive: true });
-
-        // Copy electron main files into the workspace so packaging is self-contained
-        const projectMain = path.join(target, 'main');
-        const workMain = path.join(appOut, 'main');
-        // Copy into the workspace but SKIP existing files so developer edits
-        // are preserved and not clobbered.
-        if (fs.existsSync(projectMain)) {
-            copyRecursiveSkipExisting(projectMain, workMain);
-        }
-
-        // Bundle Electron preload script so its dependencies are included
-        // in the packaged app without relying on packaged node_modules.
-        try {
-            const preloadEntry = path.join(workMain, 'preload.js');
-            const preloadTempOut = path.join(workMain, 'preload.bundle.cjs');
-            const bundleResult = await bundleElectronPreloadIfNeeded({ entryFile: preloadEntry, outFile: preloadTempOut, projectRoot: PROJECT_ROOT });
-            if (bundleResult && bundleResult.bundled) {
-                await copyFileWithRetries(preloadTempOut, preloadEntry);
-                try { fs.unlinkSync(preloadTempOut); } catch (e) { }
-            }
-        } catch (e) {
-            console.error('Packaging: failed to bundle Electron preload:', e && e.message);
-            process.exit(6);
-        }
-
-        // Bundle Electron main process entry so runtime dependencies are included
-        // in the packaged app without needing workspace node_modules.
-        let bundledMainPath = null;
-        try {
-            const entryFile = path.join(workMain, 'main.js');
-            const outFile = path.join(workMain, 'main.bundle.cjs');
-            const bundleResult = await bundleElectronMainIfNeeded({ entryFile, outFile, projectRoot: PROJECT_ROOT });
-            if (bundleResult && bundleResult.bundled) {
-                bundledMainPath = 'main/main.bundle.cjs';
-                // Overwrite main.js with the bundled output and remove the intermediate.
-                await copyFileWithRetries(outFile, entryFile);
-                try { fs.unlinkSync(outFile); } catch (e) { }
-            }
-        } catch (e) {
-            console.error('Packaging: failed to bundle Electron main:', e && e.message);
-            process.exit(6);
-        }
-
-        // Copy any autolink-generated electron resources into the packaging
-        // workspace so native files (and electron/ folders from modules) are
-        // available to the packager. The autolinker writes an
-        // `electron-resources.json` file into the project's `electron/`
-        // folder describing {from,to} entries relative to the project root.
-        try {
-            const resourcesPath = path.join(target, 'electron-resources.json');
-            if (fs.existsSync(resourcesPath)) {
-                const resources = JSON.parse(fs.readFileSync(resourcesPath, 'utf8')) || [];
-                const strictNativeOnly = ['1', 'true', 'yes'].includes(String(process.env.EXPO_ELECTRON_COPY_NATIVE_ONLY || '').toLowerCase());
-                for (const r of resources) {
-                    try {
-                        // source is project-root relative
-                        const src = path.join(PROJECT_ROOT, r.from || '');
-                        const dest = path.join(appOut, r.to || '');
-                        if (!fs.existsSync(src)) {
-                            console.warn('Packaging: autolink resource missing, skipping', src);
-                            continue;
-                        }
-                        // Ensure destination parent exists
-                        const dpar = path.dirname(dest);
-                        if (!fs.existsSync(dpar)) fs.mkdirSync(dpar, { recursive: true });
-                        // Copy resource (preserve directories) while pruning non-.node
-                        // artifacts from native build outputs. Set EXPO_ELECTRON_COPY_NATIVE_ONLY=1
-                        // to copy ONLY .node files from all resources.
-                        const srcNorm = String(r.from || '').replace(/\\/g, '/');
-                        const isNativeBuildDir = srcNorm.includes('/build/Release') || srcNorm.includes('/build/Debug');
-                        const filterFn = (s) => {
-                            const ext = path.extname(String(s)).toLowerCase();
-                            if (strictNativeOnly) return ext === '.node';
-                            if (isNativeBuildDir) return ext === '.node';
-                            return true;
-                        };
-                        copyRecursiveFilteredSkipExisting(src, dest, filterFn);
-                        console.log('Packaging: copied autolink resource', src, '->', dest);
-                    } catch (e) {
-                        console.warn('Packaging: failed to copy autolink resource', e && e.message);
-                    }
-                }
-            } else {
-                console.log('Packaging: no autolink resources file at', resourcesPath);
-            }
-        } catch (e) {
-            console.warn('Packaging: failed to apply autolink resources:', e && e.message);
-        }
-
-        // Do not inherit any Forge config from the template package.json.
-        // The CLI controls the Forge configuration for the packaging workspace
-        // to ensure predictable makers and packager settings for every project.
-
-        // Read project package.json to pull name/version/description
-        const projectPkgPath = path.join(PROJECT_ROOT, 'package.json');
-        let projectPkg = {};
-        try {
-            if (fs.existsSync(projectPkgPath)) projectPkg = JSON.parse(fs.readFileSync(projectPkgPath, 'utf8'));
-        } catch (e) { /* ignore */ }
-
-        // Read Expo scheme(s) for deep-linking registration.
-        let expoProtocols = [];
-        try {
-            const appJson = path.join(PROJECT_ROOT, 'app.json');
-            if (fs.existsSync(appJson)) {
-                const cfg = JSON.parse(fs.readFileSync(appJson, 'utf8'));
-                const expo = (cfg || {}).expo || {};
-                if (typeof expo.scheme === 'string' && expo.scheme.trim()) expoProtocols = [expo.scheme.trim()];
-                else if (Array.isArray(expo.schemes)) expoProtocols = expo.schemes;
-            }
-        } catch (e) { /* ignore */ }
-        expoProtocols = (expoProtocols || []).map((s) => String(s || '').trim()).filter(Boolean);
-
-        // Build a minimal, deterministic workspace package.json using ONLY root project values.
-        // No implicit defaults: if required fields are missing, fail loudly.
-        const rootName = typeof projectPkg.name === 'string' ? projectPkg.name.trim() : '';
-        const rootVersion = typeof projectPkg.version === 'string' ? projectPkg.version.trim() : '';
-        const rootDescription = typeof projectPkg.description === 'string' ? projectPkg.description.trim() : '';
-        const rootAuthor = projectPkg.author;
-        if (!rootName) {
-            console.error('Packaging: root package.json is missing required field "name" at', projectPkgPath);
-            process.exit(5);
-        }
-        if (!rootVersion) {
-            console.error('Packaging: root package.json is missing required field "version" at', projectPkgPath);
-            process.exit(5);
-        }
-        if (!rootDescription) {
-            console.error('Packaging: root package.json is missing required field "description" at', projectPkgPath);
-            process.exit(5);
-        }
-        if (!rootAuthor) {
-            console.error('Packaging: root package.json is missing required field "author" at', projectPkgPath);
-            process.exit(5);
-        }
-        const electronFromRoot =
-            ((projectPkg.devDependencies || {}).electron) ||
-            ((projectPkg.dependencies || {}).electron);
-        if (!electronFromRoot) {
-            console.error('Packaging: root package.json must declare "electron" in dependencies or devDependencies at', projectPkgPath);
-            console.error('Example: add to devDependencies: { "electron": "39.2.7" }');
-            process.exit(5);
-        }
-
-        const workspaceDevDependencies = {
-            ...(projectPkg.devDependencies || {}),
-            electron: electronFromRoot,
-        };
-
-        const workPkg = {
-            name: rootName,
-            version: rootVersion,
-            description: rootDescription,
-            author: rootAuthor,
-            // Always point at main/main.js. When bundling is enabled, this file
-            // is overwritten with the bundled output.
-            main: 'main/main.js',
-            devDependencies: workspaceDevDependencies,
-        };
-        if (expoProtocols.length > 0) {
-            // Read by main/main.js in production via app.getAppPath()/package.json.
-            workPkg.expoElectron = { protocols: expoProtocols };
-        }
-        // Inject a sensible default Forge config so `electron-forge make` has
-        // makers and packager settings to run deterministically.
-        const defaultForgeConfig = {
-            packagerConfig: {
-                // Keep JS inside app.asar, but ship native addons OUTSIDE the asar
-                // using extraResource. This avoids app.asar.unpacked entirely and
-                // ensures only one physical copy exists on disk.
-                asar: true,
-                // Exclude native/ from the app bundle (so it does not appear in app.asar)
-                // and copy it as a resource instead.
-                ignore: ['^/native($|/)'],
-            },
-            makers: [
-                { name: '@electron-forge/maker-squirrel', config: {} },
-                { name: '@electron-forge/maker-zip', platforms: ['darwin', 'linux', 'win32'] },
-                { name: '@electron-forge/maker-dmg', config: {} },
-                { name: '@electron-forge/maker-deb', config: {} },
-                { name: '@electron-forge/maker-rpm', config: {} }
-            ]
-        };
-
-        const disableExtraNative = ['1', 'true', 'yes'].includes(String(process.env.EXPO_ELECTRON_NO_EXTRA_RESOURCE_NATIVE || '').toLowerCase());
-        if (!disableExtraNative) {
-            defaultForgeConfig.packagerConfig.extraResource = ['native'];
-        } else {
-            console.log('Packaging: EXPO_ELECTRON_NO_EXTRA_RESOURCE_NATIVE set; native will not be copied as extraResource');
-        }
-        // Only run `make` when the user explicitly requested makers via
-        // `--make`. If no `--make` was provided, skip the making step and
-        // keep the packaging workspace suitable for inspection.
-        let skipMake = false;
-        if (Array.isArray(makeMakers) && makeMakers.length > 0) {
-            const tokens = makeMakers.map((t) => String(t).toLowerCase());
-            defaultForgeConfig.makers = (defaultForgeConfig.makers || []).filter((m) => {
-                const n = (m && m.name) || (typeof m === 'string' ? m : '');
-                const lower = String(n).toLowerCase();
-                return tokens.some((tok) => lower.includes(tok));
-            });
-            if (!defaultForgeConfig.makers || defaultForgeConfig.makers.length === 0) {
-                console.log('Packaging: --make provided but no matching makers found; will skip `make`.');
-                skipMake = true;
-            } else {
-                console.log('Packaging: filtered makers to', defaultForgeConfig.makers.map((m) => (m && m.name) || m));
-            }
-        } else {
-            // No --make provided: skip the make step entirely by clearing makers.
-            skipMake = true;
-            defaultForgeConfig.makers = [];
-            console.log('Packaging: no --make provided; skipping distributable creation (electron-forge make).');
-        }
-        workPkg.config = { forge: defaultForgeConfig };
-
-        // Note: makers are filtered only when `--make` is provided; no
-        // automatic removal of makers is performed here.
-
-        fs.writeFileSync(workPkgPath, JSON.stringify(workPkg, null, 2), 'utf8');
-
-        // Always run `electron-forge package` so packaging hooks and the
-        // packaging step run (this produces the packaged application but
-        // not the final distributables). Only run `electron-forge make`
-        // when the user explicitly requested makers via `--make`.
-        try {
-            console.log('Packaging: running electron-forge package');
-            await runCommand(ELECTRON_FORGE_CMD, ['package'], { cwd: appOut });
-        } catch (e) {
-            console.error('electron-forge package failed:', e && e.message);
-            process.exit(5);
+    else if (cmd === 'prebuild') {
+        // Usage:
+        //   expo-electron prebuild            (copy missing template files)
+        //   expo-electron prebuild --diff     (show project vs template diffs)
+        //   expo-electron prebuild --upgrade  (three-way merge template updates)
+        if (argv.includes('--diff')) {
+            printPrebuildDiff(await api.prebuildDiff({ projectRoot }));
+            process.exit(0);
         }
-
-        const makersInWorkspace = (((workPkg || {}).config || {}).forge || {}).makers || [];
-        if (!skipMake && Array.isArray(makersInWorkspace) && makersInWorkspace.length > 0) {
-            console.log('Packaging: running electron-forge make');
-            await runCommand(ELECTRON_FORGE_CMD, ['make'], { cwd: appOut });
-        } else {
-            console.log('Packaging: skipping electron-forge make');
+        if (argv.includes('--upgrade')) {
+            const result = await api.prebuildUpgrade({ projectRoot });
+            printPrebuildUpgrade(result);
+            process.exit(result.conflicts.length ? 1 : 0);
         }
-    } catch (e) {
-        console.error('electron-forge make failed:', e && e.message);
-        // preserve workspace for inspection
-        process.exit(5);
+        await api.prebuild({ projectRoot });
+        process.exit(0);
     }
-    // preserve workspace package.json and outputs for inspection
-    const artifactsPath = path.join(appOut, 'out', 'make');
-    console.log('Packaging: complete — artifacts available at:', artifactsPath);
-}
-
-if (require.main === module) {
-    const cmd = process.argv[2] || 'start';
-    if (cmd === 'start') start();
-    else if (cmd === 'prebuild') { prebuild(); process.exit(0); }
     else if (cmd === 'build') {
         // Builds native electron module workspaces (per-module `npm run build`).
         // Usage:
@@ -1293,28 +190,76 @@ if (require.main === module) {
         //   expo-electron build <name>     (build one module by name)
         //   expo-electron build --module <name>
         //   expo-electron build --verbose
-        buildElectronNativeModules(PROJECT_ROOT)
-            .then(() => process.exit(0))
-            .catch((e) => {
-                console.error('Native build failed:', e && e.message);
-                process.exit(1);
-            });
+        //   expo-electron build --rebuild [--arch x64,arm64]
+        try {
+            await api.build({ projectRoot, ...parseBuildArgs(argv) });
+        } catch (e) {
+            exitWithError(e, 'Native build failed:');
+        }
+        process.exit(0);
     }
     else if (cmd === 'package') {
-        const makeMakers = parseMakeArg();
-        pack(makeMakers);
+        // Usage:
+        //   expo-electron package [--make zip,deb] [--platform linux,win32] [--arch x64,arm64] [--no-cache]
+        const cache = argv.includes('--no-cache') ? false : undefined;
+        await api.package({
+            projectRoot,
+            make: parseMakeArg(argv),
+            platform: parseListArg(argv, '--platform'),
+            arch: parseListArg(argv, '--arch'),
+            cache,
+        });
+        process.exit(0);
+    }
+    else if (cmd === 'doctor') {
+        // Usage:
+        //   expo-electron doctor          (checklist)
+        //   expo-electron doctor --json   (machine-readable, for CI)
+        const report = await api.doctor({ projectRoot });
+        if (argv.includes('--json')) console.log(JSON.stringify(report, null, 2));
+        else printDoctorReport(report);
+        process.exit(report.ok ? 0 : 1);
+    }
+    else if (cmd === 'fuses') {
+        // Usage:
+        //   expo-electron fuses                 (binaries from the last `package`)
+        //   expo-electron fuses <binary|.app>   (any Electron binary)
+        //   expo-electron fuses --json
+        const binaryPath = argv[1] && !argv[1].startsWith('-') ? argv[1] : null;
+        const results = await api.fuses({ projectRoot, binaryPath });
+        if (argv.includes('--json')) console.log(JSON.stringify(results, null, 2));
+        else {
+            for (const r of results) {
+                console.log(colorize('cyan', r.binaryPath), colorize('dim', `(fuse wire v${r.version})`));
+                console.log(formatFuses(r));
+            }
+        }
+        process.exit(0);
     }
     else if (cmd === 'autolink') {
-        try {
-            // ensure prebuild folder exists so generated files can be placed there
-            prebuild();
-            const projectElectron = path.join(PROJECT_ROOT, 'electron');
-            const autolink = require(path.join(__dirname, 'lib', 'autolink'));
-            autolink.run(PROJECT_ROOT, projectElectron);
+        // Usage:
+        //   expo-electron autolink                (write the generated files)
+        //   expo-electron autolink --list         (report, writes nothing)
+        //   expo-electron autolink --list --json  (machine-readable, for CI)
+        //   expo-electron autolink --check        (exit 1 when the generated files would change)
+        if (argv.includes('--check')) {
+            const result = await api.autolink({ projectRoot, check: true });
+            printAutolinkCheck(result);
+            process.exit(result.ok ? 0 : 1);
+        }
+        if (argv.includes('--list') || argv.includes('--json')) {
+            const report = await api.autolink({ projectRoot, list: true });
+            if (argv.includes('--json')) console.log(JSON.stringify(report, null, 2));
+            else printAutolinkReport(report, projectRoot);
             process.exit(0);
-        } catch (e) {
-            console.error('autolink failed:', e && e.message);
-            process.exit(1);
         }
+        // ensure prebuild folder exists so generated files can be placed there
+        await api.prebuild({ projectRoot });
+        await api.autolink({ projectRoot, targetDir: path.join(projectRoot, 'electron') });
+        process.exit(0);
     } else console.error('unknown command', cmd);
 }
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((e) => exitWithError(e));
+}
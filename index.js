@@ -73,6 +73,10 @@ function createDesktopApi(electron = getElectronBridge()) {
         openExternal: optMethod('openExternal'),
         showItemInFolder: optMethod('showItemInFolder'),
 
+        // Window
+        getWindowState: optMethod('getWindowState'),
+        resetWindowState: optMethod('resetWindowState'),
+
         // App
         getPath: optMethod('getPath'),
         relaunch: optMethod('relaunch'),
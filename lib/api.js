@@ -0,0 +1,96 @@
+// Programmatic Node API for expo-electron.
+//
+//   const api = require('expo-electron/lib/api');
+//   const result = await api.package({ projectRoot, make: ['zip'] });
+//
+// Every step takes an explicit options object (projectRoot defaults to the
+// detected project) and rejects with an ExpoElectronError carrying `code` and
+// `exitCode` instead of exiting the process. `cli.js` is a thin wrapper.
+
+const path = require('path');
+
+const { resolveProject, findProjectRoot, getElectronVersion } = require('./project');
+const { loadConfig } = require('./config');
+const { prebuild, prebuildDiff, prebuildUpgrade } = require('./prebuild');
+const { buildNativeModules } = require('./native-build');
+const { getElectronAbi } = require('./native-rebuild');
+const { packageApp } = require('./package');
+const { start } = require('./start');
+const { runDoctor } = require('./doctor');
+const { linkProject, autolinkReport, checkProject, autolinkOptions } = require('./autolink');
+const { readFuses, findPackagedBinaries } = require('./fuses');
+const { readJsonIfExists } = require('./fs-utils');
+const { ExpoElectronError, isExpoElectronError, EXIT_CODES } = require('./errors');
+
+/**
+ * Generate `electron/main/preload.js`, `electron/main/native-main.js`,
+ * `electron/main/native-hosted.js`, `electron/main/project-handlers.js` and
+ * `electron/electron-resources.json`. With `list`, write nothing and return
+ * what would be linked and shipped instead (see `autolinkReport` in
+ * lib/autolink.js). With `check`, write nothing and compare the files on disk
+ * with what would be generated (`{ ok, files }`, see `checkProject`).
+ * @param {{ projectRoot?: string, config?: object, targetDir?: string, list?: boolean, check?: boolean }} [options]
+ * @returns {Promise<{ modules: object[], preloadPath: string, nativeMainPath: string, nativeHostedPath: string, projectHandlersPath: string, resourcesPath: string, resources: object[] }|{ modules: object[], unmatched: { include: string[], exclude: string[] } }|{ ok: boolean, files: object[] }>}
+ */
+async function autolink(options = {}) {
+    const project = resolveProject(options);
+    try {
+        const electronAbi = await getElectronAbi(getElectronVersion(project.projectRoot));
+        const linkOptions = { ...autolinkOptions(project.config), electronAbi };
+        const targetDir = options.targetDir || project.electronDir;
+        if (options.list) return autolinkReport(project.projectRoot, linkOptions);
+        if (options.check) return checkProject(project.projectRoot, targetDir, linkOptions);
+        return linkProject(project.projectRoot, targetDir, linkOptions);
+    } catch (e) {
+        if (isExpoElectronError(e)) throw e;
+        throw new ExpoElectronError('E_AUTOLINK', 'Autolink failed: ' + (e && e.message), { cause: e });
+    }
+}
+
+/**
+ * Check the project setup. Never rejects for failed checks; inspect `ok`.
+ * @param {{ projectRoot?: string }} [options]
+ */
+async function doctor(options = {}) {
+    const projectRoot = options.projectRoot || findProjectRoot();
+    return runDoctor({ projectRoot });
+}
+
+/**
+ * Read the fuse wire of a packaged binary. Without `binaryPath`, reads every
+ * binary `package` produced in the project's packaging workspace.
+ * @param {{ projectRoot?: string, config?: object, binaryPath?: string }} [options]
+ * @returns {Promise<Array<{ binaryPath: string, version: string, fuses: Record<string, string> }>>}
+ */
+async function fuses(options = {}) {
+    if (options.binaryPath) return [await readFuses(path.resolve(options.binaryPath))];
+    const project = resolveProject(options);
+    const workspaceDir = path.resolve(project.electronDir, project.config.buildDir);
+    const workPkg = readJsonIfExists(path.join(workspaceDir, 'package.json'));
+    const forge = (workPkg && workPkg.config && workPkg.config.forge) || {};
+    const executableName = (forge.packagerConfig && forge.packagerConfig.executableName) || (workPkg && (workPkg.productName || workPkg.name));
+    const binaries = executableName ? findPackagedBinaries(path.join(workspaceDir, 'out'), executableName) : [];
+    if (!binaries.length) {
+        throw new ExpoElectronError('E_FUSES', `Fuses: no packaged app found under ${path.join(workspaceDir, 'out')}. Run \`expo-electron package\` first or pass the binary path.`);
+    }
+    const results = [];
+    for (const binaryPath of binaries) results.push(await readFuses(binaryPath));
+    return results;
+}
+
+module.exports = {
+    start,
+    prebuild,
+    prebuildDiff,
+    prebuildUpgrade,
+    autolink,
+    build: buildNativeModules,
+    package: packageApp,
+    doctor,
+    fuses,
+    loadConfig,
+    findProjectRoot,
+    ExpoElectronError,
+    isExpoElectronError,
+    EXIT_CODES,
+};
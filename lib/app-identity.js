@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+const { generateIcons } = require('./icons');
+
+// App identity, icons and window metadata derived from the Expo config.
+//
+// Packaging maps `expo.name`, `expo.version`, `expo.icon` and the iOS/Android
+// identifier onto `packagerConfig`, and `expo.name`, `expo.backgroundColor`,
+// `expo.orientation` plus the `window` config option onto the runtime
+// BrowserWindow options (read by main/main.js).
+
+// Default window size (matches the previous hard-coded 480x960 portrait window).
+const PORTRAIT_SIZE = { width: 480, height: 960 };
+const LANDSCAPE_SIZE = { width: 960, height: 480 };
+
+// BrowserWindow options the `window` config option may set. webPreferences
+// are deliberately not configurable here: they are security-relevant and
+// owned by main/main.js.
+const WINDOW_OPTIONS = {
+    width: 'number',
+    height: 'number',
+    minWidth: 'number',
+    minHeight: 'number',
+    maxWidth: 'number',
+    maxHeight: 'number',
+    resizable: 'boolean',
+    movable: 'boolean',
+    minimizable: 'boolean',
+    maximizable: 'boolean',
+    fullscreenable: 'boolean',
+    fullscreen: 'boolean',
+    center: 'boolean',
+    frame: 'boolean',
+    autoHideMenuBar: 'boolean',
+    alwaysOnTop: 'boolean',
+    title: 'string',
+    backgroundColor: 'string',
+    titleBarStyle: 'string',
+};
+
+/**
+ * Validate the `window` config option. Returns a list of problems.
+ */
+function validateWindowOptions(value, label = 'window') {
+    const errors = [];
+    for (const key of Object.keys(value)) {
+        const type = WINDOW_OPTIONS[key];
+        if (!type) {
+            errors.push(`${label}: unknown option "${key}" (known: ${Object.keys(WINDOW_OPTIONS).join(', ')})`);
+        } else if (typeof value[key] !== type || (type === 'number' && !(value[key] > 0))) {
+            errors.push(`${label}.${key} must be ${type === 'number' ? 'a positive number' : `a ${type}`}`);
+        }
+    }
+    return errors;
+}
+
+// Executable names end up as file names (and the deb/rpm binary), so keep
+// them to lowercase ASCII without spaces.
+function _executableName(raw) {
+    const base = String(raw || '').replace(/^@[^/]+\//, '');
+    const name = base.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[-.]+|[-.]+$/g, '');
+    return name || null;
+}
+
+/**
+ * Resolve the app identity from the Expo config and root package.json.
+ * @param {{ projectRoot: string, expo?: object, projectPkg?: object }} options
+ * @returns {{ name: string, executableName: string|null, version: string|null, bundleId: string|null, icon: string|null }}
+ */
+function resolveAppIdentity({ projectRoot, expo = {}, projectPkg = {} }) {
+    const name = String(expo.name || projectPkg.productName || projectPkg.name || '').trim();
+    const bundleId = (expo.ios && expo.ios.bundleIdentifier) || (expo.android && expo.android.package) || null;
+    let icon = null;
+    if (typeof expo.icon === 'string' && expo.icon.trim()) {
+        icon = path.resolve(projectRoot, expo.icon);
+        if (!fs.existsSync(icon)) {
+            console.warn('App identity: expo.icon not found at', icon);
+            icon = null;
+        }
+    }
+    return {
+        name,
+        executableName: _executableName(expo.slug || projectPkg.name || name),
+        version: expo.version || projectPkg.version || null,
+        bundleId,
+        icon,
+    };
+}
+
+/**
+ * BrowserWindow options for the runtime config: Expo-derived defaults with
+ * the `window` config option on top.
+ * @param {{ expo?: object, config: object, icon?: string|null }} options
+ */
+function resolveWindowOptions({ expo = {}, config, icon = null }) {
+    const out = Object.assign({}, expo.orientation === 'landscape' ? LANDSCAPE_SIZE : PORTRAIT_SIZE);
+    if (expo.name) out.title = String(expo.name);
+    if (typeof expo.backgroundColor === 'string' && expo.backgroundColor) out.backgroundColor = expo.backgroundColor;
+    Object.assign(out, config.window || {});
+    // Linux/Windows use the window icon for the taskbar; resolved against
+    // app.getAppPath() by main/main.js when relative.
+    if (icon) out.icon = icon;
+    return out;
+}
+
+/**
+ * Generate desktop icons into `<workspaceDir>/icons` and return the Forge
+ * settings that use them, or null when there is no usable icon.
+ * @param {{ identity: object, workspaceDir: string }} options
+ */
+function prepareIcons({ identity, workspaceDir }) {
+    if (!identity.icon) return null;
+    const outDir = path.join(workspaceDir, 'icons');
+    const ext = path.extname(identity.icon).toLowerCase();
+    if (ext !== '.png') {
+        console.warn(`App identity: expo.icon must be a PNG to generate desktop icons (got ${ext || 'no extension'}); skipping icons.`);
+        return null;
+    }
+    let icons;
+    try {
+        icons = generateIcons({ source: identity.icon, outDir });
+    } catch (e) {
+        console.warn('App identity: failed to convert', identity.icon, '-', e && e.message);
+        return null;
+    }
+    if (icons.sourceSize < 512) {
+        console.warn(`App identity: ${identity.icon} is ${icons.sourceSize}px; use at least 1024x1024 for sharp macOS icons.`);
+    }
+    console.log('App identity: generated icons in', outDir);
+    return {
+        // Packager picks .icns/.ico by platform when the extension is omitted.
+        packagerIcon: path.join(outDir, 'icon'),
+        png: icons.png,
+        ico: icons.ico,
+        icns: icons.icns,
+        // Path used by the BrowserWindow at runtime, relative to the app root.
+        runtimeIcon: 'icons/icon.png',
+    };
+}
+
+module.exports = {
+    WINDOW_OPTIONS,
+    validateWindowOptions,
+    resolveAppIdentity,
+    resolveWindowOptions,
+    prepareIcons,
+};
@@ -1,6 +1,13 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
+const { readJsonIfExists } = require('./fs-utils');
+const { ExpoElectronError } = require('./errors');
+const { targetFromPath } = require('./targets');
+const { resolveDependency } = require('./resolve');
+const { unifiedDiff } = require('./diff');
+
 function walkPackages(dir, cb) {
     if (!fs.existsSync(dir)) return;
     const entries = fs.readdirSync(dir, { withFileTypes: true });
@@ -26,68 +33,529 @@ function walkPackages(dir, cb) {
     }
 }
 
-function findElectronEntries(projectRoot) {
-    // Follow React Native's approach: only consider the project's top-level
-    // dependencies and devDependencies. This prevents autolinking nested
-    // transitive packages. For each declared dependency, check whether the
-    // package exists under node_modules and contains an `electron/` folder.
+// Channels the generated preload always allows (handled by main/desktop.js).
+const BUILTIN_INVOKE_CHANNELS = [
+    'app:relaunch',
+    'dialog:open',
+    'dialog:save',
+    'clipboard:readText',
+    'clipboard:writeText',
+    'nativeTheme:get',
+    'nativeTheme:setThemeSource',
+    'shell:openExternal',
+    'shell:showItemInFolder',
+    'app:getPath',
+    'window:getState',
+    'window:resetState',
+];
+
+// Sandbox mode: channels of the native host (must match main/native-host.js).
+const NATIVE_DESCRIBE_CHANNEL = 'expo-electron:native:describe';
+const NATIVE_CALL_CHANNEL = 'expo-electron:native:call';
+
+const IPC_CHANNEL = /^[A-Za-z0-9][A-Za-z0-9:._/-]*$/;
+
+// Main-process methods become `ElectronNative[name][method]` wrappers that
+// invoke the `<name>:<method>` channel (see main/native-modules.js).
+const METHOD_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+function methodChannel(name, method) {
+    return `${name}:${method}`;
+}
+
+// Project IPC handlers (`handlers` config): `<namespace>: [methods]`, each
+// namespace implemented by `electron/main/handlers/<namespace>.js` and
+// answered on `<namespace>:<method>` like module methods.
+const HANDLER_NAMESPACE = /^[A-Za-z][A-Za-z0-9_-]*$/;
+const RESERVED_NAMESPACES = Array.from(new Set(BUILTIN_INVOKE_CHANNELS.map((c) => c.split(':')[0]).concat('expo-electron')));
+
+function validateHandlersConfig(value, label = 'handlers') {
+    const errors = [];
+    for (const ns of Object.keys(value)) {
+        if (!HANDLER_NAMESPACE.test(ns)) {
+            errors.push(`${label}: invalid namespace "${ns}" (letters, digits, _ and -, starting with a letter)`);
+        } else if (RESERVED_NAMESPACES.includes(ns)) {
+            errors.push(`${label}.${ns}: "${ns}" is reserved for built-in channels (${RESERVED_NAMESPACES.join(', ')})`);
+        } else if (!Array.isArray(value[ns]) || !value[ns].every((m) => typeof m === 'string' && METHOD_NAME.test(m))) {
+            errors.push(`${label}.${ns} must be an array of method names (letters, digits and _)`);
+        }
+    }
+    return errors;
+}
+
+// Package-relative path that stays inside the package, or null.
+function _packagePath(modRoot, value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const rel = path.posix.normalize(value.trim().replace(/\\/g, '/')).replace(/^\.\//, '').replace(/\/$/, '');
+    if (!rel || rel === '.' || rel.startsWith('../') || path.isAbsolute(rel)) return null;
+    return fs.existsSync(path.join(modRoot, rel)) ? rel : null;
+}
+
+/**
+ * Read a package's Electron platform block: the `electron` key of
+ * `expo-module.config.json`, else the `expo-electron` field of its
+ * `package.json`. Returns null when the package declares neither.
+ *
+ *   {
+ *     "platforms": ["apple", "android", "web", "electron"],
+ *     "electron": {
+ *       "entry": "electron/index.js",        // exposed as ElectronNative[name]
+ *       "binaries": ["build/Release", "prebuilds"], // where its *.node files live
+ *       "main": "electron/main.js",          // loaded in the main process
+ *       "methods": ["getVersion"],           // main-process methods, ElectronNative[name].getVersion()
+ *       "ipc": ["my-module:ping"]            // channels the preload may invoke
+ *     }
+ *   }
+ *
+ * Invalid fields are dropped with a warning.
+ * @param {string} modRoot
+ * @param {object} [pkg] the package's parsed package.json
+ * @returns {{ source: string, entry: string|null, binaries: string[]|null, main: string|null, methods: string[], ipc: string[] }|null}
+ */
+function readElectronBlock(modRoot, pkg = {}) {
+    let raw = null;
+    let source = null;
+    const moduleConfig = readJsonIfExists(path.join(modRoot, 'expo-module.config.json'));
+    if (moduleConfig && moduleConfig.electron && typeof moduleConfig.electron === 'object') {
+        raw = moduleConfig.electron;
+        source = 'expo-module.config.json';
+    } else if (pkg && pkg['expo-electron'] && typeof pkg['expo-electron'] === 'object') {
+        raw = pkg['expo-electron'];
+        source = 'package.json "expo-electron"';
+    }
+    if (!raw) return null;
+
+    const name = (pkg && pkg.name) || path.basename(modRoot);
+    const warn = (msg) => console.warn(`Autolink: ${name}: ${source}: ${msg}`);
+    const block = { source, entry: null, binaries: null, main: null, methods: [], ipc: [] };
+    for (const key of ['entry', 'main']) {
+        if (raw[key] === undefined) continue;
+        block[key] = _packagePath(modRoot, raw[key]);
+        if (!block[key]) warn(`"${key}" must be an existing file inside the package (got ${JSON.stringify(raw[key])}); ignoring it`);
+    }
+    if (raw.binaries !== undefined) {
+        const list = Array.isArray(raw.binaries) ? raw.binaries : [raw.binaries];
+        block.binaries = [];
+        for (const b of list) {
+            const rel = _packagePath(modRoot, b);
+            if (rel) block.binaries.push(rel);
+            else warn(`binaries entry ${JSON.stringify(b)} does not exist inside the package; ignoring it`);
+        }
+    }
+    if (raw.ipc !== undefined) {
+        for (const channel of Array.isArray(raw.ipc) ? raw.ipc : [raw.ipc]) {
+            if (typeof channel !== 'string' || !IPC_CHANNEL.test(channel)) warn(`invalid IPC channel ${JSON.stringify(channel)}; ignoring it`);
+            else if (BUILTIN_INVOKE_CHANNELS.includes(channel)) warn(`IPC channel "${channel}" is reserved by expo-electron; ignoring it`);
+            else if (!block.ipc.includes(channel)) block.ipc.push(channel);
+        }
+        block.ipc.sort();
+    }
+    if (raw.methods !== undefined) {
+        for (const method of Array.isArray(raw.methods) ? raw.methods : [raw.methods]) {
+            if (typeof method !== 'string' || !METHOD_NAME.test(method)) warn(`invalid method name ${JSON.stringify(method)} (letters, digits and _); ignoring it`);
+            else if (!block.methods.includes(method)) block.methods.push(method);
+        }
+        block.methods.sort();
+        if (block.methods.length && !block.main) {
+            warn('"methods" need a "main" entry to run in; ignoring them');
+            block.methods = [];
+        }
+    }
+    return block;
+}
+
+// Names or globs (`@acme/*`) in the `autolink.include` / `autolink.exclude`
+// config lists.
+const AUTOLINK_OPTIONS = ['include', 'exclude'];
+
+function validateAutolinkConfig(value, label = 'autolink') {
+    const errors = [];
+    for (const key of Object.keys(value)) {
+        if (!AUTOLINK_OPTIONS.includes(key)) {
+            errors.push(`${label}: unknown option "${key}" (known: ${AUTOLINK_OPTIONS.join(', ')})`);
+        } else if (!Array.isArray(value[key]) || !value[key].every((v) => typeof v === 'string' && v.trim())) {
+            errors.push(`${label}.${key} must be an array of package names or globs (e.g. "@acme/*")`);
+        }
+    }
+    return errors;
+}
+
+function _matchesPattern(name, pattern) {
+    if (!pattern.includes('*')) return name === pattern;
+    const re = new RegExp('^' + pattern.split('*').map((s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return re.test(name);
+}
+
+// Why a declared dependency is left out by `include` / `exclude`, or null.
+function _filterReason(name, { include = [], exclude = [] }) {
+    const excludedBy = exclude.find((p) => _matchesPattern(name, p));
+    if (excludedBy) return `excluded by autolink.exclude "${excludedBy}"`;
+    if (include.length && !include.some((p) => _matchesPattern(name, p))) return 'not in autolink.include';
+    return null;
+}
+
+/**
+ * Classify every dependency and devDependency declared in the project
+ * `package.json` (React Native's approach: nested transitive packages are
+ * never linked). A dependency is linked when it passes the `include` /
+ * `exclude` lists, resolves (see lib/resolve.js) and has an Electron block
+ * (see readElectronBlock) or, as a fallback, an `electron/index.js` entry.
+ *
+ * `module` holds the linked module (`{ name, root, via, pkg, entry, expoBlock }`)
+ * and is null for skipped dependencies. `unmatched` lists include/exclude
+ * patterns that match no declared dependency (usually typos).
+ * @param {string} projectRoot
+ * @param {{ include?: string[], exclude?: string[] }} [options] the `autolink` config
+ * @returns {{ candidates: Array<{ name: string, spec: string, dependencyType: 'dependencies'|'devDependencies', linked: boolean, reason: string, root: string|null, via: string|null, module: object|null }>, unmatched: { include: string[], exclude: string[] } }}
+ */
+function classifyDependencies(projectRoot, { include = [], exclude = [] } = {}) {
     const pkgPath = path.join(projectRoot, 'package.json');
-    const results = [];
+    const candidates = [];
+    const unmatched = { include: [], exclude: [] };
     let projectPkg = {};
     try {
         if (fs.existsSync(pkgPath)) projectPkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
     } catch (e) {
-        console.warn('Autolink: failed to read project package.json', e && e.message);
-        return results;
+        throw new ExpoElectronError('E_AUTOLINK', `Autolink: cannot read ${pkgPath}: ${e && e.message}`, { cause: e });
     }
 
-    const deps = Object.assign({}, projectPkg.dependencies || {}, projectPkg.devDependencies || {});
-    const names = Object.keys(deps || {});
+    const prod = projectPkg.dependencies || {};
+    const deps = Object.assign({}, prod, projectPkg.devDependencies || {});
+    // Sorted so generated files do not depend on package.json key order.
+    const names = Object.keys(deps || {}).sort();
+    unmatched.include = include.filter((p) => !names.some((n) => _matchesPattern(n, p)));
+    unmatched.exclude = exclude.filter((p) => !names.some((n) => _matchesPattern(n, p)));
+    const cache = {};
     for (const name of names) {
-        // Resolve the package directly under projectRoot/node_modules
-        const modRoot = path.join(projectRoot, 'node_modules', name);
-        try {
-            const st = fs.statSync(modRoot);
-            if (!st.isDirectory()) continue;
-        } catch (e) {
-            // not installed at top-level; skip
+        const c = {
+            name,
+            spec: String(deps[name]),
+            dependencyType: Object.prototype.hasOwnProperty.call(prod, name) ? 'dependencies' : 'devDependencies',
+            linked: false,
+            reason: null,
+            root: null,
+            via: null,
+            module: null,
+        };
+        candidates.push(c);
+        c.reason = _filterReason(name, { include, exclude });
+        if (c.reason) continue;
+        // Resolve like Node from the project root (hoisted monorepo installs,
+        // pnpm symlinks), then `workspace:`/`file:` specs; see lib/resolve.js.
+        const resolved = resolveDependency(projectRoot, name, deps[name], cache);
+        if (!resolved) {
+            c.reason = 'not installed';
             continue;
         }
-        const electronDir = path.join(modRoot, 'electron');
-        const electronIndex = path.join(electronDir, 'index.js');
-        // Only link if the package exposes an `electron/index.js` entry.
-        if (!fs.existsSync(electronDir) || !fs.existsSync(electronIndex)) continue;
-        // Read package.json for convenience (not used to gate linking)
+        c.root = resolved.root;
+        c.via = resolved.via;
+        const modRoot = resolved.root;
         let pkg = {};
         try {
             const pjson = path.join(modRoot, 'package.json');
             if (fs.existsSync(pjson)) pkg = JSON.parse(fs.readFileSync(pjson, 'utf8'));
         } catch (e) { /* ignore malformed package.json */ }
-        results.push({ name, root: modRoot, pkg, entry: 'electron' });
+        const expoBlock = readElectronBlock(modRoot, pkg);
+        if (expoBlock && (expoBlock.entry || expoBlock.main || expoBlock.binaries)) {
+            c.linked = true;
+            c.reason = `Electron block (${expoBlock.source})`;
+            c.module = { name, root: modRoot, via: resolved.via, pkg, entry: expoBlock.entry, expoBlock };
+            continue;
+        }
+        // Fallback convention: link if the package exposes `electron/index.js`.
+        if (!fs.existsSync(path.join(modRoot, 'electron', 'index.js'))) {
+            c.reason = expoBlock ? `Electron block (${expoBlock.source}) has no valid entry, main or binaries` : 'no Electron block or electron/index.js';
+            continue;
+        }
+        c.linked = true;
+        c.reason = 'electron/index.js';
+        c.module = { name, root: modRoot, via: resolved.via, pkg, entry: 'electron', expoBlock: null };
     }
-    return results;
+    return { candidates, unmatched };
+}
+
+/**
+ * Modules autolink links (see classifyDependencies).
+ * @param {string} projectRoot
+ * @param {{ include?: string[], exclude?: string[] }} [options] the `autolink` config
+ */
+function findElectronEntries(projectRoot, options = {}) {
+    return classifyDependencies(projectRoot, options).candidates.filter((c) => c.linked).map((c) => c.module);
 }
 
-function makePreload(mods, outPath, projectRoot) {
+// node-gyp intermediates (Linux/macOS) we do not want to ship.
+function isUsefulNodeBinary(filePath) {
+    const rel = String(filePath || '').replace(/\\/g, '/');
+    if (!rel.toLowerCase().endsWith('.node')) return false;
+    if (rel.includes('/obj.target/')) return false;
+    if (rel.includes('/obj/')) return false;
+    return true;
+}
+
+// `*.node` files under a package, relative to it (`/` separators), sorted.
+// `include` limits the walk to package-relative files/folders. Nested
+// `node_modules` belong to other packages and are skipped; symlinked
+// folders are followed once.
+function listNodeFiles(root, include = null) {
+    const out = [];
+    const visited = new Set();
+    function walk(dir) {
+        if (!fs.existsSync(dir)) return;
+        const real = fs.realpathSync(dir);
+        if (visited.has(real)) return;
+        visited.add(real);
+        for (const e of fs.readdirSync(dir)) {
+            if (e === 'node_modules') continue;
+            const full = path.join(dir, e);
+            try {
+                const st = fs.statSync(full);
+                if (st.isDirectory()) walk(full);
+                else if (st.isFile() && isUsefulNodeBinary(full)) out.push(path.relative(root, full).replace(/\\/g, '/'));
+            } catch (e) { }
+        }
+    }
+    if (!include) walk(root);
+    for (const rel of include || []) {
+        const full = path.join(root, rel);
+        if (fs.existsSync(full) && fs.statSync(full).isFile()) {
+            if (isUsefulNodeBinary(full)) out.push(rel);
+        } else {
+            walk(full);
+        }
+    }
+    return Array.from(new Set(out)).sort();
+}
+
+const PREBUILDS_DIR = /(^|\/)prebuilds\//;
+
+/**
+ * Tags of a prebuildify / node-gyp-build file name
+ * (`<runtime>.<napi|abi<N>>[.<libc>][.<armv>].node`, e.g. `electron.napi.node`,
+ * `node.abi115.node`, `electron.abi140.glibc.node`).
+ */
+function parsePrebuildTags(file) {
+    const tags = { runtime: null, napi: false, abi: null, libc: null, armv: null };
+    const parts = path.posix.basename(file).split('.').slice(0, -1);
+    for (const p of parts) {
+        if (p === 'node' || p === 'electron' || p === 'node-webkit') tags.runtime = p;
+        else if (p === 'napi') tags.napi = true;
+        else if (/^abi\d+$/.test(p)) tags.abi = p.slice(3);
+        else if (p === 'glibc' || p === 'musl') tags.libc = p;
+        else if (/^armv\d+$/.test(p)) tags.armv = p;
+    }
+    return tags;
+}
+
+// How well a prebuild suits Electron, like node-gyp-build: runtime-specific
+// before runtime-agnostic, ABI-specific before N-API. null = cannot load.
+function _prebuildRank(tags, arch) {
+    if (tags.libc === 'musl') return null; // Electron's Linux builds link glibc
+    if (tags.armv && arch === 'armv7l' && tags.armv !== 'armv7') return null;
+    if (tags.abi) return tags.runtime === 'electron' ? 4 : null;
+    if (tags.napi) return tags.runtime === 'electron' ? 3 : 2;
+    return tags.runtime && tags.runtime !== 'electron' ? null : 1;
+}
+
+/**
+ * Pick the native binaries of a package.
+ *
+ * `host` holds binaries built here (`build/Release/...`). `candidates` maps
+ * each `<platform>-<arch>` to its binaries, loadable prebuilds first (best
+ * match first); the preload tries them at runtime, skipping `abi<N>` files of
+ * another ABI. `ship` is what packaging copies for each target: every
+ * non-prebuild binary plus the single best prebuild (for `electronAbi` when
+ * known). `skipped` lists prebuilds that are never shipped.
+ * @param {string} root package folder
+ * @param {{ electronAbi?: string|null, include?: string[]|null }} [options] `include`: the block's `binaries`
+ */
+function selectNativeBinaries(root, { electronAbi = null, include = null } = {}) {
+    const host = [];
+    const candidates = {};
+    const ship = {};
+    const skipped = [];
+    const grouped = {};
+    for (const rel of listNodeFiles(root, include)) {
+        const target = targetFromPath(rel);
+        if (!target) {
+            // Prebuilds for platforms/archs Electron does not ship.
+            if (PREBUILDS_DIR.test(rel)) skipped.push(rel);
+            else host.push(rel);
+            continue;
+        }
+        const id = `${target.platform}-${target.arch}`;
+        (grouped[id] = grouped[id] || { arch: target.arch, files: [] }).files.push(rel);
+    }
+    for (const id of Object.keys(grouped).sort()) {
+        const { arch, files } = grouped[id];
+        const plain = files.filter((rel) => !PREBUILDS_DIR.test(rel));
+        const ranked = [];
+        for (const rel of files.filter((f) => PREBUILDS_DIR.test(f))) {
+            const tags = parsePrebuildTags(rel);
+            const rank = _prebuildRank(tags, arch);
+            if (rank === null) skipped.push(rel);
+            else ranked.push({ rel, rank, abi: Number(tags.abi) || 0 });
+        }
+        ranked.sort((a, b) => (b.rank - a.rank) || (b.abi - a.abi) || (a.rel < b.rel ? -1 : 1));
+        const best = ranked.find((r) => !electronAbi || !r.abi || String(r.abi) === String(electronAbi));
+        for (const r of ranked) if (r !== best) skipped.push(r.rel);
+        candidates[id] = ranked.map((r) => r.rel).concat(plain);
+        ship[id] = (best ? [best.rel] : []).concat(plain);
+    }
+    return { host, candidates, ship, skipped: skipped.sort() };
+}
+
+// `require()` specifier for a file of a linked package, quoted: the package
+// name when Node can find it from the project, else its path relative to the
+// generated file in `fromDir` (uninstalled `workspace:`/`file:` dependencies),
+// so the output is the same on every checkout.
+function _requireSpecifier(m, rel, fromDir) {
+    let spec;
+    if (!m.via || m.via === 'node_modules') {
+        spec = rel ? `${m.name}/${rel}` : m.name;
+    } else {
+        spec = path.relative(fromDir, path.join(m.root, rel)).replace(/\\/g, '/');
+        if (!spec.startsWith('../')) spec = `./${spec}`;
+    }
+    return `'${spec.replace(/'/g, "\\'")}'`;
+}
+
+const GENERATED_HEADER = '// GENERATED by expo-electron autolink — do not edit by hand';
+
+function _contentHash(text) {
+    return 'sha256-' + crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Generated JS file: the header, then the hash of everything below it.
+function _withHeader(body) {
+    return `${GENERATED_HEADER}\n// content-hash: ${_contentHash(body)}\n${body}`;
+}
+
+/**
+ * Whether a generated file still matches its own content hash: false when it
+ * was edited by hand, null when it has no hash (written by an older version).
+ * @param {string} text contents of a generated .js file or electron-resources.json
+ * @returns {boolean|null}
+ */
+function verifyContentHash(text) {
+    const js = /^[^\n]*\n\/\/ content-hash: (\S+)\n/.exec(text);
+    if (js) return js[1] === _contentHash(text.slice(js[0].length));
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+    if (!data || typeof data.contentHash !== 'string') return null;
+    return Array.isArray(data.resources) && data.contentHash === _contentHash(JSON.stringify(data.resources, null, 2));
+}
+
+// Preload code that loads a module's JS entry (development) or its shipped
+// `*.node` binary (production) into `impl`.
+function _pushPreloadLoader(lines, m, selected, outDir) {
+    const targetIds = Object.keys(selected.candidates);
+    const hasBinaries = selected.host.length > 0 || targetIds.length > 0;
+    if (m.expoBlock && m.expoBlock.entry) {
+        lines.push(`  const devPath = (() => { try { return require.resolve(${_requireSpecifier(m, m.expoBlock.entry, outDir)}); } catch(e) { return null } })();`);
+    } else if (m.expoBlock) {
+        lines.push('  const devPath = null;');
+    } else {
+        lines.push(`  const devPath = (() => { try { return require.resolve(${_requireSpecifier(m, 'electron', outDir)}); } catch(e) { try { return require.resolve(${_requireSpecifier(m, '', outDir)}); } catch(e2){ return null } } })();`);
+    }
+    lines.push(`  // Prefer native assets shipped as extraResource under the app resources dir.
+  const _resBase = (process.resourcesPath || process.cwd());`);
+
+    // If .node files exist, prefer them (they must be real files on disk).
+    // Binaries built here come first (like node-gyp-build), then the
+    // prebuilds for the running platform/arch; `abi<N>` prebuilds only
+    // load when N is this Electron's ABI.
+    if (hasBinaries) {
+        lines.push('  const prodPath = (() => {');
+        lines.push("    const fs = require('fs');");
+        // Without a JS entry the binary is the module; in development
+        // load it from the installed package.
+        const devRoot = m.expoBlock && !m.expoBlock.entry
+            ? `, (() => { try { return path.dirname(require.resolve(${_requireSpecifier(m, 'package.json', outDir)})); } catch(e) { return null } })()`
+            : '';
+        lines.push(`    const roots = [path.join(_resBase, 'native', '${m.name}')${devRoot}].filter(Boolean);`);
+        if (targetIds.length) {
+            lines.push(`    const byTarget = ${JSON.stringify(selected.candidates)};`);
+            lines.push("    const arch = process.arch === 'arm' ? 'armv7l' : process.arch;");
+            lines.push("    const prebuilt = (byTarget[process.platform + '-' + arch] || []).filter((f) => { const m = /\\.abi(\\d+)\\./.exec(f); return !m || m[1] === process.versions.modules; });");
+            lines.push(`    const files = ${JSON.stringify(selected.host)}.concat(prebuilt);`);
+        } else {
+            lines.push(`    const files = ${JSON.stringify(selected.host)};`);
+        }
+        lines.push('    for (const r of roots) for (const f of files) { const c = path.join(r, f); try { if (fs.existsSync(c)) return c; } catch(e) {} }');
+        lines.push('    return null;');
+        lines.push('  })();');
+    } else {
+        // This tool is intentionally strict: production linking expects a native
+        // addon binary (.node) that will be shipped as a standalone file under resources/native.
+        // We do not load JS wrappers from resources in production.
+        lines.push(`  const prodPath = null;`);
+    }
+    lines.push(`  let impl = null;`);
+    lines.push(`  if (devPath) impl = _safeRequire(devPath);`);
+    lines.push(`  if (!impl && prodPath) impl = _safeRequire(prodPath);`);
+}
+
+// How a module appears in the preload: the binaries it may load and
+// whether it has a renderer-side implementation at all (main-process-only
+// modules expose just their method wrappers).
+function _preloadPlan(m) {
+    // collect .node files present under the package so we can prefer
+    // requiring the native addon binary directly in production
+    const selected = selectNativeBinaries(m.root, { include: m.expoBlock && m.expoBlock.binaries });
+    const hasBinaries = selected.host.length > 0 || Object.keys(selected.candidates).length > 0;
+    return {
+        selected,
+        inPreload: !(m.expoBlock && !m.expoBlock.entry && !hasBinaries),
+        methods: m.expoBlock ? m.expoBlock.methods : [],
+    };
+}
+
+/**
+ * Render the generated preload. `outDir` is the folder it is written to
+ * (default `electron/main`); uninstalled workspace packages are required
+ * relative to it. With `sandbox` the preload only uses `contextBridge` and
+ * `ipcRenderer`: native modules get async stubs that call the native host.
+ * `handlers` are the project's IPC handlers (`[{ name, methods }]`), exposed
+ * as `window.electron.handlers[name][method]` and allowed for `invoke`.
+ */
+function renderPreload(mods, projectRoot, outDir = path.join(projectRoot, 'electron', 'main'), { sandbox = false, handlers = [] } = {}) {
     const lines = [];
-    lines.push('// GENERATED by expo-electron autolink — do not edit by hand');
-    lines.push("const path = require('path');");
-    lines.push("const { contextBridge, ipcRenderer } = require('electron');");
-    lines.push('const ElectronNative = {};');
-    lines.push("function _safeRequire(p) { try { return require(p); } catch (e) { return null } }");
+    if (sandbox) {
+        // Sandboxed renderers cannot require native code: modules are loaded
+        // by the native host (main/native-host.js) and called over IPC.
+        lines.push("const { contextBridge, ipcRenderer } = require('electron');");
+        lines.push('const ElectronNative = {};');
+        lines.push(`const __NATIVE_EXPORTS__ = (() => { try { return ipcRenderer.sendSync('${NATIVE_DESCRIBE_CHANNEL}') || {}; } catch (e) { return {}; } })();`);
+        lines.push('function _nativeStubs(name) {');
+        lines.push('  const fns = __NATIVE_EXPORTS__[name];');
+        lines.push('  if (!fns) return null;');
+        lines.push('  const stubs = {};');
+        lines.push(`  for (const fn of fns) stubs[fn] = (...args) => ipcRenderer.invoke('${NATIVE_CALL_CHANNEL}', name, fn, args);`);
+        lines.push('  return stubs;');
+        lines.push('}');
+    } else {
+        lines.push("const path = require('path');");
+        lines.push("const { contextBridge, ipcRenderer } = require('electron');");
+        lines.push('const ElectronNative = {};');
+        lines.push("function _safeRequire(p) { try { return require(p); } catch (e) { return null } }");
+    }
     lines.push('');
     lines.push('// Safe, minimal bridge for renderer <-> main communication');
     lines.push("const __VALID_INVOKE_CHANNELS__ = [");
-    lines.push("  'app:relaunch',");
-    lines.push("  'dialog:open',");
-    lines.push("  'dialog:save',");
-    lines.push("  'clipboard:readText',");
-    lines.push("  'clipboard:writeText',");
-    lines.push("  'nativeTheme:get',");
-    lines.push("  'nativeTheme:setThemeSource',");
-    lines.push("  'shell:openExternal',");
-    lines.push("  'shell:showItemInFolder',");
-    lines.push("  'app:getPath',");
+    for (const channel of BUILTIN_INVOKE_CHANNELS) lines.push(`  '${channel}',`);
+    for (const m of mods) {
+        if (!m.expoBlock || !m.expoBlock.ipc.length) continue;
+        lines.push(`  // ${m.name}`);
+        for (const channel of m.expoBlock.ipc) lines.push(`  '${channel}',`);
+    }
+    for (const h of handlers) {
+        lines.push(`  // handlers/${h.name}.js`);
+        for (const method of h.methods) lines.push(`  '${methodChannel(h.name, method)}',`);
+    }
     lines.push("]; ");
 
     lines.push("contextBridge.exposeInMainWorld('electron', {");
@@ -139,140 +607,344 @@ function makePreload(mods, outPath, projectRoot) {
     lines.push("  openExternal: (url) => ipcRenderer.invoke('shell:openExternal', url),");
     lines.push("  showItemInFolder: (filePath) => ipcRenderer.invoke('shell:showItemInFolder', filePath),");
     lines.push("  getPath: (name) => ipcRenderer.invoke('app:getPath', name),");
-    lines.push('});');
-
-    function isUsefulNodeBinary(filePath) {
-        const rel = String(filePath || '').replace(/\\/g, '/');
-        if (!rel.toLowerCase().endsWith('.node')) return false;
-        // node-gyp intermediates (Linux/macOS) we do not want to ship.
-        if (rel.includes('/obj.target/')) return false;
-        if (rel.includes('/obj/')) return false;
-        return true;
+    lines.push("  getWindowState: () => ipcRenderer.invoke('window:getState'),");
+    lines.push("  resetWindowState: () => ipcRenderer.invoke('window:resetState'),");
+    if (handlers.length) {
+        lines.push('  handlers: {');
+        for (const h of handlers) {
+            lines.push(`    '${h.name}': {`);
+            for (const method of h.methods) lines.push(`      ${method}: (...args) => ipcRenderer.invoke('${methodChannel(h.name, method)}', ...args),`);
+            lines.push('    },');
+        }
+        lines.push('  },');
     }
+    lines.push('});');
 
     for (const m of mods) {
+        const { selected, inPreload, methods } = _preloadPlan(m);
+        if (!inPreload && !methods.length) continue;
+
         lines.push(`// module: ${m.name}`);
         lines.push(`(function(){`);
-        if (m.expoBlock && m.expoBlock.entry) {
-            lines.push(`  const devPath = (() => { try { return require.resolve('${m.name}/${m.expoBlock.entry}'); } catch(e) { return null } })();`);
+        if (!inPreload) lines.push('  const impl = null;');
+        else if (sandbox) lines.push(`  const impl = _nativeStubs('${m.name}');`);
+        else _pushPreloadLoader(lines, m, selected, outDir);
+        if (methods.length) {
+            // Implemented in the main process (native-main.js); only the
+            // arguments and the result cross IPC.
+            lines.push('  const mainMethods = {');
+            for (const method of methods) lines.push(`    ${method}: (...args) => ipcRenderer.invoke('${methodChannel(m.name, method)}', ...args),`);
+            lines.push('  };');
+            lines.push(`  ElectronNative['${m.name}'] = Object.assign({}, impl, mainMethods);`);
         } else {
-            lines.push(`  const devPath = (() => { try { return require.resolve('${m.name}/electron'); } catch(e) { try { return require.resolve('${m.name}'); } catch(e2){ return null } } })();`);
+            lines.push(`  if (impl) ElectronNative['${m.name}'] = impl; else ElectronNative['${m.name}'] = { _missing: true };`);
         }
-        lines.push(`  // Prefer native assets shipped as extraResource under the app resources dir.
-      const _resBase = (process.resourcesPath || process.cwd());`);
-
-        // collect .node files present under the package so we can prefer
-        // requiring the native addon binary directly in production
-        const nodeFiles = [];
-        try {
-            function walkForNode(dir) {
-                if (!fs.existsSync(dir)) return;
-                for (const e of fs.readdirSync(dir)) {
-                    const full = path.join(dir, e);
-                    try {
-                        const st = fs.statSync(full);
-                        if (st.isDirectory()) walkForNode(full);
-                        else if (st.isFile() && isUsefulNodeBinary(full)) nodeFiles.push(full);
-                    } catch (e) { }
-                }
-            }
-            walkForNode(m.root);
-        } catch (e) { }
-
-        // If .node files exist, prefer them (they must be real files on disk).
-        if (nodeFiles.length > 0) {
-            const candExpr = nodeFiles.map((f) => {
-                const under = path.relative(m.root, f).replace(/\\/g, '/');
-                // will produce: path.join(_resBase, 'native', '<mod>', '<under>')
-                return `path.join(_resBase, 'native', '${m.name}', '${under.replace(/'/g, "\\'")}')`;
-            }).join(', ');
-            lines.push(`  const prodPath = (() => {\n    const fs = require('fs');\n    const candidates = [${candExpr}];\n    for (const c of candidates) { try { if (fs.existsSync(c)) return c; } catch(e) {} }\n    return null;\n  })();`);
-        } else {
-            // This tool is intentionally strict: production linking expects a native
-            // addon binary (.node) that will be shipped as a standalone file under resources/native.
-            // We do not load JS wrappers from resources in production.
-            lines.push(`  const prodPath = null;`);
-        }
-        lines.push(`  let impl = null;`);
-        lines.push(`  if (devPath) impl = _safeRequire(devPath);`);
-        lines.push(`  if (!impl && prodPath) impl = _safeRequire(prodPath);`);
-        lines.push(`  if (impl) ElectronNative['${m.name}'] = impl; else ElectronNative['${m.name}'] = { _missing: true };`);
         lines.push(`})();`);
     }
 
     lines.push("contextBridge.exposeInMainWorld('ElectronNative', ElectronNative);");
-    fs.mkdirSync(path.dirname(outPath), { recursive: true });
-    fs.writeFileSync(outPath, lines.join('\n'), 'utf8');
+    return _withHeader(lines.join('\n') + '\n');
+}
+
+// Native binaries a linked module ships, package-relative, with the target
+// each one is for. Binaries under a `<platform>-<arch>` folder are prebuilt
+// for that target; anything else was built here for the host (`target`
+// null; packaging resolves it, so the manifest is the same on every
+// machine). An Electron block's `binaries` limits where they are looked up.
+// `abiPrebuilds` lists the `abi<N>` prebuilds, whose choice needs the ABI.
+function _shippedBinaries(m, { electronAbi = null } = {}) {
+    const selected = selectNativeBinaries(m.root, { electronAbi, include: m.expoBlock && m.expoBlock.binaries });
+    const files = selected.host.map((rel) => ({ rel, target: null }));
+    const abiPrebuilds = [];
+    for (const id of Object.keys(selected.ship)) {
+        for (const rel of selected.ship[id]) files.push({ rel, target: targetFromPath(rel) });
+        for (const rel of selected.candidates[id]) {
+            if (PREBUILDS_DIR.test(rel) && parsePrebuildTags(rel).abi) abiPrebuilds.push(rel);
+        }
+    }
+    return { files, skipped: selected.skipped, abiPrebuilds };
 }
 
-function makeResources(mods, projectRoot) {
+function makeResources(mods, projectRoot, { electronAbi = null } = {}) {
     const resources = [];
     for (const m of mods) {
-        const electronRoot = path.join(m.root, 'electron');
-        if (fs.existsSync(electronRoot)) {
-            // Only copy native binary artifacts (.node) into the packaging
-            // workspace. JS wrappers are expected to be bundled into app.asar.
-            function isUsefulNodeBinary(filePath) {
-                const rel = String(filePath || '').replace(/\\/g, '/');
-                if (!rel.toLowerCase().endsWith('.node')) return false;
-                if (rel.includes('/obj.target/')) return false;
-                if (rel.includes('/obj/')) return false;
-                return true;
-            }
-
-            function collectNodeFiles(dir, out) {
-                if (!fs.existsSync(dir)) return;
-                for (const ent of fs.readdirSync(dir)) {
-                    const full = path.join(dir, ent);
-                    try {
-                        const st = fs.statSync(full);
-                        if (st.isDirectory()) collectNodeFiles(full, out);
-                        else if (st.isFile() && isUsefulNodeBinary(full)) out.push(full);
-                    } catch (e) { }
-                }
-            }
-            const nodes = [];
-            collectNodeFiles(m.root, nodes);
-            for (const f of nodes) {
-                const relFrom = path.relative(projectRoot, f).replace(/\\/g, '/');
-                const relUnderModule = path.relative(m.root, f).replace(/\\/g, '/');
-                const dest = `native/${m.name}/${relUnderModule}`;
-                resources.push({ from: relFrom, to: dest });
-            }
+        // Only copy native binary artifacts (.node) into the packaging
+        // workspace. JS wrappers are expected to be bundled into app.asar.
+        const { files, skipped, abiPrebuilds } = _shippedBinaries(m, { electronAbi });
+        if (abiPrebuilds.length && !electronAbi) {
+            // Which of them ships depends on the ABI; guessing would make the
+            // manifest differ between machines.
+            throw new ExpoElectronError(
+                'E_AUTOLINK',
+                `Autolink: ${m.name} has prebuilds for specific Electron ABIs (${abiPrebuilds.sort().join(', ')}) but the Electron ABI is unknown. Install \`electron\` and \`@electron/rebuild\` (which provides node-abi) in the project.`,
+            );
+        }
+        for (const { rel, target } of files) {
+            const relFrom = path.relative(projectRoot, path.join(m.root, rel)).replace(/\\/g, '/');
+            const entry = { from: relFrom, to: `native/${m.name}/${rel}`, module: m.name };
+            if (target) Object.assign(entry, { platform: target.platform, arch: target.arch });
+            else entry.host = true;
+            resources.push(entry);
+        }
+        if (skipped.length) {
+            console.log(`Autolink: ${m.name}: not shipping prebuilds ${skipped.join(', ')}`);
+        }
+    }
+    return resources.sort((a, b) => (a.to < b.to ? -1 : a.to > b.to ? 1 : (a.from < b.from ? -1 : 1)));
+}
+
+// `electron-resources.json`: the sorted resources with the hash of their
+// JSON, so CI and `doctor` can tell a stale manifest from a hand-edited one.
+function renderResources(resources) {
+    const body = JSON.stringify(resources, null, 2);
+    return JSON.stringify({ generated: 'expo-electron autolink — do not edit by hand', contentHash: _contentHash(body), resources }, null, 2) + '\n';
+}
+
+// Main-process modules declared by Electron blocks (`main`). main/main.js
+// registers them once the app is ready (see main/native-modules.js).
+// `outDir` as in renderPreload.
+function renderNativeMain(mods, outDir) {
+    const lines = [];
+    lines.push('module.exports = [');
+    for (const m of mods) {
+        if (!m.expoBlock || !m.expoBlock.main) continue;
+        const list = (items) => `[${items.map((c) => `'${c}'`).join(', ')}]`;
+        lines.push(`  { name: '${m.name}', methods: ${list(m.expoBlock.methods)}, ipc: ${list(m.expoBlock.ipc)}, load: () => require(${_requireSpecifier(m, m.expoBlock.main, outDir)}) },`);
+    }
+    lines.push('];');
+    return _withHeader(lines.join('\n') + '\n');
+}
+
+// Modules the native host loads for a sandboxed preload (see
+// main/native-host.js): the same loaders the unsandboxed preload runs,
+// returning the module instead of exposing it. Empty without `sandbox`.
+function renderNativeHosted(mods, outDir, { sandbox = false } = {}) {
+    const lines = [];
+    lines.push("const path = require('path');");
+    lines.push("function _safeRequire(p) { try { return require(p); } catch (e) { return null } }");
+    lines.push('');
+    lines.push('module.exports = [];');
+    for (const m of sandbox ? mods : []) {
+        const { selected, inPreload } = _preloadPlan(m);
+        if (!inPreload) continue;
+        lines.push(`// module: ${m.name}`);
+        lines.push(`module.exports.push({ name: '${m.name}', load() {`);
+        _pushPreloadLoader(lines, m, selected, outDir);
+        lines.push('  return impl;');
+        lines.push('} });');
+    }
+    return _withHeader(lines.join('\n') + '\n');
+}
+
+// Namespaces of the `handlers` config whose file exists in `<outDir>/handlers`,
+// sorted, as `{ name, methods }`. A namespace that is also an autolinked
+// module name would share its channels and is left out.
+function _projectHandlers(handlers, mods, outDir) {
+    const moduleNames = new Set(mods.map((m) => m.name));
+    const list = [];
+    for (const ns of Object.keys(handlers || {}).sort()) {
+        if (moduleNames.has(ns)) {
+            console.warn(`Autolink: handlers.${ns}: an autolinked module has the same name; ignoring these handlers`);
             continue;
         }
-        if (m.expoBlock && m.expoBlock.entry) {
-            const src = path.join(m.root, m.expoBlock.entry);
-            if (fs.existsSync(src)) {
-                let rel = path.relative(projectRoot, src).replace(/\\/g, '/');
-                if (!rel) rel = '.';
-                resources.push({ from: rel, to: `native/${m.name}/${path.basename(m.expoBlock.entry)}` });
-            }
+        if (!fs.existsSync(path.join(outDir, 'handlers', `${ns}.js`))) {
+            console.warn(`Autolink: handlers.${ns}: no handlers/${ns}.js next to the generated preload; ignoring these handlers`);
+            continue;
         }
+        list.push({ name: ns, methods: Array.from(new Set(handlers[ns])).sort() });
     }
-    return resources;
+    return list;
 }
 
-function run(projectRoot, targetDir) {
-    try {
-        const mods = findElectronEntries(projectRoot);
-        if (!mods || mods.length === 0) {
-            console.log('Autolink: no electron modules found to link');
-        } else {
-            for (const m of mods) {
-                console.log(`Autolink: linking ${m.name} -> ${m.root}`);
-            }
+// Project handler files for main/main.js, in the native-main.js shape so the
+// same host registers them (see main/native-modules.js).
+function renderProjectHandlers(handlers) {
+    const lines = [];
+    lines.push('module.exports = [');
+    for (const h of handlers) {
+        lines.push(`  { name: '${h.name}', methods: [${h.methods.map((m) => `'${m}'`).join(', ')}], load: () => require('./handlers/${h.name}') },`);
+    }
+    lines.push('];');
+    return _withHeader(lines.join('\n') + '\n');
+}
+
+/**
+ * What autolink would link and ship, without writing anything
+ * (`expo-electron autolink --list`). One row per declared dependency.
+ * @param {string} projectRoot
+ * @param {{ include?: string[], exclude?: string[], electronAbi?: string|null }} [options]
+ * @returns {{ modules: Array<{ name: string, dependencyType: string, spec: string, linked: boolean, reason: string, root: string|null, via: string|null, entry: string|null, main: string|null, methods: string[], ipc: string[], binaries: Array<{ file: string, target: string }>, skippedPrebuilds: string[] }>, unmatched: { include: string[], exclude: string[] } }}
+ */
+function autolinkReport(projectRoot, { include = [], exclude = [], electronAbi = null } = {}) {
+    const { candidates, unmatched } = classifyDependencies(projectRoot, { include, exclude });
+    const modules = candidates.map((c) => {
+        const m = c.module;
+        const row = {
+            name: c.name,
+            dependencyType: c.dependencyType,
+            spec: c.spec,
+            linked: c.linked,
+            reason: c.reason,
+            root: c.root,
+            via: c.via,
+            entry: null,
+            main: null,
+            methods: [],
+            ipc: [],
+            binaries: [],
+            skippedPrebuilds: [],
+        };
+        if (!m) return row;
+        row.entry = m.expoBlock ? m.expoBlock.entry : 'electron/index.js';
+        row.main = m.expoBlock ? m.expoBlock.main : null;
+        row.methods = m.expoBlock ? m.expoBlock.methods : [];
+        row.ipc = m.expoBlock ? m.expoBlock.ipc : [];
+        const { files, skipped } = _shippedBinaries(m, { electronAbi });
+        row.binaries = files.map((f) => ({ file: f.rel, target: f.target ? `${f.target.platform}-${f.target.arch}` : 'host' }));
+        row.skippedPrebuilds = skipped;
+        return row;
+    });
+    modules.sort((x, y) => (x.linked === y.linked ? (x.name < y.name ? -1 : 1) : (x.linked ? -1 : 1)));
+    return { modules, unmatched };
+}
+
+function formatAutolinkReport(report) {
+    const head = { module: 'module', status: 'status', reason: 'reason', entry: 'entry', ships: 'ships' };
+    const lines = [head].concat(report.modules.map((r) => ({
+        module: r.dependencyType === 'devDependencies' ? `${r.name} (dev)` : r.name,
+        status: r.linked ? 'linked' : 'skipped',
+        reason: r.reason,
+        entry: [r.entry, r.main && `main: ${r.main}` + (r.methods.length ? ` (${r.methods.join(', ')})` : '')].filter(Boolean).join(', ') || '-',
+        ships: r.binaries.map((b) => `${b.file} (${b.target})`).join(', ') || '-',
+    })));
+    const cols = Object.keys(head);
+    const widths = cols.map((c) => Math.max(...lines.map((l) => String(l[c]).length)));
+    return lines.map((l) => '  ' + cols.map((c, i) => (i === cols.length - 1 ? String(l[c]) : String(l[c]).padEnd(widths[i]))).join('  ')).join('\n');
+}
+
+function _warnUnmatched(unmatched) {
+    for (const key of ['include', 'exclude']) {
+        for (const p of unmatched[key]) console.warn(`Autolink: autolink.${key} entry "${p}" matches no declared dependency`);
+    }
+}
+
+// Paths of the generated files: `<targetDir>/main/preload.js`,
+// `<targetDir>/main/native-main.js`, `<targetDir>/main/native-hosted.js`,
+// `<targetDir>/main/project-handlers.js` and
+// `<targetDir>/electron-resources.json` (without a targetDir: `src/` and the
+// project root).
+function _outputPaths(projectRoot, targetDir) {
+    const preloadPath = targetDir ? path.join(targetDir, 'main', 'preload.js') : path.join(projectRoot, 'src', 'preload.js');
+    return {
+        preloadPath,
+        nativeMainPath: path.join(path.dirname(preloadPath), 'native-main.js'),
+        nativeHostedPath: path.join(path.dirname(preloadPath), 'native-hosted.js'),
+        projectHandlersPath: path.join(path.dirname(preloadPath), 'project-handlers.js'),
+        resourcesPath: targetDir ? path.join(targetDir, 'electron-resources.json') : path.join(projectRoot, 'electron-resources.json'),
+    };
+}
+
+// Discover modules and render every generated file in memory.
+function _renderProject(projectRoot, targetDir, { electronAbi = null, include = [], exclude = [], sandbox = false, handlers = {} } = {}) {
+    const { candidates, unmatched } = classifyDependencies(projectRoot, { include, exclude });
+    const mods = candidates.filter((c) => c.linked).map((c) => c.module);
+    const paths = _outputPaths(projectRoot, targetDir);
+    const outDir = path.dirname(paths.preloadPath);
+    const resources = makeResources(mods, projectRoot, { electronAbi });
+    const projectHandlers = _projectHandlers(handlers, mods, outDir);
+    return {
+        candidates,
+        unmatched,
+        mods,
+        projectHandlers,
+        paths,
+        resources,
+        files: [
+            { path: paths.preloadPath, content: renderPreload(mods, projectRoot, outDir, { sandbox, handlers: projectHandlers }) },
+            { path: paths.nativeMainPath, content: renderNativeMain(mods, outDir) },
+            { path: paths.nativeHostedPath, content: renderNativeHosted(mods, outDir, { sandbox }) },
+            { path: paths.projectHandlersPath, content: renderProjectHandlers(projectHandlers) },
+            { path: paths.resourcesPath, content: renderResources(resources) },
+        ],
+    };
+}
+
+/**
+ * Compare the generated files on disk with what autolink would write now
+ * (`expo-electron autolink --check`). Writes nothing. A file is `same`,
+ * `missing`, `changed` (stale: dependencies or their native files changed)
+ * or `edited` (its content no longer matches its own content hash).
+ * @param {string} projectRoot
+ * @param {string} [targetDir]
+ * @param {{ electronAbi?: string|null, include?: string[], exclude?: string[], sandbox?: boolean, handlers?: object }} [options]
+ * @returns {{ ok: boolean, files: Array<{ file: string, status: 'same'|'missing'|'changed'|'edited', diff: string }> }}
+ */
+function checkProject(projectRoot, targetDir, options = {}) {
+    const { files } = _renderProject(projectRoot, targetDir, options);
+    const results = files.map(({ path: file, content }) => {
+        const rel = path.relative(projectRoot, file).replace(/\\/g, '/');
+        if (!fs.existsSync(file)) {
+            return { file: rel, status: 'missing', diff: unifiedDiff('', content, { fromLabel: '/dev/null', toLabel: rel }) };
+        }
+        const current = fs.readFileSync(file, 'utf8');
+        if (current === content) return { file: rel, status: 'same', diff: '' };
+        return {
+            file: rel,
+            status: verifyContentHash(current) === false ? 'edited' : 'changed',
+            diff: unifiedDiff(current, content, { fromLabel: `${rel} (on disk)`, toLabel: `${rel} (autolink)` }),
+        };
+    });
+    return { ok: results.every((r) => r.status === 'same'), files: results };
+}
+
+/**
+ * Discover modules and write the generated preload, main-process module
+ * lists, project handler list and resources manifest. `include` / `exclude`
+ * are the `autolink` config lists (see classifyDependencies); `sandbox` and
+ * `handlers` are the config options of the same name (see renderPreload;
+ * `autolinkOptions` builds all of them from a loaded config). Output is sorted and carries a content
+ * hash, so it only changes when the linked modules or their files change.
+ * Throws an `E_AUTOLINK` ExpoElectronError on failure.
+ */
+function linkProject(projectRoot, targetDir, { electronAbi = null, include = [], exclude = [], sandbox = false, handlers = {} } = {}) {
+    const { candidates, unmatched, mods, projectHandlers, paths, resources, files } = _renderProject(projectRoot, targetDir, { electronAbi, include, exclude, sandbox, handlers });
+    _warnUnmatched(unmatched);
+    for (const c of candidates) {
+        if (_filterReason(c.name, { include, exclude })) console.log(`Autolink: skipping ${c.name} (${c.reason})`);
+    }
+    if (!mods || mods.length === 0) {
+        console.log('Autolink: no electron modules found to link');
+    } else {
+        for (const m of mods) {
+            console.log(`Autolink: linking ${m.name} -> ${m.root}`);
         }
-        // If a targetDir is supplied (prebuild folder), write into its main/ folder
-        const outPreload = targetDir ? path.join(targetDir, 'main', 'preload.js') : path.join(projectRoot, 'src', 'preload.js');
-        makePreload(mods, outPreload, projectRoot);
-        const resources = makeResources(mods, projectRoot);
-        const outResources = targetDir ? path.join(targetDir, 'electron-resources.json') : path.join(projectRoot, 'electron-resources.json');
-        fs.writeFileSync(outResources, JSON.stringify(resources, null, 2), 'utf8');
-        console.log('expo-electron autolink: wrote', outPreload, 'and', outResources);
-    } catch (e) {
-        console.error('expo-electron autolink: failed', e && e.message);
     }
+    for (const h of projectHandlers) {
+        console.log(`Autolink: project handlers ${h.name} (${h.methods.join(', ')})`);
+    }
+    for (const f of files) {
+        try {
+            fs.mkdirSync(path.dirname(f.path), { recursive: true });
+            fs.writeFileSync(f.path, f.content, 'utf8');
+        } catch (e) {
+            throw new ExpoElectronError('E_AUTOLINK', `Autolink: cannot write ${f.path}: ${e && e.message}`, { cause: e });
+        }
+    }
+    console.log('expo-electron autolink: wrote', paths.preloadPath, 'and', paths.resourcesPath);
+    return { modules: mods, preloadPath: paths.preloadPath, nativeMainPath: paths.nativeMainPath, nativeHostedPath: paths.nativeHostedPath, projectHandlersPath: paths.projectHandlersPath, resourcesPath: paths.resourcesPath, resources };
+}
+
+/**
+ * linkProject / checkProject options from a loaded project config (see
+ * lib/config.js), without `electronAbi`.
+ */
+function autolinkOptions(config) {
+    return { ...config.autolink, sandbox: config.sandbox, handlers: config.handlers };
+}
+
+// Kept for callers of the old entry point; failures now throw like linkProject.
+function run(projectRoot, targetDir) {
+    return linkProject(projectRoot, targetDir);
 }
 
-module.exports = { run };
+module.exports = { run, linkProject, checkProject, autolinkOptions, validateHandlersConfig, renderProjectHandlers, verifyContentHash, autolinkReport, formatAutolinkReport, validateAutolinkConfig, classifyDependencies, findElectronEntries, readElectronBlock, renderPreload, renderNativeMain, renderNativeHosted, renderResources, makeResources, selectNativeBinaries, parsePrebuildTags };
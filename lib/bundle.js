@@ -0,0 +1,89 @@
+const fs = require('fs');
+
+// esbuild bundling of the Electron main/preload entries for packaging.
+// `beforeBuild(options)` may return modified esbuild options (used by the
+// `beforeBundle` packaging hook).
+
+// esbuild options shared by the main and preload bundles.
+function _buildOptions({ entryFile, outFile, projectRoot }) {
+    return {
+        entryPoints: [entryFile],
+        outfile: outFile,
+        bundle: true,
+        platform: 'node',
+        format: 'cjs',
+        target: ['node22'],
+        absWorkingDir: projectRoot,
+        logLevel: 'info',
+        sourcemap: false,
+        // Never bundle Electron itself or native addons.
+        external: ['electron', '*.node'],
+        // Keep runtime semantics similar to Node/Electron.
+        define: {
+            'process.env.NODE_ENV': JSON.stringify(process.env.NODE_ENV || 'production'),
+        },
+    };
+}
+
+async function bundleElectronMainIfNeeded({ entryFile, outFile, projectRoot, enabled = true, beforeBuild = null }) {
+    // Allow disabling bundling for debugging/workarounds.
+    if (!enabled) {
+        console.log('Packaging: skipping main bundling (bundleMain disabled)');
+        return { bundled: false, entry: entryFile };
+    }
+
+    let esbuild;
+    try {
+        esbuild = require('esbuild');
+    } catch (e) {
+        console.error('Packaging: missing esbuild dependency in expo-electron.');
+        console.error('Install deps at project root (or re-install expo-electron): `npm install`');
+        throw e;
+    }
+
+    if (!fs.existsSync(entryFile)) {
+        throw new Error('Packaging: cannot bundle missing entry: ' + entryFile);
+    }
+
+    console.log('Packaging: bundling Electron main', entryFile, '->', outFile);
+    let buildOptions = _buildOptions({ entryFile, outFile, projectRoot });
+    // Let the caller (packaging hooks) adjust or replace the options.
+    if (beforeBuild) buildOptions = await beforeBuild(buildOptions);
+    await esbuild.build(buildOptions);
+
+    return { bundled: true, entry: outFile };
+}
+
+async function bundleElectronPreloadIfNeeded({ entryFile, outFile, projectRoot, enabled = true, beforeBuild = null }) {
+    // Allow disabling bundling for debugging/workarounds.
+    if (!enabled) {
+        console.log('Packaging: skipping preload bundling (bundlePreload disabled)');
+        return { bundled: false, entry: entryFile };
+    }
+
+    let esbuild;
+    try {
+        esbuild = require('esbuild');
+    } catch (e) {
+        console.error('Packaging: missing esbuild dependency in expo-electron.');
+        console.error('Install deps at project root (or re-install expo-electron): `npm install`');
+        throw e;
+    }
+
+    if (!fs.existsSync(entryFile)) {
+        throw new Error('Packaging: cannot bundle missing preload entry: ' + entryFile);
+    }
+
+    console.log('Packaging: bundling Electron preload', entryFile, '->', outFile);
+    let buildOptions = _buildOptions({ entryFile, outFile, projectRoot });
+    // Let the caller (packaging hooks) adjust or replace the options.
+    if (beforeBuild) buildOptions = await beforeBuild(buildOptions);
+    await esbuild.build(buildOptions);
+
+    return { bundled: true, entry: outFile };
+}
+
+module.exports = {
+    bundleElectronMainIfNeeded,
+    bundleElectronPreloadIfNeeded,
+};
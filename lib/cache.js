@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { readJsonIfExists, removeDir } = require('./fs-utils');
+
+// Incremental packaging cache.
+//
+// Each packaging stage (web export, main/preload bundling, per-module native
+// builds) is keyed by a content hash of its inputs. When the key matches the
+// last successful run the stage is skipped and its cached output restored.
+//
+// The cache lives in `node_modules/.cache/expo-electron/`:
+//   manifest.json            { version, stages: { '<stage>': { key, files? } } }
+//   stages/<stage>/          cached output of directory stages (export, bundle)
+//
+// `noCache` (`package --no-cache`) ignores existing entries but still records
+// the fresh results, so the next run can use them again.
+
+const CACHE_VERSION = 1;
+const CACHE_DIR = path.join('node_modules', '.cache', 'expo-electron');
+
+// Never part of any stage's inputs.
+const ALWAYS_IGNORED = ['node_modules', '.git'];
+
+// Package manager lockfiles; they pin what ends up in the export and bundles.
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb', 'bun.lock'];
+
+function _sha256() {
+    return crypto.createHash('sha256');
+}
+
+/**
+ * Hash a JSON-serialisable value.
+ */
+function hashValue(value) {
+    return _sha256().update(JSON.stringify(value === undefined ? null : value)).digest('hex');
+}
+
+function _walk(root, dir, options, out) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+        return;
+    }
+    for (const ent of entries) {
+        if (ALWAYS_IGNORED.includes(ent.name)) continue;
+        const full = path.join(dir, ent.name);
+        const rel = path.relative(root, full).split(path.sep).join('/');
+        if (options.ignore.includes(rel)) continue;
+        if (ent.isDirectory()) {
+            if (options.ignoreDotDirs && ent.name.startsWith('.')) continue;
+            _walk(root, full, options, out);
+        } else if (ent.isFile()) out.push(rel);
+    }
+}
+
+/**
+ * Content hash of every file under `root` (paths and bytes), skipping
+ * `node_modules`, `.git` and the root-relative paths in `ignore`.
+ * `ignoreDotDirs` also skips directories whose name starts with a dot (dot
+ * files are still hashed). Files larger than `maxFileBytes` are hashed by
+ * size and modification time instead of their bytes.
+ * @param {string} root
+ * @param {{ ignore?: string[], ignoreDotDirs?: boolean, maxFileBytes?: number }} [options]
+ */
+function hashDirectory(root, { ignore = [], ignoreDotDirs = false, maxFileBytes = Infinity } = {}) {
+    const hash = _sha256();
+    if (!fs.existsSync(root)) return hash.update('missing').digest('hex');
+    const files = [];
+    _walk(root, root, { ignore, ignoreDotDirs }, files);
+    for (const rel of files.sort()) {
+        const file = path.join(root, rel);
+        hash.update(rel + '\0');
+        const stat = fs.statSync(file);
+        if (stat.size > maxFileBytes) hash.update(`stat:${stat.size}:${stat.mtimeMs}`);
+        else hash.update(fs.readFileSync(file));
+        hash.update('\0');
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Content hash of a list of `root`-relative files; missing files hash as missing.
+ */
+function hashFiles(root, files) {
+    const hash = _sha256();
+    for (const rel of files) {
+        const file = path.join(root, rel);
+        hash.update(String(rel) + '\0');
+        hash.update(fs.existsSync(file) ? fs.readFileSync(file) : 'missing');
+        hash.update('\0');
+    }
+    return hash.digest('hex');
+}
+
+function _fileHash(file) {
+    return _sha256().update(fs.readFileSync(file)).digest('hex');
+}
+
+function _copyDir(src, dest) {
+    removeDir(dest);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.cpSync(src, dest, { recursive: true });
+}
+
+/**
+ * Open the packaging cache for a project.
+ * @param {{ projectRoot: string, noCache?: boolean }} options
+ */
+function openCache({ projectRoot, noCache = false }) {
+    const cacheDir = path.join(projectRoot, CACHE_DIR);
+    const manifestPath = path.join(cacheDir, 'manifest.json');
+    let manifest = readJsonIfExists(manifestPath);
+    if (!manifest || manifest.version !== CACHE_VERSION || typeof manifest.stages !== 'object') {
+        manifest = { version: CACHE_VERSION, stages: {} };
+    }
+    // Per-run record of what happened to each stage, for the summary.
+    const results = [];
+
+    function _save() {
+        fs.mkdirSync(cacheDir, { recursive: true });
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+    }
+
+    function _stageDir(stage) {
+        return path.join(cacheDir, 'stages', stage.replace(/[^A-Za-z0-9._-]+/g, '_'));
+    }
+
+    function lookup(stage, key) {
+        if (noCache) return null;
+        const entry = manifest.stages[stage];
+        if (!entry || entry.key !== key) return null;
+        return entry;
+    }
+
+    function record(stage, status, key) {
+        results.push({ stage, status, key });
+    }
+
+    /**
+     * Restore a cached output directory into `dest`. Returns true on a hit.
+     */
+    function restoreDir(stage, key, dest) {
+        const entry = lookup(stage, key);
+        const dir = _stageDir(stage);
+        if (!entry || !fs.existsSync(dir)) return false;
+        try {
+            _copyDir(dir, dest);
+        } catch (e) {
+            console.warn(`Cache: failed to restore ${stage}:`, e && e.message);
+            return false;
+        }
+        record(stage, 'skipped', key);
+        return true;
+    }
+
+    /**
+     * Store the output directory `src` for `stage` under `key`.
+     */
+    function storeDir(stage, key, src) {
+        record(stage, 'built', key);
+        try {
+            // Drop the old entry first so a half-copied output is never reused.
+            delete manifest.stages[stage];
+            _save();
+            _copyDir(src, _stageDir(stage));
+            manifest.stages[stage] = { key };
+            _save();
+        } catch (e) {
+            console.warn(`Cache: failed to store ${stage}:`, e && e.message);
+        }
+    }
+
+    /**
+     * Stages whose outputs stay in place (native builds): return the entry
+     * when the key matches and every recorded output file is unchanged.
+     */
+    function checkFiles(stage, key, root) {
+        const entry = lookup(stage, key);
+        if (!entry || !entry.files) return false;
+        for (const rel of Object.keys(entry.files)) {
+            const file = path.join(root, rel);
+            if (!fs.existsSync(file) || _fileHash(file) !== entry.files[rel]) return false;
+        }
+        record(stage, 'skipped', key);
+        return true;
+    }
+
+    function storeFiles(stage, key, root, files) {
+        record(stage, 'built', key);
+        const hashes = {};
+        for (const rel of files) hashes[rel] = _fileHash(path.join(root, rel));
+        manifest.stages[stage] = { key, files: hashes };
+        try {
+            _save();
+        } catch (e) {
+            console.warn(`Cache: failed to store ${stage}:`, e && e.message);
+        }
+    }
+
+    function summary() {
+        return results.slice();
+    }
+
+    return {
+        dir: cacheDir,
+        noCache,
+        restoreDir,
+        storeDir,
+        checkFiles,
+        storeFiles,
+        record,
+        summary,
+    };
+}
+
+function formatCacheSummary(results) {
+    const width = Math.max(0, ...results.map((r) => r.stage.length));
+    return results.map((r) => `  ${r.stage.padEnd(width)}  ${r.status === 'skipped' ? 'skipped (cached)' : r.status}`).join('\n');
+}
+
+module.exports = {
+    CACHE_DIR,
+    LOCKFILES,
+    hashValue,
+    hashDirectory,
+    hashFiles,
+    openCache,
+    formatCacheSummary,
+};
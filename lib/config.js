@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+
+const { readExpoConfig } = require('./expo-config');
+const { validateForgeConfig } = require('./forge-config');
+const { validateFuses } = require('./fuses');
+const { validateWindowOptions } = require('./app-identity');
+const { validateAutolinkConfig, validateHandlersConfig } = require('./autolink');
+const { APP_SCHEME } = require('../main/protocol');
+
+// Project configuration for expo-electron.
+//
+// Sources (later wins):
+//   1. `expo.electron` block in the Expo config (app.json or app.config.js/ts)
+//   2. `electron.config.js` / `electron.config.json` at the project root
+//   3. EXPO_ELECTRON_* environment variables
+//
+// The resolved config is validated up front so typos fail loudly instead of
+// being silently ignored deep into packaging.
+
+const CONFIG_FILE_NAMES = ['electron.config.js', 'electron.config.json'];
+
+const NATIVE_HOSTS = ['utility', 'main'];
+
+function validateNativeHost(value, key) {
+    return NATIVE_HOSTS.includes(value) ? [] : [`option "${key}" must be one of ${NATIVE_HOSTS.map((h) => `"${h}"`).join(', ')}, got ${JSON.stringify(value)}`];
+}
+
+// Deep link schemes may not take the scheme the packaged app is served from.
+function validateProtocols(value, key) {
+    return value.some((p) => p.trim().toLowerCase() === APP_SCHEME)
+        ? [`option "${key}" cannot contain "${APP_SCHEME}": the packaged app is served from ${APP_SCHEME}://`]
+        : [];
+}
+
+// `navigation` lists: origins are `scheme://host[:port]` (a trailing path is
+// ignored), schemes are `https:` or `https`.
+const NAVIGATION_LISTS = {
+    allowedOrigins: { pattern: /^[a-z][a-z0-9+.-]*:\/\/[^/?#\s]+/i, what: 'origins like "https://auth.example.com"' },
+    openExternal: { pattern: /^[a-z][a-z0-9+.-]*:?$/i, what: 'URL schemes like "https:" or "mailto:"' },
+    webviewOrigins: { pattern: /^https?:\/\/[^/?#\s]+/i, what: 'http(s) origins like "https://docs.example.com"' },
+};
+
+function validateNavigationConfig(value, key) {
+    const errors = [];
+    for (const name of Object.keys(value)) {
+        const spec = NAVIGATION_LISTS[name];
+        if (!spec) {
+            errors.push(`${key}: unknown option "${name}" (known: ${Object.keys(NAVIGATION_LISTS).join(', ')})`);
+        } else if (!Array.isArray(value[name]) || !value[name].every((v) => typeof v === 'string' && spec.pattern.test(v.trim()))) {
+            errors.push(`${key}.${name} must be an array of ${spec.what}`);
+        }
+    }
+    return errors;
+}
+
+// Each option declares its type, default and (optionally) the environment
+// variable that overrides it. `envInvert` marks the legacy `EXPO_ELECTRON_NO_*`
+// variables where a truthy value means the option is turned off. `validate`
+// returns extra problems for structured values.
+const OPTIONS = {
+    buildDir: { type: 'string', default: 'build', env: 'EXPO_ELECTRON_BUILD_DIR' },
+    nativeBuild: { type: 'boolean', default: true, env: 'EXPO_ELECTRON_NO_NATIVE_BUILD', envInvert: true },
+    // Compile binding.gyp modules with @electron/rebuild (lib/native-rebuild.js).
+    nativeRebuild: { type: 'boolean', default: false, env: 'EXPO_ELECTRON_NATIVE_REBUILD' },
+    // `{ include, exclude }` package names or globs for autolink (see lib/autolink.js).
+    autolink: { type: 'object', default: {}, validate: validateAutolinkConfig },
+    // Project IPC handlers: `{ namespace: [methods] }`, implemented in electron/main/handlers/<namespace>.js.
+    handlers: { type: 'object', default: {}, validate: validateHandlersConfig },
+    verbose: { type: 'boolean', default: false, env: 'EXPO_ELECTRON_VERBOSE' },
+    bundleMain: { type: 'boolean', default: true, env: 'EXPO_ELECTRON_NO_BUNDLE_MAIN', envInvert: true },
+    bundlePreload: { type: 'boolean', default: true, env: 'EXPO_ELECTRON_NO_BUNDLE_PRELOAD', envInvert: true },
+    // `false` disables CSP, a string overrides the default policy.
+    csp: { type: 'string|boolean', default: true },
+    protocols: { type: 'string[]', default: [], validate: validateProtocols },
+    singleInstance: { type: 'boolean', default: true, env: 'EXPO_ELECTRON_NO_SINGLE_INSTANCE', envInvert: true },
+    linuxTempDesktop: { type: 'boolean', default: true, env: 'EXPO_ELECTRON_LINUX_NO_TEMP_DESKTOP', envInvert: true },
+    copyNativeOnly: { type: 'boolean', default: false, env: 'EXPO_ELECTRON_COPY_NATIVE_ONLY' },
+    extraResourceNative: { type: 'boolean', default: true, env: 'EXPO_ELECTRON_NO_EXTRA_RESOURCE_NATIVE', envInvert: true },
+    // Reuse unchanged packaging stages from node_modules/.cache/expo-electron (see lib/cache.js).
+    cache: { type: 'boolean', default: true, env: 'EXPO_ELECTRON_NO_CACHE', envInvert: true },
+    // Packaging lifecycle hook module, relative to the project root (see lib/hooks.js).
+    hooks: { type: 'string', default: 'electron/hooks.js' },
+    // Forge config fragment deep-merged over the generated defaults (see lib/forge-config.js).
+    forge: { type: 'object', default: {}, validate: validateForgeConfig },
+    // Electron fuse overrides by name, or `false` to leave fuses untouched (see lib/fuses.js).
+    fuses: { type: 'object|boolean', default: {}, validate: validateFuses },
+    // BrowserWindow options on top of the Expo-derived defaults (see lib/app-identity.js).
+    window: { type: 'object', default: {}, validate: validateWindowOptions },
+    // Save the main window's bounds in userData and restore them on launch (see main/window-state.js).
+    windowState: { type: 'boolean', default: true, env: 'EXPO_ELECTRON_NO_WINDOW_STATE', envInvert: true },
+    // Sandboxed renderer: native modules run outside the preload (see main/native-host.js).
+    sandbox: { type: 'boolean', default: false, env: 'EXPO_ELECTRON_SANDBOX' },
+    // Where sandbox mode hosts native modules: an Electron utilityProcess or the main process.
+    nativeHost: { type: 'string', default: 'utility', validate: validateNativeHost },
+    webviewTag: { type: 'boolean', default: false },
+    // `{ allowedOrigins, openExternal, webviewOrigins }` link and navigation allowlists (see main/navigation.js).
+    navigation: { type: 'object', default: {}, validate: validateNavigationConfig },
+};
+
+// Options the Electron main process needs at runtime. These are embedded into
+// the packaging workspace package.json (and passed via env in development).
+const RUNTIME_KEYS = ['csp', 'protocols', 'singleInstance', 'window', 'windowState', 'sandbox', 'nativeHost', 'webviewTag', 'navigation'];
+
+function _parseEnvBoolean(name) {
+    const raw = String(process.env[name] || '').trim().toLowerCase();
+    if (['1', 'true', 'yes'].includes(raw)) return true;
+    if (['0', 'false', 'no'].includes(raw)) return false;
+    return undefined;
+}
+
+function _typeMatches(type, value) {
+    switch (type) {
+        case 'string': return typeof value === 'string' && value.trim().length > 0;
+        case 'boolean': return typeof value === 'boolean';
+        case 'string|boolean': return typeof value === 'boolean' || (typeof value === 'string' && value.trim().length > 0);
+        case 'string[]': return Array.isArray(value) && value.every((v) => typeof v === 'string' && v.trim().length > 0);
+        case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+        case 'object|boolean': return typeof value === 'boolean' || _typeMatches('object', value);
+        default: return false;
+    }
+}
+
+function _describeType(type) {
+    switch (type) {
+        case 'string': return 'a non-empty string';
+        case 'boolean': return 'true or false';
+        case 'string|boolean': return 'a boolean or a non-empty string';
+        case 'string[]': return 'an array of non-empty strings';
+        case 'object': return 'an object';
+        case 'object|boolean': return 'an object or a boolean';
+        default: return type;
+    }
+}
+
+function validateConfig(raw, source) {
+    const errors = [];
+    if (raw === undefined || raw === null) return { config: {}, errors };
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push(`${source}: expected an object, got ${Array.isArray(raw) ? 'array' : typeof raw}`);
+        return { config: {}, errors };
+    }
+    const config = {};
+    for (const key of Object.keys(raw)) {
+        const spec = OPTIONS[key];
+        if (!spec) {
+            errors.push(`${source}: unknown option "${key}" (known: ${Object.keys(OPTIONS).join(', ')})`);
+            continue;
+        }
+        const value = raw[key];
+        if (!_typeMatches(spec.type, value)) {
+            errors.push(`${source}: option "${key}" must be ${_describeType(spec.type)}, got ${JSON.stringify(value)}`);
+            continue;
+        }
+        if (spec.validate) {
+            const problems = spec.validate(value, key);
+            if (problems.length) {
+                errors.push(...problems.map((p) => `${source}: ${p}`));
+                continue;
+            }
+        }
+        config[key] = value;
+    }
+    return { config, errors };
+}
+
+function _isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Layer `over` on `base`: plain objects merge key by key (recursively), any
+// other value (arrays included) replaces what was there.
+function _mergeValue(base, over) {
+    if (!_isPlainObject(base) || !_isPlainObject(over)) return over;
+    const out = Object.assign({}, base);
+    for (const key of Object.keys(over)) out[key] = _mergeValue(base[key], over[key]);
+    return out;
+}
+
+function _readExpoBlock(projectRoot) {
+    // Goes through the shared Expo config loader so `expo.electron` can also
+    // live in app.config.js / app.config.ts.
+    const { expo, source } = readExpoConfig(projectRoot);
+    const block = (expo || {}).electron;
+    if (block === undefined) return null;
+    return { source: `${source || 'app.json'} (expo.electron)`, raw: block };
+}
+
+function _readConfigFile(projectRoot) {
+    for (const name of CONFIG_FILE_NAMES) {
+        const file = path.resolve(projectRoot, name);
+        if (!fs.existsSync(file)) continue;
+        let raw;
+        try {
+            if (name.endsWith('.json')) {
+                raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } else {
+                delete require.cache[require.resolve(file)];
+                raw = require(file);
+                if (raw && raw.__esModule && raw.default) raw = raw.default;
+                if (typeof raw === 'function') raw = raw({ projectRoot });
+            }
+        } catch (e) {
+            throw new Error(`Config: failed to load ${file}: ${e && e.message}`);
+        }
+        return { source: name, raw };
+    }
+    return null;
+}
+
+function _applyEnvOverrides(config) {
+    const out = Object.assign({}, config);
+    for (const key of Object.keys(OPTIONS)) {
+        const spec = OPTIONS[key];
+        if (!spec.env) continue;
+        if (spec.type === 'boolean') {
+            const v = _parseEnvBoolean(spec.env);
+            if (v === undefined) continue;
+            out[key] = spec.envInvert ? !v : v;
+        } else if (spec.type === 'string') {
+            const v = String(process.env[spec.env] || '').trim();
+            if (v) out[key] = v;
+        }
+    }
+
+    // CSP has two variables: one to disable and one to override the policy.
+    const noCsp = _parseEnvBoolean('EXPO_ELECTRON_NO_CSP');
+    if (noCsp === true) out.csp = false;
+    else if (process.env.EXPO_ELECTRON_CSP) out.csp = String(process.env.EXPO_ELECTRON_CSP);
+
+    if (_parseEnvBoolean('EXPO_ELECTRON_NO_FUSES') === true) out.fuses = false;
+
+    const protoRaw = process.env.EXPO_ELECTRON_PROTOCOLS || process.env.EXPO_ELECTRON_PROTOCOL;
+    const protocols = String(protoRaw || '').split(',').map((s) => s.trim()).filter(Boolean);
+    if (protocols.length > 0) out.protocols = protocols;
+
+    return out;
+}
+
+/**
+ * Load, validate and resolve the project configuration.
+ * Throws an Error listing every problem when the config is invalid.
+ */
+function loadConfig(projectRoot) {
+    const sources = [_readExpoBlock(projectRoot), _readConfigFile(projectRoot)].filter(Boolean);
+    const errors = [];
+    let merged = {};
+    for (const s of sources) {
+        const res = validateConfig(s.raw, s.source);
+        errors.push(...res.errors);
+        for (const key of Object.keys(res.config)) merged[key] = _mergeValue(merged[key], res.config[key]);
+    }
+    return _resolve(merged, errors, sources.map((s) => s.source));
+}
+
+// Defaults and env overrides on top of validated options.
+function _resolve(merged, errors, sources) {
+    if (errors.length > 0) {
+        throw new Error('Invalid expo-electron config:\n  - ' + errors.join('\n  - '));
+    }
+
+    const defaults = {};
+    for (const key of Object.keys(OPTIONS)) defaults[key] = OPTIONS[key].default;
+    const config = _applyEnvOverrides(Object.assign(defaults, merged));
+    Object.defineProperty(config, 'sources', { value: sources, enumerable: false });
+    return config;
+}
+
+/**
+ * Validate and resolve a config object passed in by a caller (the `config`
+ * option of the programmatic API) the same way `loadConfig` resolves the
+ * project's config files. Throws like `loadConfig`.
+ * @param {object} raw
+ * @param {string} [source] name used in error messages
+ */
+function resolveConfig(raw, source = 'options.config') {
+    const res = validateConfig(raw, source);
+    return _resolve(res.config, res.errors, Array.isArray(raw && raw.sources) ? raw.sources : [source]);
+}
+
+function getRuntimeConfig(config) {
+    const out = {};
+    for (const key of RUNTIME_KEYS) {
+        if (config[key] !== undefined) out[key] = config[key];
+    }
+    return out;
+}
+
+module.exports = {
+    CONFIG_FILE_NAMES,
+    OPTIONS,
+    validateConfig,
+    loadConfig,
+    resolveConfig,
+    getRuntimeConfig,
+};
@@ -0,0 +1,192 @@
+// Minimal line-based diff utilities used by `prebuild --diff` / `--upgrade`
+// and `autolink --check`. Template and generated files are small, so a straightforward LCS table is fast enough and
+// keeps this dependency-free.
+
+function splitLines(text) {
+    const s = String(text || '');
+    if (!s) return [];
+    // Keep line terminators so joined output round-trips byte-for-byte.
+    return s.split(/(?<=\n)/);
+}
+
+// Returns an array where out[i] is the index in `b` matched to a[i] (or -1).
+function lcsMatch(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const table = new Array(n + 1);
+    for (let i = 0; i <= n; i++) table[i] = new Uint32Array(m + 1);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+    const match = new Array(n).fill(-1);
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            match[i] = j;
+            i++;
+            j++;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return match;
+}
+
+// Edit script between line arrays: [{ type: 'equal'|'delete'|'insert', line }].
+function diffLines(a, b) {
+    const match = lcsMatch(a, b);
+    const ops = [];
+    let j = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (match[i] === -1) {
+            ops.push({ type: 'delete', line: a[i] });
+            continue;
+        }
+        while (j < match[i]) ops.push({ type: 'insert', line: b[j++] });
+        ops.push({ type: 'equal', line: a[i] });
+        j++;
+    }
+    while (j < b.length) ops.push({ type: 'insert', line: b[j++] });
+    return ops;
+}
+
+function _fmtLine(prefix, line) {
+    return prefix + (line.endsWith('\n') ? line : line + '\n\\ No newline at end of file\n');
+}
+
+/**
+ * Unified diff of two texts. Returns '' when they are identical.
+ */
+function unifiedDiff(aText, bText, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+    const a = splitLines(aText);
+    const b = splitLines(bText);
+    const ops = diffLines(a, b);
+    if (ops.every((op) => op.type === 'equal')) return '';
+
+    // Annotate ops with their 1-based positions in a/b.
+    let ai = 0;
+    let bi = 0;
+    const annotated = ops.map((op) => {
+        const rec = Object.assign({ aPos: ai, bPos: bi }, op);
+        if (op.type !== 'insert') ai++;
+        if (op.type !== 'delete') bi++;
+        return rec;
+    });
+
+    const out = [`--- ${fromLabel}\n`, `+++ ${toLabel}\n`];
+    let idx = 0;
+    while (idx < annotated.length) {
+        // Find next change.
+        while (idx < annotated.length && annotated[idx].type === 'equal') idx++;
+        if (idx >= annotated.length) break;
+        let start = Math.max(0, idx - context);
+        let end = idx;
+        // Extend hunk while changes are within 2*context lines of each other.
+        while (end < annotated.length) {
+            if (annotated[end].type !== 'equal') {
+                end++;
+                continue;
+            }
+            let k = end;
+            while (k < annotated.length && annotated[k].type === 'equal') k++;
+            if (k < annotated.length && k - end <= context * 2) {
+                end = k;
+                continue;
+            }
+            end = Math.min(annotated.length, end + context);
+            break;
+        }
+        const hunk = annotated.slice(start, end);
+        const aCount = hunk.filter((op) => op.type !== 'insert').length;
+        const bCount = hunk.filter((op) => op.type !== 'delete').length;
+        const aStart = aCount ? hunk[0].aPos + 1 : hunk[0].aPos;
+        const bStart = bCount ? hunk[0].bPos + 1 : hunk[0].bPos;
+        out.push(`@@ -${aStart},${aCount} +${bStart},${bCount} @@\n`);
+        for (const op of hunk) {
+            const prefix = op.type === 'equal' ? ' ' : (op.type === 'delete' ? '-' : '+');
+            out.push(_fmtLine(prefix, op.line));
+        }
+        idx = end;
+    }
+    return out.join('');
+}
+
+function _same(x, y) {
+    return x.length === y.length && x.every((v, i) => v === y[i]);
+}
+
+// Line ending of the first terminated line: '\r\n', '\n' or null.
+function _lineEnding(lines) {
+    const line = lines.find((l) => l.endsWith('\n'));
+    if (!line) return null;
+    return line.endsWith('\r\n') ? '\r\n' : '\n';
+}
+
+/**
+ * Three-way merge (diff3 style). `base` may be null when the common ancestor
+ * is unknown; then every region where ours and theirs differ is a conflict.
+ * Returns { text, conflicts }.
+ */
+function merge3(baseText, oursText, theirsText, { oursLabel = 'ours', baseLabel = 'base', theirsLabel = 'theirs' } = {}) {
+    const ours = splitLines(oursText);
+    const theirs = splitLines(theirsText);
+    const base = baseText === null || baseText === undefined ? null : splitLines(baseText);
+
+    // Without a base, merge against the lines both sides share.
+    const effectiveBase = base || (() => {
+        const m = lcsMatch(ours, theirs);
+        return ours.filter((_, i) => m[i] !== -1);
+    })();
+    const mapO = lcsMatch(effectiveBase, ours);
+    const mapT = lcsMatch(effectiveBase, theirs);
+
+    const out = [];
+    let conflicts = 0;
+    let i = 0;
+    let o = 0;
+    let t = 0;
+
+    // Conflict markers (and a missing final newline inside a conflict) use
+    // the file's own line ending.
+    const eol = _lineEnding(ours) || _lineEnding(theirs) || _lineEnding(base || []) || '\n';
+    const ensureNewline = (lines) => lines.map((l, k) => (k === lines.length - 1 && !l.endsWith('\n') ? l + eol : l));
+
+    function emitChunk(b, x, y) {
+        if (!b.length && !x.length && !y.length) return;
+        if (_same(x, y)) { out.push(...x); return; }
+        if (base && _same(x, b)) { out.push(...y); return; }
+        if (base && _same(y, b)) { out.push(...x); return; }
+        conflicts++;
+        out.push(`<<<<<<< ${oursLabel}${eol}`, ...ensureNewline(x));
+        if (base) out.push(`||||||| ${baseLabel}${eol}`, ...ensureNewline(b));
+        out.push(`=======${eol}`, ...ensureNewline(y), `>>>>>>> ${theirsLabel}${eol}`);
+    }
+
+    while (i <= effectiveBase.length) {
+        let j = i;
+        while (j < effectiveBase.length && (mapO[j] === -1 || mapT[j] === -1)) j++;
+        if (j >= effectiveBase.length) {
+            emitChunk(effectiveBase.slice(i), ours.slice(o), theirs.slice(t));
+            break;
+        }
+        emitChunk(effectiveBase.slice(i, j), ours.slice(o, mapO[j]), theirs.slice(t, mapT[j]));
+        out.push(effectiveBase[j]);
+        o = mapO[j] + 1;
+        t = mapT[j] + 1;
+        i = j + 1;
+    }
+
+    return { text: out.join(''), conflicts };
+}
+
+module.exports = {
+    splitLines,
+    diffLines,
+    unifiedDiff,
+    merge3,
+};
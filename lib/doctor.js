@@ -0,0 +1,265 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfig } = require('./config');
+const { readExpoConfig, getExpoSchemes } = require('./expo-config');
+const autolink = require('./autolink');
+const { HOOK_NAMES, loadHooks } = require('./hooks');
+const { resolveBin } = require('./resolve');
+
+// `expo-electron doctor`: check everything the CLI otherwise assumes and
+// report all problems at once instead of failing on the first one.
+//
+// Each check returns { id, title, status: 'pass'|'warn'|'fail', message, fix? }.
+
+const REQUIRED_PKG_FIELDS = ['name', 'version', 'description', 'author'];
+// `expo --help` normally answers in a few seconds; a CLI that hangs longer
+// fails the check instead of blocking doctor.
+const EXPO_HELP_TIMEOUT_MS = 30000;
+
+function _readJson(p) {
+    try {
+        if (!fs.existsSync(p)) return null;
+        return JSON.parse(fs.readFileSync(p, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+function _pass(id, title, message) {
+    return { id, title, status: 'pass', message };
+}
+
+function _warn(id, title, message, fix) {
+    return { id, title, status: 'warn', message, fix };
+}
+
+function _fail(id, title, message, fix) {
+    return { id, title, status: 'fail', message, fix };
+}
+
+function checkBinaries(projectRoot) {
+    return ['expo', 'electron', 'electron-forge'].map((name) => {
+        const p = resolveBin(projectRoot, name);
+        const title = `${name} binary`;
+        if (fs.existsSync(p)) return _pass(`bin:${name}`, title, path.relative(projectRoot, p));
+        return _fail(`bin:${name}`, title, `missing ${path.relative(projectRoot, p)}`, 'Run `npm install` at the project root.');
+    });
+}
+
+function checkPackageJson(projectRoot) {
+    const pkgPath = path.join(projectRoot, 'package.json');
+    const pkg = _readJson(pkgPath);
+    if (!pkg) {
+        return [_fail('package:json', 'package.json', `cannot read ${pkgPath}`, 'Create a valid package.json at the project root.')];
+    }
+    const checks = [];
+    const missing = REQUIRED_PKG_FIELDS.filter((f) => {
+        const v = pkg[f];
+        if (f === 'author') return !v;
+        return typeof v !== 'string' || !v.trim();
+    });
+    if (missing.length === 0) {
+        checks.push(_pass('package:fields', 'package.json metadata', REQUIRED_PKG_FIELDS.join(', ') + ' present'));
+    } else {
+        checks.push(_fail('package:fields', 'package.json metadata', `missing ${missing.map((f) => `"${f}"`).join(', ')}`,
+            'Packaging requires these fields; add them to the root package.json.'));
+    }
+
+    const electronVersion = ((pkg.devDependencies || {}).electron) || ((pkg.dependencies || {}).electron);
+    if (electronVersion) {
+        checks.push(_pass('package:electron', 'electron dependency', `electron ${electronVersion}`));
+    } else {
+        checks.push(_fail('package:electron', 'electron dependency', 'root package.json does not declare "electron"',
+            'Add it to devDependencies, e.g. `npm install --save-dev electron`.'));
+    }
+    return checks;
+}
+
+function checkConfig(projectRoot) {
+    try {
+        const config = loadConfig(projectRoot);
+        const sources = config.sources.length ? config.sources.join(', ') : 'defaults only';
+        return [_pass('config', 'project config', sources)];
+    } catch (e) {
+        return [_fail('config', 'project config', e && e.message, 'Fix the reported options in electron.config.js or expo.electron.')];
+    }
+}
+
+function checkHooks(projectRoot) {
+    const title = 'packaging hooks';
+    let config;
+    try {
+        config = loadConfig(projectRoot);
+    } catch (e) {
+        return [_warn('hooks', title, 'skipped (invalid project config)')];
+    }
+    try {
+        const hooks = loadHooks({ projectRoot, config });
+        const names = HOOK_NAMES.filter((n) => typeof hooks[n] === 'function');
+        return [_pass('hooks', title, names.length ? `${config.hooks}: ${names.join(', ')}` : 'none')];
+    } catch (e) {
+        return [_fail('hooks', title, e && e.message, `Export only ${HOOK_NAMES.join(', ')} functions from ${config.hooks}.`)];
+    }
+}
+
+function checkExpoExport(projectRoot) {
+    const title = 'expo export command';
+    const expoCmd = resolveBin(projectRoot, 'expo');
+    if (!fs.existsSync(expoCmd)) return [_warn('expo:export', title, 'skipped (expo binary missing)')];
+    const r = spawnSync(expoCmd, ['--help'], { cwd: projectRoot, encoding: 'utf8', shell: process.platform === 'win32', timeout: EXPO_HELP_TIMEOUT_MS });
+    if (r.error && r.error.code === 'ETIMEDOUT') {
+        return [_fail('expo:export', title, `expo --help did not finish within ${EXPO_HELP_TIMEOUT_MS / 1000}s`,
+            'Run `npx expo --help` in the project root to see why the Expo CLI hangs.')];
+    }
+    if (r.error) {
+        return [_fail('expo:export', title, `failed to run expo --help: ${r.error.message}`, 'Reinstall the Expo CLI (`npm install expo`).')];
+    }
+    const out = String(r.stdout || '') + String(r.stderr || '');
+    if (out.includes('export')) return [_pass('expo:export', title, '`expo --help` advertises export')];
+    return [_fail('expo:export', title, '`expo --help` does not advertise an `export` command',
+        'Upgrade the project to an Expo SDK whose CLI supports `expo export -p web`.')];
+}
+
+function _linuxSchemeHandler(scheme) {
+    if (process.platform !== 'linux') return null;
+    try {
+        const r = spawnSync('xdg-mime', ['query', 'default', `x-scheme-handler/${scheme}`], { encoding: 'utf8' });
+        if (r.error || r.status !== 0) return null;
+        return String(r.stdout || '').trim();
+    } catch (e) {
+        return null;
+    }
+}
+
+function checkSchemes(projectRoot) {
+    const title = 'deep link schemes';
+    let schemes = [];
+    try {
+        schemes = getExpoSchemes(readExpoConfig(projectRoot).expo);
+    } catch (e) {
+        return [_fail('schemes', title, e && e.message, 'Make sure `expo config --json` succeeds in the project root.')];
+    }
+    try {
+        schemes = Array.from(new Set([...loadConfig(projectRoot).protocols, ...schemes]));
+    } catch (e) { /* reported by checkConfig */ }
+
+    if (schemes.length === 0) {
+        return [_warn('schemes', title, 'no scheme configured; Electron will derive one from the app name',
+            'Set `expo.scheme` in your Expo config.')];
+    }
+    const checks = [];
+    const invalid = schemes.filter((s) => !/^[a-z][a-z0-9+.-]*$/.test(s));
+    if (invalid.length) {
+        checks.push(_fail('schemes', title, `invalid scheme(s): ${invalid.join(', ')}`,
+            'Schemes must be lowercase, start with a letter and contain only a-z, 0-9, "+", "." or "-".'));
+    } else {
+        checks.push(_pass('schemes', title, schemes.join(', ')));
+    }
+    for (const scheme of schemes.filter((s) => !invalid.includes(s))) {
+        const handler = _linuxSchemeHandler(scheme);
+        if (handler === null) continue;
+        if (handler) checks.push(_pass(`schemes:${scheme}`, `${scheme}:// handler`, handler));
+        else checks.push(_warn(`schemes:${scheme}`, `${scheme}:// handler`, 'no x-scheme-handler registered',
+            '`expo-electron start` registers a temporary handler; install the packaged app to register it permanently.'));
+    }
+    return checks;
+}
+
+function _hasNodeBinary(dir) {
+    if (!fs.existsSync(dir)) return false;
+    for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (ent.name === 'node_modules') continue;
+        const full = path.join(dir, ent.name);
+        if (ent.isDirectory()) {
+            if (_hasNodeBinary(full)) return true;
+        } else if (ent.name.toLowerCase().endsWith('.node')) {
+            const rel = full.replace(/\\/g, '/');
+            if (!rel.includes('/obj/') && !rel.includes('/obj.target/')) return true;
+        }
+    }
+    return false;
+}
+
+// Autolink options of the project config (include/exclude, sandbox,
+// handlers); defaults when the config is invalid (that is reported by
+// checkConfig).
+function _autolinkConfig(projectRoot) {
+    try {
+        return autolink.autolinkOptions(loadConfig(projectRoot));
+    } catch (e) {
+        return {};
+    }
+}
+
+function checkNativeOutputs(projectRoot) {
+    const title = 'native module outputs';
+    const mods = autolink.findElectronEntries(projectRoot, _autolinkConfig(projectRoot));
+    if (!mods.length) return [_pass('native', title, 'no autolinkable modules')];
+    const checks = [];
+    for (const m of mods) {
+        const electronPkg = _readJson(path.join(m.root, 'electron', 'package.json'));
+        const hasBuild = !!(electronPkg && electronPkg.scripts && electronPkg.scripts.build);
+        const hasGyp = fs.existsSync(path.join(m.root, 'binding.gyp')) || fs.existsSync(path.join(m.root, 'electron', 'binding.gyp'));
+        if (!hasBuild && !hasGyp) continue;
+        if (_hasNodeBinary(m.root)) {
+            checks.push(_pass(`native:${m.name}`, `${m.name} native output`, '.node binary present'));
+        } else {
+            checks.push(_warn(`native:${m.name}`, `${m.name} native output`, 'no .node binary found; it will load as { _missing: true }',
+                `Run \`expo-electron build ${m.name}\`.`));
+        }
+    }
+    if (!checks.length) checks.push(_pass('native', title, `${mods.length} autolinkable module(s), none native`));
+    return checks;
+}
+
+function checkPreload(projectRoot) {
+    const title = 'generated preload';
+    const preloadPath = path.join(projectRoot, 'electron', 'main', 'preload.js');
+    const rel = path.relative(projectRoot, preloadPath);
+    if (!fs.existsSync(preloadPath)) {
+        return [_warn('preload', title, `${rel} does not exist`, 'Run `expo-electron autolink`.')];
+    }
+    const current = fs.readFileSync(preloadPath, 'utf8');
+    if (!current.startsWith('// GENERATED by expo-electron autolink')) {
+        return [_warn('preload', title, `${rel} was not generated by autolink (hand-edited?)`,
+            'Move custom code elsewhere and run `expo-electron autolink`; the file is regenerated on start/package.')];
+    }
+    let result;
+    try {
+        result = autolink.checkProject(projectRoot, path.join(projectRoot, 'electron'), _autolinkConfig(projectRoot));
+    } catch (e) {
+        // For example `abi<N>` prebuilds without a resolvable Electron ABI.
+        return [_warn('preload', title, `cannot regenerate ${rel} to compare: ${e && e.message}`, 'Fix the problem above, then run `expo-electron autolink`.')];
+    }
+    const status = result.files.find((f) => f.file === rel.replace(/\\/g, '/')).status;
+    if (status !== 'same') {
+        // The content hash tells a hand edit from a stale file.
+        const why = status === 'edited' ? 'was edited by hand (content hash mismatch)' : 'is stale (dependencies, handlers or their native files changed)';
+        return [_warn('preload', title, `${rel} ${why}`, 'Run `expo-electron autolink`; `expo-electron autolink --check` fails CI when it is out of date.')];
+    }
+    return [_pass('preload', title, `${rel} is up to date`)];
+}
+
+/**
+ * Run all checks. Never throws: unexpected errors become failed checks.
+ */
+function runDoctor({ projectRoot }) {
+    const groups = [checkBinaries, checkPackageJson, checkConfig, checkHooks, checkExpoExport, checkSchemes, checkNativeOutputs, checkPreload];
+    const checks = [];
+    for (const group of groups) {
+        try {
+            checks.push(...group(projectRoot));
+        } catch (e) {
+            checks.push(_fail(group.name, group.name, `check crashed: ${e && e.message}`));
+        }
+    }
+    const summary = { pass: 0, warn: 0, fail: 0 };
+    for (const c of checks) summary[c.status]++;
+    return { projectRoot, ok: summary.fail === 0, summary, checks };
+}
+
+module.exports = {
+    runDoctor,
+};
@@ -0,0 +1,45 @@
+// Typed errors for the programmatic API. The CLI maps `exitCode` to
+// `process.exit`; library callers can branch on `code`.
+
+const EXIT_CODES = {
+    E_CONFIG: 1,
+    E_NATIVE_BUILD: 1,
+    E_AUTOLINK: 1,
+    E_WORKSPACE: 1,
+    E_DEV_SERVER: 1,
+    E_MISSING_BINARY: 2,
+    E_NATIVE_BINARY: 2,
+    E_PREBUILD: 3,
+    E_EXPORT: 4,
+    E_PROJECT_METADATA: 5,
+    E_FORGE: 5,
+    E_BUNDLE: 6,
+    E_HOOK: 7,
+    E_FUSES: 8,
+};
+
+class ExpoElectronError extends Error {
+    /**
+     * @param {string} code one of the keys of EXIT_CODES
+     * @param {string} message
+     * @param {{ cause?: any, details?: any }} [extra]
+     */
+    constructor(code, message, extra = {}) {
+        super(message);
+        this.name = 'ExpoElectronError';
+        this.code = code;
+        this.exitCode = EXIT_CODES[code] || 1;
+        if (extra.cause !== undefined) this.cause = extra.cause;
+        if (extra.details !== undefined) this.details = extra.details;
+    }
+}
+
+function isExpoElectronError(e) {
+    return !!(e && e.name === 'ExpoElectronError' && typeof e.code === 'string');
+}
+
+module.exports = {
+    EXIT_CODES,
+    ExpoElectronError,
+    isExpoElectronError,
+};
@@ -0,0 +1,191 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Process helpers shared by the CLI and the programmatic API.
+
+const NPM_CMD = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+
+// Check for an executable in PATH using Node APIs only (cross-platform).
+function commandExistsInPath(cmd) {
+    // On Windows, env var casing can be `Path` instead of `PATH`.
+    const PATH = process.env.PATH || process.env.Path || '';
+    const parts = PATH.split(path.delimiter).filter(Boolean);
+    if (process.platform === 'win32') {
+        const pathext = (process.env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';');
+        const hasExt = Boolean(path.extname(cmd));
+        for (const dir of parts) {
+            // If caller already provided an extension (e.g. `npm.cmd`), check it directly.
+            if (hasExt) {
+                const candidate = path.join(dir, cmd);
+                try { if (fs.existsSync(candidate)) return true; } catch (e) { }
+                continue;
+            }
+
+            for (const ext of pathext) {
+                const candidate = path.join(dir, cmd + ext);
+                try { if (fs.existsSync(candidate)) return true; } catch (e) { }
+            }
+        }
+        return false;
+    }
+    for (const dir of parts) {
+        const candidate = path.join(dir, cmd);
+        try { fs.accessSync(candidate, fs.constants.X_OK); return true; } catch (e) { }
+    }
+    return false;
+}
+
+function runCommand(cmdPath, args, options = {}) {
+    return new Promise((resolve, reject) => {
+        /** @type {import('child_process').SpawnOptions} */
+        const spawnOptions = { stdio: ['inherit', 'inherit', 'inherit'], ...options };
+        if (spawnOptions.shell === undefined && process.platform === 'win32') spawnOptions.shell = true;
+        const p = spawn(cmdPath, args, spawnOptions);
+        p.on('error', (err) => reject(err));
+        p.on('exit', (code) => code === 0 ? resolve(0) : reject(new Error('exit ' + code)));
+    });
+}
+
+function supportsAnsi() {
+    // Basic heuristic: respect NO_COLOR; avoid ANSI when not a TTY.
+    if (process.env.NO_COLOR) return false;
+    return Boolean(process.stdout && process.stdout.isTTY);
+}
+
+function colorize(kind, text) {
+    if (!supportsAnsi()) return text;
+    const reset = '\x1b[0m';
+    const codes = {
+        dim: '\x1b[2m',
+        red: '\x1b[31m',
+        green: '\x1b[32m',
+        yellow: '\x1b[33m',
+        cyan: '\x1b[36m',
+    };
+    const c = codes[kind];
+    if (!c) return text;
+    return c + text + reset;
+}
+
+function truncateTail(str, maxChars) {
+    const s = String(str || '');
+    if (s.length <= maxChars) return s;
+    return s.slice(s.length - maxChars);
+}
+
+function createSpinner({ text = 'building…', stream = process.stdout, startTimeMs = Date.now() } = {}) {
+    const enabled = Boolean(stream && stream.isTTY);
+    const frames = ['-', '\\', '|', '/'];
+    let frameIndex = 0;
+    let lastTick = 0;
+    let started = false;
+    let lastRenderLen = 0;
+
+    function frame() {
+        const elapsedS = ((Date.now() - startTimeMs) / 1000).toFixed(1);
+        return `${frames[frameIndex]} ${text} ${elapsedS}s`;
+    }
+
+    function render() {
+        if (!enabled) return;
+        const s = frame();
+        // Clear previous render (if any), then redraw in-place.
+        readline.clearLine(stream, 0);
+        readline.cursorTo(stream, 0);
+        stream.write(s);
+        lastRenderLen = s.length;
+        started = true;
+    }
+
+    function tick() {
+        if (!enabled) return;
+        const now = Date.now();
+        // Throttle a bit so fast output doesn't spam terminal updates.
+        if (now - lastTick < 60) return;
+        lastTick = now;
+        frameIndex = (frameIndex + 1) % frames.length;
+        render();
+    }
+
+    function stop() {
+        if (!enabled) return;
+        if (!started) return;
+        // Clear spinner line.
+        readline.clearLine(stream, 0);
+        readline.cursorTo(stream, 0);
+        // Avoid leaving the cursor at column 0 with no newline when
+        // subsequent console.log happens.
+        stream.write(' '.repeat(Math.min(lastRenderLen, 200)));
+        readline.clearLine(stream, 0);
+        readline.cursorTo(stream, 0);
+        started = false;
+        lastRenderLen = 0;
+    }
+
+    return { tick, stop, render };
+}
+
+function runCommandCaptured(cmdPath, args, options = {}) {
+    return new Promise((resolve, reject) => {
+        const maxOutputChars = typeof options.maxOutputChars === 'number' ? options.maxOutputChars : 160_000;
+        const label = options.label || cmdPath;
+        /** @type {import('child_process').SpawnOptions} */
+        const spawnOptions = {
+            cwd: options.cwd,
+            env: options.env,
+            windowsHide: true,
+            stdio: ['ignore', 'pipe', 'pipe'],
+        };
+        if (options.shell !== undefined) spawnOptions.shell = options.shell;
+        if (spawnOptions.shell === undefined && process.platform === 'win32') spawnOptions.shell = true;
+
+        const p = spawn(cmdPath, args, spawnOptions);
+        let combined = '';
+
+        const spinner = options.spinnerText
+            ? createSpinner({ text: options.spinnerText, stream: process.stdout, startTimeMs: Date.now() })
+            : null;
+        if (spinner) spinner.render();
+
+        const onData = (buf) => {
+            combined = truncateTail(combined + String(buf || ''), maxOutputChars);
+            if (spinner) spinner.tick();
+        };
+        if (p.stdout) p.stdout.on('data', onData);
+        if (p.stderr) p.stderr.on('data', onData);
+
+        p.on('error', (err) => reject(err));
+        p.on('close', (code, signal) => {
+            if (spinner) spinner.stop();
+            if (code === 0) return resolve({ code: 0, output: combined });
+            const msg = signal
+                ? `${label} failed (signal ${signal})`
+                : `${label} failed (exit ${code})`;
+            const e = new Error(msg);
+            e.code = code;
+            e.signal = signal;
+            e.cmd = cmdPath;
+            e.args = args;
+            e.cwd = spawnOptions.cwd;
+            e.output = combined;
+            reject(e);
+        });
+    });
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    NPM_CMD,
+    commandExistsInPath,
+    runCommand,
+    runCommandCaptured,
+    supportsAnsi,
+    colorize,
+    createSpinner,
+    sleep,
+};
@@ -0,0 +1,121 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { resolveBin } = require('./resolve');
+
+// Shared loader for the project's evaluated Expo config.
+//
+// Static `app.json` is parsed directly. Dynamic configs (`app.config.js`,
+// `app.config.ts`, ...) can only be evaluated by Expo itself, so we ask the
+// installed Expo CLI for the resolved public config (`expo config --json`).
+// Every place that needs a scheme, name or version should go through here so
+// dev, packaging and Linux deep-link registration agree.
+
+const DYNAMIC_CONFIG_FILES = ['app.config.ts', 'app.config.js', 'app.config.mjs', 'app.config.cjs'];
+
+const _cache = new Map();
+
+function findDynamicConfigFile(projectRoot) {
+    for (const name of DYNAMIC_CONFIG_FILES) {
+        const p = path.join(projectRoot, name);
+        if (fs.existsSync(p)) return p;
+    }
+    return null;
+}
+
+function _expoBin(projectRoot) {
+    return resolveBin(projectRoot, 'expo');
+}
+
+// `expo config --json` may print warnings before the JSON payload.
+function _parseJsonFromOutput(out) {
+    const text = String(out || '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end === -1 || end < start) throw new Error('no JSON object in output');
+    return JSON.parse(text.slice(start, end + 1));
+}
+
+function _evaluateDynamicConfig(projectRoot, configFile) {
+    const expoCmd = _expoBin(projectRoot);
+    if (!fs.existsSync(expoCmd)) {
+        throw new Error(`Expo config: ${path.basename(configFile)} requires the Expo CLI to evaluate, but ${expoCmd} is missing. Run \`npm install\` at the project root.`);
+    }
+    const r = spawnSync(expoCmd, ['config', '--json', '--type', 'public'], {
+        cwd: projectRoot,
+        encoding: 'utf8',
+        env: Object.assign({}, process.env, { EXPO_NO_TELEMETRY: '1' }),
+        shell: process.platform === 'win32',
+        maxBuffer: 16 * 1024 * 1024,
+    });
+    if (r.error) {
+        throw new Error(`Expo config: failed to run \`expo config --json\`: ${r.error.message}`);
+    }
+    if (r.status !== 0) {
+        const out = (String(r.stderr || '') + String(r.stdout || '')).trim();
+        throw new Error(`Expo config: \`expo config --json\` exited with ${r.status}` + (out ? `:\n${out}` : ''));
+    }
+    let parsed;
+    try {
+        parsed = _parseJsonFromOutput(r.stdout);
+    } catch (e) {
+        throw new Error(`Expo config: could not parse \`expo config --json\` output: ${e && e.message}`);
+    }
+    // Older CLIs wrap the config in `{ exp }`; current ones print it directly.
+    if (parsed && parsed.exp && typeof parsed.exp === 'object') return parsed.exp;
+    return parsed || {};
+}
+
+function _readStaticConfig(projectRoot) {
+    const appJson = path.join(projectRoot, 'app.json');
+    if (!fs.existsSync(appJson)) return {};
+    let cfg;
+    try {
+        cfg = JSON.parse(fs.readFileSync(appJson, 'utf8'));
+    } catch (e) {
+        throw new Error(`Expo config: failed to parse ${appJson}: ${e && e.message}`);
+    }
+    // app.json may or may not nest everything under `expo`.
+    if (cfg && cfg.expo && typeof cfg.expo === 'object') return cfg.expo;
+    return cfg || {};
+}
+
+/**
+ * Return the evaluated `expo` object for the project (cached per root).
+ * Throws when a dynamic config exists but cannot be evaluated, so callers do
+ * not silently fall back to defaults.
+ */
+function readExpoConfig(projectRoot) {
+    const key = path.resolve(projectRoot);
+    if (_cache.has(key)) return _cache.get(key);
+    const dynamicFile = findDynamicConfigFile(key);
+    const expo = dynamicFile ? _evaluateDynamicConfig(key, dynamicFile) : _readStaticConfig(key);
+    const result = { expo, source: dynamicFile ? path.basename(dynamicFile) : (fs.existsSync(path.join(key, 'app.json')) ? 'app.json' : null) };
+    _cache.set(key, result);
+    return result;
+}
+
+function getExpoSchemes(expo) {
+    const out = [];
+    const add = (v) => {
+        if (Array.isArray(v)) v.forEach(add);
+        else if (typeof v === 'string' && v.trim()) out.push(v.trim());
+    };
+    // `scheme` may be a string or (SDK 46+) an array; `schemes` is accepted for older configs.
+    add((expo || {}).scheme);
+    add((expo || {}).schemes);
+    return Array.from(new Set(out));
+}
+
+function clearExpoConfigCache() {
+    _cache.clear();
+}
+
+module.exports = {
+    DYNAMIC_CONFIG_FILES,
+    findDynamicConfigFile,
+    readExpoConfig,
+    getExpoSchemes,
+    clearExpoConfigCache,
+};
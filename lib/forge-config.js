@@ -0,0 +1,263 @@
+// Forge config for the packaging workspace.
+//
+// The CLI generates deterministic defaults (asar, native/ as extraResource,
+// the known makers). Projects can layer a fragment on top with the `forge`
+// config option; it is deep-merged so maker options (deb categories, rpm
+// license, ...) and plugins can be set without replacing the defaults, and
+// `{ $replace: value }` replaces a default outright.
+
+const { resolveFuses, createFusesPlugin } = require('./fuses');
+
+// Makers known to the generated Forge config; `make` tokens filter this list.
+const DEFAULT_MAKERS = [
+    { name: '@electron-forge/maker-squirrel', config: {} },
+    { name: '@electron-forge/maker-zip', platforms: ['darwin', 'linux', 'win32'] },
+    { name: '@electron-forge/maker-dmg', config: {} },
+    { name: '@electron-forge/maker-deb', config: {} },
+    { name: '@electron-forge/maker-rpm', config: {} }
+];
+
+// Platforms each known maker builds for (Forge skips a maker on other
+// platforms, and fails when none is left). Entries may override this with
+// their own `platforms`.
+const MAKER_PLATFORMS = {
+    '@electron-forge/maker-squirrel': ['win32'],
+    '@electron-forge/maker-zip': ['darwin', 'linux', 'win32', 'mas'],
+    '@electron-forge/maker-dmg': ['darwin', 'mas'],
+    '@electron-forge/maker-deb': ['linux'],
+    '@electron-forge/maker-rpm': ['linux'],
+};
+
+// Arrays of `{ name, ... }` entries that are merged per name instead of
+// being concatenated.
+const NAMED_LISTS = ['makers', 'plugins'];
+
+function _isPlainObject(v) {
+    return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function _entryName(entry) {
+    if (typeof entry === 'string') return entry;
+    return entry && typeof entry.name === 'string' ? entry.name : '';
+}
+
+function _clone(v) {
+    return JSON.parse(JSON.stringify(v));
+}
+
+// `{ $replace: value }` in a fragment replaces the default value instead of
+// merging into it (for example to drop default `packagerConfig.ignore`
+// entries or makers).
+function _isReplace(v) {
+    return _isPlainObject(v) && Object.keys(v).length === 1 && '$replace' in v;
+}
+
+// Copy of a fragment value with its `$replace` markers resolved.
+function _unwrap(v) {
+    if (_isReplace(v)) return _unwrap(v.$replace);
+    if (Array.isArray(v)) return v.map(_unwrap);
+    if (_isPlainObject(v)) {
+        const out = {};
+        for (const k of Object.keys(v)) out[k] = _unwrap(v[k]);
+        return out;
+    }
+    return _clone(v);
+}
+
+/**
+ * Validate a user Forge config fragment. Returns a list of problems.
+ * The fragment ends up in the workspace package.json, so it must be
+ * plain JSON (no functions, hook callbacks or class instances).
+ */
+function validateForgeConfig(fragment, label = 'forge') {
+    const errors = [];
+    if (!_isPlainObject(fragment)) return [`${label} must be an object`];
+    (function walk(v, p) {
+        if (typeof v === 'function') {
+            errors.push(`${p} is a function; the Forge config is written to package.json and must be plain JSON (use the forgeConfig hook for code)`);
+        } else if (_isPlainObject(v) && '$replace' in v && !_isReplace(v)) {
+            errors.push(`${p}: an object with "$replace" cannot have other keys`);
+        } else if (Array.isArray(v)) {
+            v.forEach((item, i) => walk(item, `${p}[${i}]`));
+        } else if (v && typeof v === 'object') {
+            for (const k of Object.keys(v)) walk(v[k], `${p}.${k}`);
+        }
+    })(fragment, label);
+    for (const key of NAMED_LISTS) {
+        if (fragment[key] === undefined) continue;
+        const list = _isReplace(fragment[key]) ? fragment[key].$replace : fragment[key];
+        if (!Array.isArray(list)) {
+            errors.push(`${label}.${key} must be an array`);
+            continue;
+        }
+        list.forEach((entry, i) => {
+            if (!_entryName(entry)) errors.push(`${label}.${key}[${i}] must be a package name or an object with a "name"`);
+        });
+    }
+    return errors;
+}
+
+function _mergeNamedList(base, extra) {
+    const out = base.map((e) => (typeof e === 'string' ? { name: e } : e));
+    for (const entry of extra) {
+        const item = typeof entry === 'string' ? { name: entry } : entry;
+        const idx = out.findIndex((e) => e.name === item.name);
+        if (idx === -1) out.push(_unwrap(item));
+        else out[idx] = deepMerge(out[idx], item);
+    }
+    return out;
+}
+
+/**
+ * Deep-merge `extra` onto `base` (neither is modified):
+ * - objects merge key by key,
+ * - `makers` / `plugins` merge entries with the same `name` and append new ones,
+ * - other arrays are concatenated without duplicates,
+ * - `{ $replace: value }` replaces the base value with `value`,
+ * - everything else in `extra` replaces the base value.
+ */
+function deepMerge(base, extra, key) {
+    if (extra === undefined) return _clone(base);
+    if (_isReplace(extra)) {
+        const value = _unwrap(extra.$replace);
+        return NAMED_LISTS.includes(key) && Array.isArray(value) ? value.map((e) => (typeof e === 'string' ? { name: e } : e)) : value;
+    }
+    if (Array.isArray(base) && Array.isArray(extra)) {
+        if (NAMED_LISTS.includes(key)) return _mergeNamedList(_clone(base), extra);
+        const out = _clone(base);
+        for (const item of extra) {
+            const s = JSON.stringify(item);
+            if (!out.some((x) => JSON.stringify(x) === s)) out.push(_unwrap(item));
+        }
+        return out;
+    }
+    if (_isPlainObject(base) && _isPlainObject(extra)) {
+        const out = _clone(base);
+        for (const k of Object.keys(extra)) {
+            out[k] = k in out ? deepMerge(out[k], extra[k], k) : _unwrap(extra[k]);
+        }
+        return out;
+    }
+    return _unwrap(extra);
+}
+
+function _makerConfig(forgeConfig, suffix) {
+    const maker = forgeConfig.makers.find((m) => _entryName(m).endsWith(suffix));
+    maker.config = maker.config || {};
+    return maker.config;
+}
+
+// deb/rpm makers nest their settings under `config.options`.
+function _makerOptions(forgeConfig, suffix) {
+    const config = _makerConfig(forgeConfig, suffix);
+    config.options = config.options || {};
+    return config.options;
+}
+
+function _makerSupports(maker, platform) {
+    const platforms = (maker && Array.isArray(maker.platforms) && maker.platforms) || MAKER_PLATFORMS[_entryName(maker)];
+    return !platforms || platforms.includes(platform);
+}
+
+// Inject a sensible default Forge config so `electron-forge make` has
+// makers and packager settings to run deterministically, then layer the
+// project's `forge` fragment on top before filtering makers by `make` and
+// by the target platform. Each target (see lib/targets.js) gets its own
+// `out/<platform>-<arch>` output folder.
+function createForgeConfig({ project, make, electronVersion = null, identity = null, icons = null, target = null }) {
+    const { config } = project;
+    const platform = target ? target.platform : process.platform;
+    const defaults = {
+        ...(target ? { outDir: `out/${target.id}` } : {}),
+        packagerConfig: {
+            // Keep JS inside app.asar, but ship native addons OUTSIDE the asar
+            // using extraResource. This avoids app.asar.unpacked entirely and
+            // ensures only one physical copy exists on disk.
+            asar: true,
+            // Exclude native/ from the app bundle (so it does not appear in app.asar)
+            // and copy it as a resource instead.
+            ignore: ['^/native($|/)'],
+        },
+        makers: _clone(DEFAULT_MAKERS),
+        plugins: [],
+    };
+
+    // App identity from the Expo config (see lib/app-identity.js).
+    if (identity) {
+        const pc = defaults.packagerConfig;
+        if (identity.name) pc.name = identity.name;
+        if (identity.executableName) pc.executableName = identity.executableName;
+        if (identity.version) pc.appVersion = identity.version;
+        if (identity.bundleId) pc.appBundleId = identity.bundleId;
+    }
+    if (icons) {
+        defaults.packagerConfig.icon = icons.packagerIcon;
+        // Only the PNG is needed at runtime (window icon); keep the others out of the asar.
+        defaults.packagerConfig.ignore.push('^/icons/icon\\.(ico|icns)$');
+        _makerConfig(defaults, 'maker-squirrel').setupIcon = icons.ico;
+        _makerConfig(defaults, 'maker-dmg').icon = icons.icns;
+        _makerOptions(defaults, 'maker-deb').icon = icons.png;
+        _makerOptions(defaults, 'maker-rpm').icon = icons.png;
+    }
+
+    // Hardened Electron fuses (RunAsNode off, ...) unless `fuses: false`.
+    const fuses = resolveFuses({ config, platform, electronVersion });
+    if (fuses) {
+        defaults.plugins.push(createFusesPlugin(fuses));
+    } else {
+        console.log('Packaging: fuses disabled; Electron fuse defaults are left unchanged');
+    }
+
+    if (config.extraResourceNative) {
+        defaults.packagerConfig.extraResource = ['native'];
+    } else {
+        console.log('Packaging: extraResourceNative disabled; native will not be copied as extraResource');
+    }
+
+    const fragment = config.forge || {};
+    const forgeConfig = deepMerge(defaults, fragment);
+    if (Object.keys(fragment).length) {
+        console.log('Packaging: merged project Forge config (' + Object.keys(fragment).join(', ') + ')');
+    }
+
+    // Only run `make` when the user explicitly requested makers via
+    // `make`. If no makers were requested, skip the making step and
+    // keep the packaging workspace suitable for inspection.
+    let skipMake = false;
+    if (Array.isArray(make) && make.length > 0) {
+        const tokens = make.map((t) => String(t).toLowerCase());
+        forgeConfig.makers = (forgeConfig.makers || []).filter((m) => {
+            const lower = _entryName(m).toLowerCase();
+            return tokens.some((tok) => lower.includes(tok));
+        });
+        if (!forgeConfig.makers || forgeConfig.makers.length === 0) {
+            console.log('Packaging: --make provided but no matching makers found; will skip `make`.');
+            skipMake = true;
+        } else {
+            console.log('Packaging: filtered makers to', forgeConfig.makers.map(_entryName));
+        }
+        const unsupported = forgeConfig.makers.filter((m) => !_makerSupports(m, platform));
+        if (unsupported.length) {
+            forgeConfig.makers = forgeConfig.makers.filter((m) => _makerSupports(m, platform));
+            console.log(`Packaging: skipping makers that do not build for ${platform}:`, unsupported.map(_entryName).join(', '));
+            if (!forgeConfig.makers.length && !skipMake) {
+                console.log(`Packaging: no requested maker builds for ${platform}; will skip \`make\`.`);
+                skipMake = true;
+            }
+        }
+    } else {
+        // No makers requested: skip the make step entirely by clearing makers.
+        skipMake = true;
+        forgeConfig.makers = [];
+        console.log('Packaging: no --make provided; skipping distributable creation (electron-forge make).');
+    }
+    return { forgeConfig, skipMake };
+}
+
+module.exports = {
+    DEFAULT_MAKERS,
+    MAKER_PLATFORMS,
+    validateForgeConfig,
+    deepMerge,
+    createForgeConfig,
+};
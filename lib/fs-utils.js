@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+
+const { sleep } = require('./exec');
+
+// File helpers shared by prebuild and packaging.
+
+function readJsonIfExists(p) {
+    try {
+        if (!fs.existsSync(p)) return null;
+        return JSON.parse(fs.readFileSync(p, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+function copyRecursiveSkipExisting(src, dest, skipFiles = []) {
+    const stat = fs.statSync(src);
+    if (stat.isDirectory()) {
+        if (!fs.existsSync(dest)) fs.mkdirSync(dest, { recursive: true });
+        for (const entry of fs.readdirSync(src)) {
+            const s = path.join(src, entry);
+            const d = path.join(dest, entry);
+            if (skipFiles.includes(entry)) {
+                console.log('Prebuild: skipping', entry, 'per skip list');
+                continue;
+            }
+            if (fs.existsSync(d)) {
+                // If destination exists and is a directory, recurse into it to
+                // skip any existing children but copy missing ones. If it's a
+                // file, skip and warn (do not overwrite).
+                const dstStat = fs.statSync(d);
+                const srcStat = fs.statSync(s);
+                if (dstStat.isDirectory() && srcStat.isDirectory()) {
+                    copyRecursiveSkipExisting(s, d, skipFiles);
+                } else {
+                    console.log('Prebuild: skipping existing', d);
+                }
+            } else {
+                // Destination missing — perform a full copy
+                if (fs.statSync(s).isDirectory()) {
+                    copyRecursiveSkipExisting(s, d, skipFiles);
+                } else {
+                    fs.copyFileSync(s, d);
+                    console.log('Prebuild: copied', d);
+                }
+            }
+        }
+    } else if (stat.isFile()) {
+        if (fs.existsSync(dest)) {
+            console.log('Prebuild: skipping existing', dest);
+        } else {
+            fs.copyFileSync(src, dest);
+            console.log('Prebuild: copied', dest);
+        }
+    }
+}
+
+function copyRecursiveFilteredSkipExisting(src, dest, filterFn) {
+    const stat = fs.statSync(src);
+    if (stat.isDirectory()) {
+        if (!fs.existsSync(dest)) fs.mkdirSync(dest, { recursive: true });
+        for (const entry of fs.readdirSync(src)) {
+            const s = path.join(src, entry);
+            const d = path.join(dest, entry);
+            const st = fs.statSync(s);
+
+            if (st.isDirectory()) {
+                if (fs.existsSync(d)) {
+                    const dstStat = fs.statSync(d);
+                    if (dstStat.isDirectory()) {
+                        copyRecursiveFilteredSkipExisting(s, d, filterFn);
+                    } else {
+                        console.log('Prebuild: skipping existing', d);
+                    }
+                } else {
+                    copyRecursiveFilteredSkipExisting(s, d, filterFn);
+                }
+                continue;
+            }
+
+            if (typeof filterFn === 'function' && !filterFn(s, d)) continue;
+            if (fs.existsSync(d)) {
+                console.log('Prebuild: skipping existing', d);
+            } else {
+                const dpar = path.dirname(d);
+                if (!fs.existsSync(dpar)) fs.mkdirSync(dpar, { recursive: true });
+                fs.copyFileSync(s, d);
+                console.log('Prebuild: copied', d);
+            }
+        }
+    } else if (stat.isFile()) {
+        if (typeof filterFn === 'function' && !filterFn(src, dest)) return;
+        if (fs.existsSync(dest)) {
+            console.log('Prebuild: skipping existing', dest);
+        } else {
+            const dpar = path.dirname(dest);
+            if (!fs.existsSync(dpar)) fs.mkdirSync(dpar, { recursive: true });
+            fs.copyFileSync(src, dest);
+            console.log('Prebuild: copied', dest);
+        }
+    }
+}
+
+async function copyFileWithRetries(src, dest, { retries = 12, delayMs = 40 } = {}) {
+    let lastErr = null;
+    for (let i = 0; i <= retries; i++) {
+        try {
+            fs.copyFileSync(src, dest);
+            return true;
+        } catch (e) {
+            lastErr = e;
+            const code = (e && e.code) || '';
+            // Common transient errors on Windows when AV/indexers lock files.
+            const transient = ['EBUSY', 'EPERM', 'EACCES'].includes(String(code));
+            if (!transient || i === retries) break;
+            await sleep(delayMs * Math.max(1, i + 1));
+        }
+    }
+    if (lastErr) throw lastErr;
+    return false;
+}
+
+// Remove a directory tree (Node 14.14+ has rmSync; older Node uses rmdirSync).
+function removeDir(dir) {
+    if (!fs.existsSync(dir)) return;
+    if (typeof fs.rmSync === 'function') {
+        fs.rmSync(dir, { recursive: true, force: true });
+    } else {
+        fs.rmdirSync(dir, { recursive: true });
+    }
+}
+
+module.exports = {
+    readJsonIfExists,
+    copyRecursiveSkipExisting,
+    copyRecursiveFilteredSkipExisting,
+    copyFileWithRetries,
+    removeDir,
+};
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+const { ExpoElectronError } = require('./errors');
+const { PLATFORMS, ARCHS } = require('./targets');
+
+// Electron fuses for packaged builds.
+//
+// Packaging adds `@electron-forge/plugin-fuses` to the generated Forge config
+// with hardened defaults. The `fuses` config option overrides individual
+// fuses by name (`{ RunAsNode: true }`) or disables the plugin (`false`).
+// After `electron-forge package` the fuse wire of each packaged binary is
+// read back and logged; `expo-electron fuses [binary]` does the same on demand.
+
+const FUSES_PLUGIN = '@electron-forge/plugin-fuses';
+
+// Hardened defaults. EnableEmbeddedAsarIntegrityValidation is only turned on
+// where Electron/packager embed the integrity data (see _asarIntegritySupported).
+const DEFAULT_FUSES = {
+    RunAsNode: false,
+    EnableNodeOptionsEnvironmentVariable: false,
+    EnableNodeCliInspectArguments: false,
+    OnlyLoadAppFromAsar: true,
+    EnableEmbeddedAsarIntegrityValidation: true,
+};
+
+// `out/<platform>-<arch>` folders written by multi-target packaging.
+const TARGET_DIR = new RegExp(`^(${PLATFORMS.join('|')})-(${ARCHS.join('|')})$`);
+
+const STATE_NAMES = { 48: 'disabled', 49: 'enabled', 114: 'removed', 144: 'inherit' };
+
+function _fusesLib() {
+    try {
+        return require('@electron/fuses');
+    } catch (e) {
+        throw new ExpoElectronError('E_MISSING_BINARY', 'Fuses: missing @electron/fuses dependency in expo-electron. Re-install expo-electron (`npm install`).', { cause: e });
+    }
+}
+
+function _fuseName(index) {
+    const { FuseV1Options } = _fusesLib();
+    return FuseV1Options[index] || `Fuse${index}`;
+}
+
+/**
+ * Validate the `fuses` config option. Returns a list of problems.
+ */
+function validateFuses(value, label = 'fuses') {
+    if (value === false) return [];
+    const { FuseV1Options } = _fusesLib();
+    const known = Object.keys(FuseV1Options).filter((k) => isNaN(Number(k)));
+    const errors = [];
+    for (const key of Object.keys(value)) {
+        if (!known.includes(key)) errors.push(`${label}: unknown fuse "${key}" (known: ${known.join(', ')})`);
+        else if (typeof value[key] !== 'boolean') errors.push(`${label}.${key} must be true or false`);
+    }
+    return errors;
+}
+
+// ASAR integrity is embedded by the packager on macOS, and on Windows since
+// Electron 30. Enabling the fuse elsewhere would only make startup fail.
+function _asarIntegritySupported(platform, electronVersion) {
+    if (platform === 'darwin') return true;
+    const major = parseInt(String(electronVersion || ''), 10);
+    if (platform === 'win32') return major >= 30;
+    return false;
+}
+
+/**
+ * Resolve the fuse settings (by name) for a target platform, or null when
+ * fuses are disabled.
+ * @param {{ config: object, platform?: string, electronVersion?: string|null }} options
+ * @returns {Record<string, boolean>|null}
+ */
+function resolveFuses({ config, platform = process.platform, electronVersion = null }) {
+    if (config.fuses === false) return null;
+    const fuses = Object.assign({}, DEFAULT_FUSES);
+    if (!_asarIntegritySupported(platform, electronVersion)) delete fuses.EnableEmbeddedAsarIntegrityValidation;
+    return Object.assign(fuses, config.fuses || {});
+}
+
+/**
+ * Forge plugin entry for the resolved fuses (null when disabled).
+ */
+function createFusesPlugin(fuses) {
+    if (!fuses) return null;
+    const { FuseVersion, FuseV1Options } = _fusesLib();
+    const pluginConfig = { version: FuseVersion.V1 };
+    for (const name of Object.keys(fuses)) pluginConfig[FuseV1Options[name]] = fuses[name];
+    return { name: FUSES_PLUGIN, config: pluginConfig };
+}
+
+/**
+ * Read the fuse wire of an Electron binary (or `.app` bundle).
+ * @param {string} binaryPath
+ * @returns {Promise<{ binaryPath: string, version: string, fuses: Record<string, string> }>}
+ */
+async function readFuses(binaryPath) {
+    const { getCurrentFuseWire } = _fusesLib();
+    let wire;
+    try {
+        wire = await getCurrentFuseWire(binaryPath);
+    } catch (e) {
+        throw new ExpoElectronError('E_FUSES', `Fuses: cannot read fuse wire of ${binaryPath}: ${e && e.message}`, { cause: e });
+    }
+    const fuses = {};
+    for (const key of Object.keys(wire)) {
+        if (key === 'version') continue;
+        fuses[_fuseName(Number(key))] = STATE_NAMES[wire[key]] || `unknown(${wire[key]})`;
+    }
+    return { binaryPath, version: wire.version, fuses };
+}
+
+/**
+ * Locate packaged Electron binaries under Forge's `out/` folder
+ * (`out/<platform>-<arch>/<name>-<platform>-<arch>/`, see lib/targets.js).
+ * @param {string} outDir
+ * @param {string} executableName
+ * @returns {string[]}
+ */
+function findPackagedBinaries(outDir, executableName) {
+    const found = [];
+    if (!fs.existsSync(outDir)) return found;
+    for (const ent of fs.readdirSync(outDir, { withFileTypes: true })) {
+        if (!ent.isDirectory() || ent.name === 'make') continue;
+        const dir = path.join(outDir, ent.name);
+        // Per-target output folder: look one level down.
+        if (TARGET_DIR.test(ent.name)) {
+            found.push(...findPackagedBinaries(dir, executableName));
+            continue;
+        }
+        const entries = fs.readdirSync(dir);
+        const candidates = [`${executableName}.app`, `${executableName}.exe`, executableName];
+        let hit = candidates.find((c) => entries.includes(c));
+        // macOS bundles are named after productName, which may differ.
+        if (!hit) hit = entries.find((e) => e.endsWith('.app'));
+        if (hit) found.push(path.join(dir, hit));
+    }
+    return found.sort();
+}
+
+function formatFuses(result) {
+    const names = Object.keys(result.fuses);
+    const width = Math.max(0, ...names.map((n) => n.length));
+    return names.map((n) => `  ${n.padEnd(width)}  ${result.fuses[n]}`).join('\n');
+}
+
+// Fuse settings (by name) the final Forge config asks the plugin to apply.
+function _expectedFromForgeConfig(forgeConfig) {
+    const plugin = ((forgeConfig && forgeConfig.plugins) || []).find((p) => p && p.name === FUSES_PLUGIN);
+    if (!plugin || !plugin.config) return null;
+    const expected = {};
+    for (const key of Object.keys(plugin.config)) {
+        if (isNaN(Number(key))) continue;
+        expected[_fuseName(Number(key))] = plugin.config[key] ? 'enabled' : 'disabled';
+    }
+    return expected;
+}
+
+/**
+ * Log the fuse wire of every packaged binary under `outDir`, warning when a
+ * fuse differs from what the Forge config requested. Never throws.
+ * @returns {Promise<Array<{ binaryPath: string, version: string, fuses: Record<string, string> }>>}
+ */
+async function reportPackagedFuses({ outDir, executableName, forgeConfig }) {
+    const results = [];
+    const binaries = findPackagedBinaries(outDir, executableName);
+    if (!binaries.length) {
+        console.warn('Fuses: no packaged binary found under', outDir);
+        return results;
+    }
+    const expected = _expectedFromForgeConfig(forgeConfig);
+    for (const binaryPath of binaries) {
+        try {
+            const result = await readFuses(binaryPath);
+            console.log('Fuses:', binaryPath);
+            console.log(formatFuses(result));
+            for (const name of Object.keys(expected || {})) {
+                if (result.fuses[name] && result.fuses[name] !== expected[name]) {
+                    console.warn(`Fuses: ${name} is ${result.fuses[name]} but the Forge config requested ${expected[name]}`);
+                }
+            }
+            results.push(result);
+        } catch (e) {
+            console.warn(e && e.message);
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    FUSES_PLUGIN,
+    DEFAULT_FUSES,
+    validateFuses,
+    resolveFuses,
+    createFusesPlugin,
+    readFuses,
+    findPackagedBinaries,
+    formatFuses,
+    reportPackagedFuses,
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+
+const { ExpoElectronError } = require('./errors');
+
+// Packaging lifecycle hooks.
+//
+// A project can customize `package` without forking the CLI by adding a hook
+// module (default `electron/hooks.js`, configurable with the `hooks` option):
+//
+//   module.exports = {
+//       async afterExport(html, ctx) { return html.replace('</head>', '<link rel="manifest" href="manifest.json"></head>'); },
+//       async beforeBundle(esbuildOptions, ctx) { esbuildOptions.plugins = [myPlugin]; },
+//       async forgeConfig(config, ctx) { config.makers.push({ name: '@electron-forge/maker-flatpak', config: {} }); },
+//       async afterMake(artifacts, ctx) { console.log(artifacts); },
+//   };
+//
+// Each hook may mutate its first argument in place or return a replacement;
+// returning `undefined` keeps the (possibly mutated) value.
+
+const DEFAULT_HOOKS_FILE = path.join('electron', 'hooks.js');
+
+/**
+ * @typedef {object} HookContext
+ * @property {string} projectRoot   absolute project root
+ * @property {string} electronDir   the project's editable `electron/` folder
+ * @property {string} workspaceDir  packaging workspace (`electron/build` by default)
+ * @property {string} appDir        exported web app inside the workspace
+ * @property {object} config        resolved expo-electron project config
+ * @property {string[]|null} make   makers requested with `--make`
+ */
+
+/**
+ * @typedef {object} Hooks
+ * @property {(html: string, ctx: HookContext & { indexPath: string }) => Promise<string|void>|string|void} [afterExport]
+ *   Runs after `expo export` and the built-in index.html post-processing.
+ * @property {(esbuildOptions: object, ctx: HookContext & { entry: 'main'|'preload' }) => Promise<object|void>|object|void} [beforeBundle]
+ *   Runs once per bundled entry (preload, then main) with the options passed to `esbuild.build`.
+ * @property {(config: object, ctx: HookContext & { platform: string, arch: string }) => Promise<object|void>|object|void} [forgeConfig]
+ *   Runs once per package target, before the workspace package.json is written.
+ * @property {(artifacts: string[], ctx: HookContext & { platform: string, arch: string, outDir: string, artifactsDir: string, makers: string[] }) => Promise<void>|void} [afterMake]
+ *   Runs after `electron-forge make` of each target with the absolute paths of its distributables.
+ */
+
+const HOOK_NAMES = ['afterExport', 'beforeBundle', 'forgeConfig', 'afterMake'];
+
+function validateHooks(hooks, source) {
+    const errors = [];
+    if (!hooks || typeof hooks !== 'object') {
+        errors.push(`${source}: expected the module to export an object of hook functions`);
+        return errors;
+    }
+    for (const key of Object.keys(hooks)) {
+        if (key === '__esModule' || key === 'default') continue;
+        if (!HOOK_NAMES.includes(key)) {
+            errors.push(`${source}: unknown hook "${key}" (known: ${HOOK_NAMES.join(', ')})`);
+        } else if (typeof hooks[key] !== 'function') {
+            errors.push(`${source}: hook "${key}" must be a function`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Load the project's hook module. Returns `{}` when the default hook file
+ * does not exist; a missing file that was configured explicitly is an error.
+ * @param {{ projectRoot: string, config: object }} project
+ * @returns {Hooks}
+ */
+function loadHooks({ projectRoot, config }) {
+    const rel = (config && config.hooks) || DEFAULT_HOOKS_FILE;
+    const file = path.resolve(projectRoot, rel);
+    if (!fs.existsSync(file)) {
+        if (path.normalize(rel) === DEFAULT_HOOKS_FILE) return {};
+        throw new ExpoElectronError('E_HOOK', `Hooks: configured hooks file not found: ${file}`);
+    }
+    let mod;
+    try {
+        delete require.cache[file];
+        mod = require(file);
+    } catch (e) {
+        throw new ExpoElectronError('E_HOOK', `Hooks: failed to load ${file}: ${e && e.message}`, { cause: e });
+    }
+    // Support `export default { ... }` transpiled to CommonJS.
+    if (mod && mod.__esModule && mod.default) mod = mod.default;
+    const errors = validateHooks(mod, path.relative(projectRoot, file) || file);
+    if (errors.length) {
+        throw new ExpoElectronError('E_HOOK', 'Invalid hooks module:\n  - ' + errors.join('\n  - '));
+    }
+    return mod;
+}
+
+/**
+ * The hooks file and the project modules it required when it was loaded
+ * (packages under `node_modules` are left out), as absolute paths. Only the
+ * hooks file itself is listed when it has not been loaded in this process.
+ * @param {{ projectRoot: string, config: object }} project
+ * @returns {string[]}
+ */
+function hookModuleFiles({ projectRoot, config }) {
+    const file = path.resolve(projectRoot, (config && config.hooks) || DEFAULT_HOOKS_FILE);
+    const files = new Set([file]);
+    const visit = (mod) => {
+        for (const child of (mod && mod.children) || []) {
+            if (files.has(child.filename) || child.filename.split(path.sep).includes('node_modules')) continue;
+            files.add(child.filename);
+            visit(child);
+        }
+    };
+    visit(require.cache[file]);
+    return [...files].sort();
+}
+
+/**
+ * Run one hook. Resolves with the hook's return value, or with `value` when
+ * the hook is not defined or returns `undefined`.
+ * @param {Hooks} hooks
+ * @param {string} name
+ * @param {any} value
+ * @param {object} ctx
+ */
+async function runHook(hooks, name, value, ctx) {
+    const fn = hooks && hooks[name];
+    if (typeof fn !== 'function') return value;
+    console.log(`Hooks: running ${name}`);
+    let result;
+    try {
+        result = await fn(value, ctx);
+    } catch (e) {
+        throw new ExpoElectronError('E_HOOK', `Hooks: ${name} failed: ${e && e.message}`, { cause: e });
+    }
+    return result === undefined ? value : result;
+}
+
+module.exports = {
+    DEFAULT_HOOKS_FILE,
+    HOOK_NAMES,
+    validateHooks,
+    loadHooks,
+    hookModuleFiles,
+    runHook,
+};
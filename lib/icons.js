@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Desktop icons from the Expo PNG icon.
+//
+// Makers want different formats: `.ico` for Windows (Squirrel), `.icns` for
+// macOS (packager, DMG) and `.png` for Linux (deb/rpm, BrowserWindow). Both
+// `.ico` and `.icns` can embed PNG data directly, so all that is needed is a
+// small PNG decoder, a box-filter resize and a PNG encoder (zlib is built in).
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const ICO_SIZES = [16, 24, 32, 48, 64, 128, 256];
+// ICNS types that hold PNG data, by pixel size.
+const ICNS_TYPES = [
+    ['icp4', 16], ['icp5', 32], ['ic11', 32], ['icp6', 64], ['ic12', 64],
+    ['ic07', 128], ['ic08', 256], ['ic13', 256], ['ic09', 512], ['ic14', 512], ['ic10', 1024],
+];
+const LINUX_SIZE = 512;
+
+let _crcTable = null;
+function _crc32(buf) {
+    if (!_crcTable) {
+        _crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            _crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < buf.length; i++) crc = _crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function _paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Decode a non-interlaced PNG into 8-bit RGBA.
+ * @param {Buffer} buf
+ * @returns {{ width: number, height: number, data: Buffer }}
+ */
+function decodePng(buf) {
+    if (!Buffer.isBuffer(buf) || buf.length < 8 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('not a PNG file');
+    }
+    let pos = 8;
+    let ihdr = null;
+    let palette = null;
+    let trns = null;
+    const idat = [];
+    while (pos + 8 <= buf.length) {
+        const len = buf.readUInt32BE(pos);
+        const type = buf.toString('latin1', pos + 4, pos + 8);
+        const body = buf.subarray(pos + 8, pos + 8 + len);
+        pos += 12 + len;
+        if (type === 'IHDR') {
+            ihdr = {
+                width: body.readUInt32BE(0),
+                height: body.readUInt32BE(4),
+                bitDepth: body[8],
+                colorType: body[9],
+                interlace: body[12],
+            };
+        } else if (type === 'PLTE') palette = body;
+        else if (type === 'tRNS') trns = body;
+        else if (type === 'IDAT') idat.push(body);
+        else if (type === 'IEND') break;
+    }
+    if (!ihdr) throw new Error('PNG has no IHDR chunk');
+    const { width, height, bitDepth, colorType, interlace } = ihdr;
+    if (interlace !== 0) throw new Error('interlaced PNGs are not supported');
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    if (!channels) throw new Error(`unsupported PNG color type ${colorType}`);
+    const depthOk = colorType === 3 ? [1, 2, 4, 8].includes(bitDepth) : (bitDepth === 8 || bitDepth === 16);
+    if (!depthOk) throw new Error(`unsupported PNG bit depth ${bitDepth} for color type ${colorType}`);
+    if (colorType === 3 && !palette) throw new Error('palette PNG without PLTE chunk');
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const bitsPerPixel = channels * bitDepth;
+    const stride = Math.ceil((width * bitsPerPixel) / 8);
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const pixels = Buffer.alloc(stride * height);
+    let prev = Buffer.alloc(stride);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = pixels.subarray(y * stride, (y + 1) * stride);
+        for (let x = 0; x < stride; x++) {
+            const a = x >= bpp ? out[x - bpp] : 0;
+            const b = prev[x];
+            const c = x >= bpp ? prev[x - bpp] : 0;
+            let v = line[x];
+            if (filter === 1) v += a;
+            else if (filter === 2) v += b;
+            else if (filter === 3) v += (a + b) >> 1;
+            else if (filter === 4) v += _paeth(a, b, c);
+            else if (filter !== 0) throw new Error(`invalid PNG filter type ${filter}`);
+            out[x] = v & 0xff;
+        }
+        prev = out;
+    }
+
+    const data = Buffer.alloc(width * height * 4);
+    const sample = (row, i) => {
+        // i-th sample of the row, scaled to 8 bits
+        if (bitDepth === 8) return row[i];
+        if (bitDepth === 16) return row[i * 2];
+        const perByte = 8 / bitDepth;
+        const byte = row[Math.floor(i / perByte)];
+        const shift = 8 - bitDepth * ((i % perByte) + 1);
+        return (byte >> shift) & ((1 << bitDepth) - 1);
+    };
+    for (let y = 0; y < height; y++) {
+        const row = pixels.subarray(y * stride, (y + 1) * stride);
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            if (colorType === 3) {
+                const idx = sample(row, x);
+                data[o] = palette[idx * 3];
+                data[o + 1] = palette[idx * 3 + 1];
+                data[o + 2] = palette[idx * 3 + 2];
+                data[o + 3] = trns && idx < trns.length ? trns[idx] : 255;
+            } else if (colorType === 0 || colorType === 4) {
+                const g = sample(row, x * channels);
+                data[o] = data[o + 1] = data[o + 2] = g;
+                data[o + 3] = colorType === 4 ? sample(row, x * channels + 1) : 255;
+            } else {
+                data[o] = sample(row, x * channels);
+                data[o + 1] = sample(row, x * channels + 1);
+                data[o + 2] = sample(row, x * channels + 2);
+                data[o + 3] = colorType === 6 ? sample(row, x * channels + 3) : 255;
+            }
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Encode 8-bit RGBA pixels as a PNG.
+ * @param {{ width: number, height: number, data: Buffer }} image
+ * @returns {Buffer}
+ */
+function encodePng({ width, height, data }) {
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+    const chunk = (type, body) => {
+        const head = Buffer.alloc(8);
+        head.writeUInt32BE(body.length, 0);
+        head.write(type, 4, 'latin1');
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(_crc32(Buffer.concat([head.subarray(4), body])), 0);
+        return Buffer.concat([head, body, crc]);
+    };
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = 6; // RGBA
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', ihdr),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+// Weights for resampling `srcLen` pixels into `dstLen` with a box filter.
+function _boxWeights(srcLen, dstLen) {
+    const scale = srcLen / dstLen;
+    const out = [];
+    for (let d = 0; d < dstLen; d++) {
+        const start = d * scale;
+        const end = start + scale;
+        const taps = [];
+        for (let s = Math.floor(start); s < Math.min(srcLen, Math.ceil(end)); s++) {
+            const w = Math.min(end, s + 1) - Math.max(start, s);
+            if (w > 0) taps.push([s, w / scale]);
+        }
+        out.push(taps);
+    }
+    return out;
+}
+
+/**
+ * Resize RGBA pixels to `size` x `size` with an area-averaging box filter
+ * (premultiplied alpha, so transparent edges do not darken).
+ */
+function resizeSquare(image, size) {
+    const { width, height, data } = image;
+    if (width === size && height === size) return image;
+    const wx = _boxWeights(width, size);
+    const wy = _boxWeights(height, size);
+    // Horizontal pass into a float buffer of premultiplied values.
+    const tmp = new Float64Array(size * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < size; x++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            for (const [sx, w] of wx[x]) {
+                const o = (y * width + sx) * 4;
+                const alpha = data[o + 3] / 255;
+                r += data[o] * alpha * w;
+                g += data[o + 1] * alpha * w;
+                b += data[o + 2] * alpha * w;
+                a += data[o + 3] * w;
+            }
+            const t = (y * size + x) * 4;
+            tmp[t] = r; tmp[t + 1] = g; tmp[t + 2] = b; tmp[t + 3] = a;
+        }
+    }
+    const out = Buffer.alloc(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            for (const [sy, w] of wy[y]) {
+                const t = (sy * size + x) * 4;
+                r += tmp[t] * w; g += tmp[t + 1] * w; b += tmp[t + 2] * w; a += tmp[t + 3] * w;
+            }
+            const o = (y * size + x) * 4;
+            const alpha = a / 255;
+            out[o] = alpha > 0 ? Math.min(255, Math.round(r / alpha)) : 0;
+            out[o + 1] = alpha > 0 ? Math.min(255, Math.round(g / alpha)) : 0;
+            out[o + 2] = alpha > 0 ? Math.min(255, Math.round(b / alpha)) : 0;
+            out[o + 3] = Math.min(255, Math.round(a));
+        }
+    }
+    return { width: size, height: size, data: out };
+}
+
+function buildIco(pngsBySize) {
+    const sizes = Object.keys(pngsBySize).map(Number).sort((a, b) => a - b);
+    const header = Buffer.alloc(6 + 16 * sizes.length);
+    header.writeUInt16LE(0, 0);
+    header.writeUInt16LE(1, 2); // icon
+    header.writeUInt16LE(sizes.length, 4);
+    let offset = header.length;
+    sizes.forEach((size, i) => {
+        const png = pngsBySize[size];
+        const e = 6 + i * 16;
+        header[e] = size >= 256 ? 0 : size;
+        header[e + 1] = size >= 256 ? 0 : size;
+        header.writeUInt16LE(1, e + 4); // planes
+        header.writeUInt16LE(32, e + 6); // bits per pixel
+        header.writeUInt32LE(png.length, e + 8);
+        header.writeUInt32LE(offset, e + 12);
+        offset += png.length;
+    });
+    return Buffer.concat([header, ...sizes.map((s) => pngsBySize[s])]);
+}
+
+function buildIcns(pngsBySize) {
+    const parts = [];
+    for (const [type, size] of ICNS_TYPES) {
+        const png = pngsBySize[size];
+        if (!png) continue;
+        const head = Buffer.alloc(8);
+        head.write(type, 0, 'latin1');
+        head.writeUInt32BE(png.length + 8, 4);
+        parts.push(head, png);
+    }
+    const body = Buffer.concat(parts);
+    const head = Buffer.alloc(8);
+    head.write('icns', 0, 'latin1');
+    head.writeUInt32BE(body.length + 8, 4);
+    return Buffer.concat([head, body]);
+}
+
+/**
+ * Write `icon.png`, `icon.ico` and `icon.icns` into `outDir` from a PNG.
+ * Sizes larger than the source are skipped (upscaling only adds blur).
+ * @param {{ source: string, outDir: string }} options
+ * @returns {{ png: string, ico: string, icns: string, sourceSize: number }}
+ */
+function generateIcons({ source, outDir }) {
+    const image = decodePng(fs.readFileSync(source));
+    if (image.width !== image.height) {
+        console.warn(`Icons: ${source} is ${image.width}x${image.height}; desktop icons should be square, it will be stretched.`);
+    }
+    const max = Math.max(image.width, image.height);
+    const linuxSize = Math.min(LINUX_SIZE, max);
+    const wanted = new Set([...ICO_SIZES, ...ICNS_TYPES.map(([, s]) => s)].filter((s) => s <= max));
+    wanted.add(linuxSize);
+    const pngs = {};
+    for (const size of Array.from(wanted).sort((a, b) => b - a)) {
+        pngs[size] = encodePng(resizeSquare(image, size));
+    }
+    const icoPngs = {};
+    for (const s of ICO_SIZES) if (pngs[s]) icoPngs[s] = pngs[s];
+    if (!Object.keys(icoPngs).length) icoPngs[linuxSize] = pngs[linuxSize];
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const out = {
+        png: path.join(outDir, 'icon.png'),
+        ico: path.join(outDir, 'icon.ico'),
+        icns: path.join(outDir, 'icon.icns'),
+        sourceSize: max,
+    };
+    fs.writeFileSync(out.png, pngs[linuxSize]);
+    fs.writeFileSync(out.ico, buildIco(icoPngs));
+    fs.writeFileSync(out.icns, buildIcns(pngs));
+    return out;
+}
+
+module.exports = {
+    decodePng,
+    encodePng,
+    resizeSquare,
+    buildIco,
+    buildIcns,
+    generateIcons,
+};
@@ -2,22 +2,12 @@ const { spawnSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 
-function truthyEnv(name) {
-    return ['1', 'true', 'yes'].includes(String(process.env[name] || '').toLowerCase());
-}
+const { readExpoConfig, getExpoSchemes } = require('./expo-config');
 
+// Schemes come from the evaluated Expo config (app.json or app.config.js/ts).
+// Throws when a dynamic config cannot be evaluated.
 function readExpoProtocols(projectRoot) {
-    try {
-        const appJson = path.join(projectRoot, 'app.json');
-        if (!fs.existsSync(appJson)) return [];
-        const cfg = JSON.parse(fs.readFileSync(appJson, 'utf8'));
-        const expo = (cfg || {}).expo || {};
-        if (typeof expo.scheme === 'string' && expo.scheme.trim()) return [expo.scheme.trim()];
-        if (Array.isArray(expo.schemes)) return expo.schemes;
-        return [];
-    } catch (e) {
-        return [];
-    }
+    return getExpoSchemes(readExpoConfig(projectRoot).expo);
 }
 
 function sanitizeDesktopToken(s) {
@@ -87,9 +77,10 @@ function removeMimeappsDefaultsForSchemes(schemes) {
     }
 }
 
-function setupLinuxTempDesktopProtocolHandlers({ projectRoot, electronCmd, electronEntry, electronCwd, protocols }) {
+function setupLinuxTempDesktopProtocolHandlers({ projectRoot, electronCmd, electronEntry, electronCwd, protocols, enabled = true }) {
     if (process.platform !== 'linux') return { cleanup: () => { }, enabled: false };
-    if (truthyEnv('EXPO_ELECTRON_LINUX_NO_TEMP_DESKTOP')) return { cleanup: () => { }, enabled: false };
+    // Controlled by `linuxTempDesktop` in the project config (or EXPO_ELECTRON_LINUX_NO_TEMP_DESKTOP).
+    if (!enabled) return { cleanup: () => { }, enabled: false };
 
     const schemes = (protocols || [])
         .map((s) => String(s || '').trim())
@@ -108,9 +99,13 @@ function setupLinuxTempDesktopProtocolHandlers({ projectRoot, electronCmd, elect
     }
 
     let projectName = null;
+    try {
+        const expo = readExpoConfig(projectRoot).expo || {};
+        if (typeof expo.name === 'string' && expo.name.trim()) projectName = expo.name.trim();
+    } catch (e) { }
     try {
         const pkg = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8'));
-        projectName = pkg.productName || pkg.name || null;
+        projectName = projectName || pkg.productName || pkg.name || null;
     } catch (e) { }
     projectName = projectName || path.basename(projectRoot);
 
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+const { ExpoElectronError } = require('./errors');
+const { resourceMatchesTarget } = require('./targets');
+
+// Native binary validation.
+//
+// Autolink ships every `*.node` file it finds in a module. Before packaging,
+// each binary that ships with a requested target is checked:
+//   - its ELF/PE/Mach-O header must match the target platform, arch and
+//     bitness (a macOS universal target needs a fat binary with x64 + arm64),
+//   - addons compiled against a specific ABI (`node_register_module_v<abi>`)
+//     must use Electron's ABI, not Node's (N-API addons work with both),
+//   - a Debug build must not ship next to a Release build of the same file.
+// Any mismatch fails packaging with a table instead of an app whose modules
+// show up as `{ _missing: true }` at runtime.
+
+const FORMAT_FOR_PLATFORM = { linux: 'elf', win32: 'pe', darwin: 'macho', mas: 'macho' };
+
+const BITS_FOR_ARCH = { x64: 64, arm64: 64, ia32: 32, armv7l: 32 };
+
+const ELF_MACHINES = { 0x03: 'ia32', 0x28: 'armv7l', 0x3e: 'x64', 0xb7: 'arm64' };
+const PE_MACHINES = { 0x014c: 'ia32', 0x01c4: 'armv7l', 0x8664: 'x64', 0xaa64: 'arm64' };
+const MACHO_CPUS = { 0x07: 'ia32', 0x0c: 'armv7l', 0x01000007: 'x64', 0x0100000c: 'arm64' };
+
+function _parseElf(buf) {
+    const bits = buf[4] === 2 ? 64 : buf[4] === 1 ? 32 : null;
+    const machine = buf[5] === 2 ? buf.readUInt16BE(18) : buf.readUInt16LE(18);
+    return { format: 'elf', arch: ELF_MACHINES[machine] || `machine 0x${machine.toString(16)}`, bits };
+}
+
+function _parsePe(buf) {
+    const peOffset = buf.readUInt32LE(0x3c);
+    if (peOffset + 26 > buf.length || buf.toString('latin1', peOffset, peOffset + 4) !== 'PE\0\0') return null;
+    const machine = buf.readUInt16LE(peOffset + 4);
+    const magic = buf.readUInt16LE(peOffset + 24);
+    const bits = magic === 0x20b ? 64 : magic === 0x10b ? 32 : null;
+    return { format: 'pe', arch: PE_MACHINES[machine] || `machine 0x${machine.toString(16)}`, bits };
+}
+
+function _machoArch(cpu) {
+    return MACHO_CPUS[cpu] || `cpu 0x${cpu.toString(16)}`;
+}
+
+function _parseMachO(buf) {
+    const magic = buf.readUInt32LE(0);
+    const bits = magic === 0xfeedfacf ? 64 : 32;
+    return { format: 'macho', arch: _machoArch(buf.readUInt32LE(4)), bits };
+}
+
+// Fat (universal) Mach-O: big-endian header with one entry per slice.
+function _parseFat(buf) {
+    const count = buf.readUInt32BE(4);
+    if (count === 0 || count > 16 || 8 + count * 20 > buf.length) return null;
+    const archs = [];
+    for (let i = 0; i < count; i++) archs.push(_machoArch(buf.readUInt32BE(8 + i * 20)));
+    return { format: 'macho', arch: 'universal', archs, bits: 64 };
+}
+
+function _parseHeader(buf) {
+    if (buf.length < 64) return null;
+    if (buf[0] === 0x7f && buf.toString('latin1', 1, 4) === 'ELF') return _parseElf(buf);
+    if (buf[0] === 0x4d && buf[1] === 0x5a) return _parsePe(buf);
+    const le = buf.readUInt32LE(0);
+    if (le === 0xfeedface || le === 0xfeedfacf) return _parseMachO(buf);
+    if (buf.readUInt32BE(0) === 0xcafebabe) return _parseFat(buf);
+    return null;
+}
+
+// Runtime an addon was compiled for, from its exported registration symbol.
+function _parseRuntime(buf) {
+    const text = buf.toString('latin1');
+    const m = text.match(/node_register_module_v(\d+)/);
+    if (m) return { abi: m[1], napi: false };
+    if (text.includes('napi_register_module_v1') || text.includes('napi_module_register')) return { abi: null, napi: true };
+    return { abi: null, napi: false };
+}
+
+/**
+ * Read the format, arch, bitness and runtime ABI of a `.node` file.
+ * `format` is null when the header is not ELF, PE or Mach-O.
+ * @param {string} file
+ * @returns {{ format: 'elf'|'pe'|'macho'|null, arch: string|null, archs?: string[], bits: number|null, abi: string|null, napi: boolean }}
+ */
+function readNativeBinaryInfo(file) {
+    const buf = fs.readFileSync(file);
+    const header = _parseHeader(buf) || { format: null, arch: null, bits: null };
+    return Object.assign(header, _parseRuntime(buf));
+}
+
+function _describe(info) {
+    if (!info.format) return 'not a native binary';
+    const arch = info.archs ? `universal (${info.archs.join(', ')})` : info.arch;
+    const runtime = info.napi ? 'N-API' : info.abi ? `ABI ${info.abi}` : 'ABI unknown';
+    return `${info.format} ${arch} ${info.bits || '?'}-bit, ${runtime}`;
+}
+
+function _checkArch(info, platform, arch) {
+    const problems = [];
+    const format = FORMAT_FOR_PLATFORM[platform];
+    if (!info.format) return [`not an ELF/PE/Mach-O binary (expected ${format})`];
+    if (format && info.format !== format) problems.push(`${info.format} binary, ${platform} needs ${format}`);
+    if (arch === 'universal') {
+        const missing = ['x64', 'arm64'].filter((a) => !(info.archs || [info.arch]).includes(a));
+        if (missing.length) problems.push(`universal target needs a fat binary, missing ${missing.join(', ')}`);
+        return problems;
+    }
+    if (info.archs) {
+        if (!info.archs.includes(arch)) problems.push(`fat binary without ${arch}`);
+    } else if (info.arch !== arch) {
+        problems.push(`built for ${info.arch}, target is ${arch}`);
+    } else if (BITS_FOR_ARCH[arch] && info.bits && info.bits !== BITS_FOR_ARCH[arch]) {
+        problems.push(`${info.bits}-bit, ${arch} needs ${BITS_FOR_ARCH[arch]}-bit`);
+    }
+    return problems;
+}
+
+function _checkRuntime(info, electronAbi) {
+    if (!info.format || info.napi || !info.abi || !electronAbi) return [];
+    if (info.abi === electronAbi) return [];
+    const node = info.abi === process.versions.modules ? ` (Node ${process.versions.node})` : '';
+    return [`built for the Node runtime, ABI ${info.abi}${node}; Electron needs ABI ${electronAbi}`];
+}
+
+/**
+ * Check every `.node` autolink resource that ships with one of `targets`.
+ * @param {{ projectRoot: string, resources: object[], targets: Array<{ platform: string, arch: string, id: string }>, electronAbi?: string|null }} options
+ * @returns {Array<{ module: string, file: string, target: string, found: string, problems: string[] }>}
+ */
+function validateNativeBinaries({ projectRoot, resources, targets, electronAbi = null }) {
+    const natives = resources.filter((r) => r.module && r.arch && String(r.from || '').toLowerCase().endsWith('.node'))
+        .filter((r) => targets.some((t) => resourceMatchesTarget(r, t)));
+    const shipped = new Set(natives.map((r) => r.from));
+    const rows = [];
+    for (const r of natives) {
+        const file = path.join(projectRoot, r.from);
+        let info;
+        try {
+            info = readNativeBinaryInfo(file);
+        } catch (e) {
+            rows.push({ module: r.module, file: r.from, target: `${r.platform}-${r.arch}`, found: 'unreadable', problems: [e && e.message] });
+            continue;
+        }
+        const problems = _checkArch(info, r.platform, r.arch).concat(_checkRuntime(info, electronAbi));
+        if (/(^|\/)Debug\//.test(r.from) && shipped.has(r.from.replace(/(^|\/)Debug\//, '$1Release/'))) {
+            problems.push('Debug build next to a Release build of the same file');
+        }
+        rows.push({ module: r.module, file: r.from, target: `${r.platform}-${r.arch}`, found: _describe(info), problems });
+    }
+    return rows;
+}
+
+function formatNativeBinaryTable(rows) {
+    const head = { module: 'module', file: 'file', target: 'target', found: 'found', problem: 'problem' };
+    const lines = [head].concat(rows.map((r) => ({ module: r.module, file: r.file, target: r.target, found: r.found, problem: r.problems.join('; ') })));
+    const cols = Object.keys(head);
+    const widths = cols.map((c) => Math.max(...lines.map((l) => String(l[c]).length)));
+    return lines.map((l) => '  ' + cols.map((c, i) => (i === cols.length - 1 ? String(l[c]) : String(l[c]).padEnd(widths[i]))).join('  ')).join('\n');
+}
+
+/**
+ * Validate the shipped native binaries and throw `E_NATIVE_BINARY` with a
+ * table of every mismatch.
+ */
+function checkNativeBinaries({ projectRoot, resources, targets, electronVersion = null, electronAbi = null }) {
+    const rows = validateNativeBinaries({ projectRoot, resources, targets, electronAbi });
+    if (!rows.length) return rows;
+    const bad = rows.filter((r) => r.problems.length);
+    const against = electronAbi ? `Electron ${electronVersion} (ABI ${electronAbi})` : 'Electron (ABI unknown, runtime not checked)';
+    if (!bad.length) {
+        console.log(`Native binaries: ${rows.length} file(s) match their targets and ${against}`);
+        return rows;
+    }
+    throw new ExpoElectronError('E_NATIVE_BINARY', [
+        `Packaging: ${bad.length} native binary file(s) do not match their target or ${against}:`,
+        formatNativeBinaryTable(bad),
+        'Rebuild the module for Electron (`nativeRebuild: true` or `expo-electron build --rebuild`), put binaries for other targets under a `<platform>-<arch>` folder, and delete stale `build/Debug` output.',
+    ].join('\n'), { details: { rows: bad } });
+}
+
+module.exports = {
+    readNativeBinaryInfo,
+    validateNativeBinaries,
+    formatNativeBinaryTable,
+    checkNativeBinaries,
+};
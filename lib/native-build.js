@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+
+const { resolveProject, getElectronVersion } = require('./project');
+const { readJsonIfExists } = require('./fs-utils');
+const { hashDirectory, hashValue } = require('./cache');
+const { findElectronEntries } = require('./autolink');
+const { getElectronAbi, findBindingGypDir, rebuildNativeModule } = require('./native-rebuild');
+const { NPM_CMD, commandExistsInPath, runCommand, runCommandCaptured, colorize } = require('./exec');
+const { ExpoElectronError } = require('./errors');
+
+function listTopLevelDependencies(projectRoot) {
+    const pkgPath = path.join(projectRoot, 'package.json');
+    const pkg = readJsonIfExists(pkgPath) || {};
+    const deps = Object.assign({}, pkg.dependencies || {}, pkg.devDependencies || {});
+    return Object.keys(deps || {});
+}
+
+function findAutolinkableModuleRoots(projectRoot, autolinkConfig = {}) {
+    // Same modules as the autolinker: top-level declared deps with an
+    // Electron block or an `electron/index.js` entrypoint that pass the
+    // `autolink` include/exclude lists.
+    return findElectronEntries(projectRoot, autolinkConfig).map((m) => ({ name: m.name, modRoot: m.root, electronDir: path.join(m.root, 'electron') }));
+}
+
+function getBuildWorkspacesForModule(modRoot) {
+    // Only consider `electron/package.json` if it defines a build script.
+    const candidates = [];
+    const electronPkgPath = path.join(modRoot, 'electron', 'package.json');
+    const electronPkg = readJsonIfExists(electronPkgPath);
+    if (electronPkg && electronPkg.scripts && typeof electronPkg.scripts.build === 'string' && electronPkg.scripts.build.trim()) {
+        candidates.push(path.dirname(electronPkgPath));
+    }
+    // Deduplicate
+    return Array.from(new Set(candidates));
+}
+
+// Built addons (`*.node`) under a module workspace, relative to it.
+function _listNodeBinaries(root, dir = root, out = []) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+        return out;
+    }
+    for (const ent of entries) {
+        if (ent.name === 'node_modules') continue;
+        const full = path.join(dir, ent.name);
+        if (ent.isDirectory()) _listNodeBinaries(root, full, out);
+        else if (ent.isFile() && ent.name.endsWith('.node')) out.push(path.relative(root, full));
+    }
+    return out.sort();
+}
+
+// Cache key of a module build: its sources (without build output), how it
+// is built, and the Electron version and platform/archs it is compiled for.
+function _nativeCacheKey(t, electronVersion, archs) {
+    return hashValue({
+        sources: hashDirectory(t.cwd, { ignore: ['build'] }),
+        kind: t.kind,
+        electronVersion,
+        platform: process.platform,
+        arch: process.arch,
+        archs: t.kind === 'rebuild' ? archs : undefined,
+    });
+}
+
+/**
+ * Build Electron-native module workspaces (per-module `npm run build`).
+ *
+ * In rebuild mode (`options.rebuild`, default `config.nativeRebuild`) modules
+ * with a `binding.gyp` are compiled with @electron/rebuild against the
+ * project's Electron version for `options.arch` (host platform archs, default
+ * the host arch) instead; see lib/native-rebuild.js.
+ *
+ * With `options.cache` (see lib/cache.js) a module whose sources are
+ * unchanged since its last successful build, and whose `*.node` outputs are
+ * still in place, is skipped.
+ *
+ * @param {{ projectRoot?: string, config?: object, module?: string|null, list?: boolean, verbose?: boolean, rebuild?: boolean, arch?: string[]|null, cache?: object|null }} [options]
+ * @returns {Promise<{ skipped: string|null, targets: Array<{ name: string, cwd: string, kind: 'script'|'rebuild' }>, built: string[], cached: string[], electronVersion?: string|null, abi?: string|null }>}
+ */
+async function buildNativeModules(options = {}) {
+    const { projectRoot, config } = resolveProject(options);
+    const verbose = !!(options.verbose || config.verbose);
+    const listOnly = !!options.list;
+    const onlyModule = options.module || null;
+    const rebuildMode = options.rebuild === undefined ? !!config.nativeRebuild : !!options.rebuild;
+    const archs = Array.isArray(options.arch) && options.arch.length ? options.arch : [process.arch];
+    if (!config.nativeBuild) {
+        console.log('Native build: skipping (nativeBuild disabled)');
+        return { skipped: 'disabled', targets: [], built: [], cached: [] };
+    }
+
+    // @electron/rebuild drives node-gyp itself; only script builds need npm.
+    const hasNpm = commandExistsInPath(NPM_CMD);
+    if (!hasNpm && !rebuildMode) {
+        console.warn('Native build: npm not found in PATH; skipping native module builds.');
+        return { skipped: 'npm-missing', targets: [], built: [], cached: [] };
+    }
+
+    const mods = findAutolinkableModuleRoots(projectRoot, config.autolink);
+    if (!mods.length) {
+        console.log('Native build: no autolinkable electron modules found');
+        return { skipped: null, targets: [], built: [], cached: [] };
+    }
+
+    const buildTargets = [];
+    for (const m of mods) {
+        const gypDir = rebuildMode ? findBindingGypDir(m.modRoot) : null;
+        if (gypDir) {
+            buildTargets.push({ name: m.name, cwd: gypDir, kind: 'rebuild' });
+            continue;
+        }
+        const workspaces = getBuildWorkspacesForModule(m.modRoot);
+        if (workspaces.length && !hasNpm) {
+            console.warn(`Native build: npm not found in PATH; skipping ${m.name} (npm run build).`);
+            continue;
+        }
+        for (const cwd of workspaces) {
+            buildTargets.push({ name: m.name, cwd, kind: 'script' });
+        }
+    }
+
+    if (!buildTargets.length) {
+        console.log(rebuildMode ? 'Native build: no build scripts or binding.gyp found in electron modules' : 'Native build: no build scripts found in electron modules');
+        return { skipped: null, targets: [], built: [], cached: [] };
+    }
+
+    const targets = onlyModule
+        ? buildTargets.filter((t) => String(t.name).toLowerCase() === String(onlyModule).toLowerCase())
+        : buildTargets;
+    if (onlyModule && targets.length === 0) {
+        const known = Array.from(new Set(buildTargets.map((t) => t.name))).sort();
+        throw new ExpoElectronError('E_NATIVE_BUILD', `Native build: unknown module "${onlyModule}". Known: ${known.join(', ') || '(none)'}`);
+    }
+
+    if (listOnly) {
+        const uniqueMods = Array.from(new Set(targets.map((t) => t.name))).sort();
+        console.log('Native build: discovered', targets.length, 'module workspace(s)' + (onlyModule ? ` (module: ${onlyModule})` : ''));
+        for (const name of uniqueMods) {
+            console.log(colorize('cyan', name));
+            for (const t of targets.filter((x) => x.name === name)) {
+                const rel = path.relative(projectRoot, t.cwd) || t.cwd;
+                console.log('  -', rel, colorize('dim', t.kind === 'rebuild' ? '(@electron/rebuild)' : '(npm run build)'));
+            }
+        }
+        return { skipped: 'list', targets, built: [], cached: [] };
+    }
+
+    const cache = options.cache || null;
+    const electronVersion = getElectronVersion(projectRoot);
+    let abi = null;
+    if (targets.some((t) => t.kind === 'rebuild')) {
+        if (!electronVersion) {
+            throw new ExpoElectronError('E_NATIVE_BUILD', 'Native rebuild: cannot determine the Electron version; declare "electron" in the project package.json and install it.');
+        }
+        abi = await getElectronAbi(electronVersion);
+        console.log(`Native build: rebuilding binding.gyp modules with @electron/rebuild for Electron ${electronVersion} (ABI ${abi || 'unknown'}), ${process.platform} ${archs.join(', ')}`);
+    }
+    const built = [];
+    const cached = [];
+    console.log('Native build: building', targets.length, 'module workspace(s)' + (onlyModule ? ` (module: ${onlyModule})` : ''));
+    for (let i = 0; i < targets.length; i++) {
+        const t = targets[i];
+        const rel = path.relative(projectRoot, t.cwd) || t.cwd;
+        const prefix = `[${i + 1}/${targets.length}]`;
+        const startMs = Date.now();
+        const stage = `native:${t.name}`;
+        const cacheKey = cache ? _nativeCacheKey(t, electronVersion, archs) : null;
+        if (cache && cache.checkFiles(stage, cacheKey, t.cwd)) {
+            console.log(colorize('cyan', `Native build ${prefix}`), `${t.name}`, colorize('dim', `(${rel})`), colorize('green', 'unchanged, skipped'));
+            cached.push(t.name);
+            continue;
+        }
+        console.log(colorize('cyan', `Native build ${prefix}`), `${t.name}`, colorize('dim', `(${rel})`));
+
+        try {
+            if (t.kind === 'rebuild') {
+                const { binaries } = await rebuildNativeModule({ dir: t.cwd, electronVersion, archs });
+                for (const file of binaries) console.log(colorize('dim', `  ${path.relative(t.cwd, file)} (Electron ${electronVersion}, ABI ${abi || 'unknown'})`));
+            } else if (verbose) {
+                console.log(colorize('dim', `Running: ${NPM_CMD} run build`));
+                await runCommand(NPM_CMD, ['run', 'build'], { cwd: t.cwd });
+            } else {
+                await runCommandCaptured(NPM_CMD, ['run', 'build'], {
+                    cwd: t.cwd,
+                    label: `${t.name}: npm run build`,
+                    spinnerText: `building ${t.name}`
+                });
+            }
+            const dur = ((Date.now() - startMs) / 1000).toFixed(1);
+            console.log(colorize('green', 'OK'), colorize('dim', `(${dur}s)`));
+            built.push(t.name);
+            if (cache) cache.storeFiles(stage, cacheKey, t.cwd, _listNodeBinaries(t.cwd));
+        } catch (e) {
+            const dur = ((Date.now() - startMs) / 1000).toFixed(1);
+            console.error(colorize('red', 'FAILED'), colorize('dim', `(${dur}s)`));
+            if (!verbose) {
+                const out = String(e && e.output ? e.output : '');
+                if (out.trim()) {
+                    console.error(colorize('yellow', '--- build output (captured) ---'));
+                    console.error(out.trimEnd());
+                    console.error(colorize('yellow', '--- end build output ---'));
+                } else {
+                    console.error(colorize('yellow', '(no output captured)'));
+                }
+
+                // Windows-specific hint: node-gyp often fails to unlink outputs
+                // when the .node is still loaded by a running Electron/Node process
+                // or locked by antivirus/indexers.
+                if (process.platform === 'win32') {
+                    const lower = out.toLowerCase();
+                    if (lower.includes('eperm') && lower.includes('unlink') && lower.includes('.node')) {
+                        console.error(colorize('yellow', 'Hint (Windows): a previous Electron/Node process may still be using the .node file.'));
+                        console.error(colorize('dim', 'Close the running app, then delete the module\\electron\\build folder and re-run.'));
+                        console.error(colorize('dim', 'If it persists, temporarily disable AV real-time scanning for the project folder.'));
+                    }
+                }
+                console.error(colorize('dim', 'Tip: re-run with --verbose or set EXPO_ELECTRON_VERBOSE=1 for live logs.'));
+            }
+            throw new ExpoElectronError('E_NATIVE_BUILD', `Native build failed for ${t.name}: ${e && e.message}`, {
+                cause: e,
+                details: { module: t.name, cwd: t.cwd, output: e && e.output },
+            });
+        }
+    }
+    return { skipped: null, targets, built, cached, electronVersion, abi };
+}
+
+module.exports = {
+    listTopLevelDependencies,
+    findAutolinkableModuleRoots,
+    getBuildWorkspacesForModule,
+    buildNativeModules,
+};
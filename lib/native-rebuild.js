@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { createRequire } = require('module');
+const { pathToFileURL } = require('url');
+
+const { ExpoElectronError } = require('./errors');
+const { removeDir } = require('./fs-utils');
+
+// Built-in native rebuild mode (`nativeRebuild: true` / `build --rebuild`).
+//
+// Autolinked modules that ship a `binding.gyp` (in `electron/` or at the
+// package root) are compiled with @electron/rebuild against the project's
+// Electron version instead of relying on the module's own `npm run build`.
+// Output lands in the usual `build/Release/`; binaries for other archs of
+// the host platform are copied to `build/<platform>-<arch>/` so autolink can
+// ship them per package target (see lib/targets.js).
+
+// @electron/rebuild and node-abi are ESM-only; load them lazily with import().
+async function _importRebuild() {
+    try {
+        return await import('@electron/rebuild');
+    } catch (e) {
+        throw new ExpoElectronError('E_MISSING_BINARY', 'Native rebuild: cannot load @electron/rebuild (' + (e && e.message) + '). Re-install expo-electron (`npm install`).', { cause: e });
+    }
+}
+
+/**
+ * Node ABI (`process.versions.modules`) of an Electron version, or null when
+ * it cannot be determined.
+ * @param {string} electronVersion
+ * @returns {Promise<string|null>}
+ */
+async function getElectronAbi(electronVersion) {
+    if (!electronVersion) return null;
+    try {
+        // node-abi is a dependency of @electron/rebuild; resolve it from there.
+        const fromRebuild = createRequire(require.resolve('@electron/rebuild'));
+        const { getAbi } = await import(pathToFileURL(fromRebuild.resolve('node-abi')).href);
+        return String(getAbi(electronVersion, 'electron'));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Folder of a module that @electron/rebuild can compile: the first of
+ * `electron/` and the package root with a `binding.gyp` next to a
+ * `package.json`, or null.
+ * @param {string} modRoot
+ * @returns {string|null}
+ */
+function findBindingGypDir(modRoot) {
+    for (const dir of [path.join(modRoot, 'electron'), modRoot]) {
+        if (fs.existsSync(path.join(dir, 'binding.gyp')) && fs.existsSync(path.join(dir, 'package.json'))) return dir;
+    }
+    return null;
+}
+
+function _releaseBinaries(dir) {
+    const releaseDir = path.join(dir, 'build', 'Release');
+    if (!fs.existsSync(releaseDir)) return [];
+    return fs.readdirSync(releaseDir).filter((f) => f.endsWith('.node')).map((f) => path.join(releaseDir, f));
+}
+
+async function _rebuildOnce({ dir, electronVersion, arch }) {
+    const { rebuild } = await _importRebuild();
+    await rebuild({
+        buildPath: dir,
+        projectRootPath: dir,
+        electronVersion,
+        arch,
+        force: true,
+        // Only the module folder itself, not its dependencies.
+        onlyModules: [],
+        mode: 'sequential',
+    });
+    return _releaseBinaries(dir);
+}
+
+/**
+ * Rebuild one module folder for every requested arch of the host platform.
+ * The host arch is built last, and only when it was requested or
+ * `build/Release/` holds no binaries yet; otherwise the host binaries already
+ * in `build/Release/` are put back after the other archs were built.
+ * @param {{ dir: string, electronVersion: string, archs?: string[] }} options
+ * @returns {Promise<{ binaries: string[] }>} absolute paths of the produced `.node` files
+ */
+async function rebuildNativeModule({ dir, electronVersion, archs = [process.arch] }) {
+    const others = archs.filter((a) => a !== process.arch);
+    // Every build writes build/Release/; keep the host binaries that are
+    // already there when the host arch is not rebuilt.
+    const hostBinaries = archs.includes(process.arch)
+        ? []
+        : _releaseBinaries(dir).map((file) => ({ file, data: fs.readFileSync(file) }));
+    const binaries = [];
+    for (const arch of others) {
+        const outDir = path.join(dir, 'build', `${process.platform}-${arch}`);
+        const built = await _rebuildOnce({ dir, electronVersion, arch });
+        removeDir(outDir);
+        fs.mkdirSync(outDir, { recursive: true });
+        for (const file of built) {
+            const dest = path.join(outDir, path.basename(file));
+            fs.copyFileSync(file, dest);
+            binaries.push(dest);
+        }
+    }
+    if (!hostBinaries.length) {
+        binaries.push(...await _rebuildOnce({ dir, electronVersion, arch: process.arch }));
+    } else if (others.length) {
+        for (const file of _releaseBinaries(dir)) fs.rmSync(file, { force: true });
+        for (const { file, data } of hostBinaries) fs.writeFileSync(file, data);
+    }
+    return { binaries };
+}
+
+module.exports = {
+    getElectronAbi,
+    findBindingGypDir,
+    rebuildNativeModule,
+};
@@ -0,0 +1,665 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { resolveProject, requireBinary, getElectronVersion } = require('./project');
+const { getRuntimeConfig } = require('./config');
+const { readExpoProtocols } = require('./linux-dev-deeplinks');
+const { readExpoConfig } = require('./expo-config');
+const { resolveAppIdentity, resolveWindowOptions, prepareIcons } = require('./app-identity');
+const { prebuild } = require('./prebuild');
+const { buildNativeModules } = require('./native-build');
+const { getElectronAbi } = require('./native-rebuild');
+const { checkNativeBinaries } = require('./native-binaries');
+const { linkProject, autolinkOptions } = require('./autolink');
+const { bundleElectronMainIfNeeded, bundleElectronPreloadIfNeeded } = require('./bundle');
+const { runCommand } = require('./exec');
+const { readJsonIfExists, copyRecursiveSkipExisting, copyRecursiveFilteredSkipExisting, copyFileWithRetries, removeDir } = require('./fs-utils');
+const { ExpoElectronError, isExpoElectronError } = require('./errors');
+const { HOOK_NAMES, loadHooks, hookModuleFiles, runHook } = require('./hooks');
+const { DEFAULT_MAKERS, createForgeConfig } = require('./forge-config');
+const { reportPackagedFuses } = require('./fuses');
+const { resolveTargets, resourceMatchesTarget } = require('./targets');
+const { LOCKFILES, hashValue, hashDirectory, hashFiles, openCache, formatCacheSummary } = require('./cache');
+
+// Deterministic behavior: detect whether the installed Expo CLI supports
+// the `export` command and run exactly that form. Do NOT attempt multiple
+// fallbacks — fail loudly if the expected command is not available.
+async function exportWeb({ project, webOut }) {
+    const expoCmd = project.bins.expo;
+    console.log('Packaging: building Expo web into', webOut);
+    const helpCheck = spawnSync(expoCmd, ['--help'], { encoding: 'utf8', shell: process.platform === 'win32' });
+    if (helpCheck.error) {
+        throw new ExpoElectronError('E_MISSING_BINARY', 'Failed to execute expo --help: ' + (helpCheck.error && helpCheck.error.message), { cause: helpCheck.error });
+    }
+    const helpOut = String(helpCheck.stdout || '') + String(helpCheck.stderr || '');
+    if (!helpOut.includes('export')) {
+        throw new ExpoElectronError('E_EXPORT', [
+            'Installed expo CLI does not advertise an `export` command.',
+            'Per project policy this tool will not try fallback commands.',
+            'Please run the appropriate web build/export for your Expo CLI manually from the project root, e.g. `expo export . --output-dir <dir> -p web`, then re-run this command.',
+        ].join('\n'));
+    }
+    const args = ['export', '.', '--output-dir', webOut, '-p', 'web'];
+    console.log('Running:', expoCmd, args.join(' '));
+    try {
+        // Ensure output dir exists
+        if (!fs.existsSync(webOut)) fs.mkdirSync(webOut, { recursive: true });
+        await runCommand(expoCmd, args, { cwd: project.projectRoot });
+    } catch (e) {
+        throw new ExpoElectronError('E_EXPORT', 'Expo export failed: ' + (e && e.message), { cause: e });
+    }
+}
+
+// Project folders that never feed the web export. Dot directories
+// (`.expo`, `.vscode`, ...) are skipped as well.
+const EXPORT_IGNORED = ['dist', 'web-build', 'ios', 'android', 'out', 'build', 'coverage'];
+// Larger project files (videos, archives, ...) are keyed by size and mtime
+// rather than read in full on every run.
+const EXPORT_HASH_MAX_BYTES = 1024 * 1024;
+
+function _packageVersion(name, projectRoot) {
+    try {
+        return require(require.resolve(`${name}/package.json`, { paths: [projectRoot, __dirname] })).version;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Cache key of the web export: project sources and lockfiles, the Expo
+// version and the env vars Expo inlines into the bundle.
+function _exportCacheKey(project) {
+    const { projectRoot, electronDir } = project;
+    const env = {};
+    for (const name of Object.keys(process.env).sort()) {
+        if (name.startsWith('EXPO_PUBLIC_') || name === 'NODE_ENV') env[name] = process.env[name];
+    }
+    return hashValue({
+        sources: hashDirectory(projectRoot, {
+            ignore: [...EXPORT_IGNORED, path.relative(projectRoot, electronDir).split(path.sep).join('/')],
+            ignoreDotDirs: true,
+            maxFileBytes: EXPORT_HASH_MAX_BYTES,
+        }),
+        lockfiles: hashFiles(projectRoot, LOCKFILES),
+        expo: _packageVersion('expo', projectRoot),
+        env,
+    });
+}
+
+// Reuse the previous export when its inputs are unchanged.
+async function exportWebCached({ project, webOut, cache }) {
+    const key = _exportCacheKey(project);
+    if (cache.restoreDir('export', key, webOut)) {
+        console.log('Packaging: web export unchanged, reusing cached export in', webOut);
+        return;
+    }
+    await exportWeb({ project, webOut });
+    cache.storeDir('export', key, webOut);
+}
+
+// Post-export transformation of the exported index.html. The packaged app
+// serves the export from expo-electron://bundle/ (see main/protocol.js), so asset URLs
+// are left untouched; only the CSP meta tag is injected.
+function postProcessIndexHtml({ config, webOut }) {
+    try {
+        const indexPath = path.join(webOut, 'index.html');
+        if (!fs.existsSync(indexPath)) return;
+        let html = fs.readFileSync(indexPath, 'utf8');
+
+        // Inject CSP for packaged builds.
+        // Can be disabled with `csp: false` or overridden with a `csp` string
+        // (EXPO_ELECTRON_NO_CSP / EXPO_ELECTRON_CSP still take precedence).
+        if (config.csp !== false) {
+            const hasInlineScript = /<script(?![^>]*\bsrc\s*=)[^>]*>/i.test(html);
+            const defaultCsp = [
+                "default-src 'self'",
+                "base-uri 'self'",
+                "object-src 'none'",
+                "form-action 'self'",
+                "img-src 'self' data: blob:",
+                "font-src 'self' data:",
+                "style-src 'self' 'unsafe-inline'",
+                hasInlineScript ? "script-src 'self' 'unsafe-inline'" : "script-src 'self'",
+                "connect-src 'self' https: wss:",
+            ].join('; ');
+            const csp = typeof config.csp === 'string' ? config.csp : defaultCsp;
+
+            // `frame-ancestors` is ignored in <meta http-equiv="Content-Security-Policy">.
+            // Keep it in the Electron response-header CSP (installed in main.js),
+            // but strip it from the meta CSP to avoid confusing console warnings.
+            const cspForMeta = csp
+                .replace(/(^|;)\s*frame-ancestors\s+[^;]*/gi, '$1')
+                .replace(/;\s*;/g, ';')
+                .replace(/^\s*;\s*/g, '')
+                .replace(/\s*;\s*$/g, '')
+                .trim();
+            // If stripping leaves nothing, skip injecting the meta tag.
+            if (cspForMeta) {
+                const escapeAttr = (s) => String(s)
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;')
+                    .replace(/"/g, '&quot;')
+                    .replace(/'/g, '&#39;');
+                const metaTag = `  <meta http-equiv=\"Content-Security-Policy\" content=\"${escapeAttr(cspForMeta)}\">`;
+
+                if (/<meta[^>]+http-equiv=['"]Content-Security-Policy['"][^>]*>/i.test(html)) {
+                    html = html.replace(/<meta[^>]+http-equiv=['"]Content-Security-Policy['"][^>]*>/i, metaTag);
+                } else {
+                    const headIndex = html.indexOf('<head>');
+                    if (headIndex !== -1) {
+                        const insertAt = headIndex + '<head>'.length;
+                        html = html.slice(0, insertAt) + '\n' + metaTag + html.slice(insertAt);
+                    } else if (html.includes('</head>')) {
+                        html = html.replace('</head>', metaTag + '\n</head>');
+                    } else {
+                        // If no <head> is present, just prefix.
+                        html = metaTag + '\n' + html;
+                    }
+                }
+            }
+        }
+
+        fs.writeFileSync(indexPath, html, 'utf8');
+        if (config.csp !== false) console.log('Post-export: injected CSP into', indexPath);
+    } catch (e) {
+        console.warn('Post-export: failed to adjust index.html:', e && e.message);
+    }
+}
+
+// Give the `afterExport` hook a chance to patch the final index.html.
+async function runAfterExportHook({ hooks, ctx }) {
+    const indexPath = path.join(ctx.appDir, 'index.html');
+    if (!hooks.afterExport || !fs.existsSync(indexPath)) return;
+    const html = fs.readFileSync(indexPath, 'utf8');
+    const next = await runHook(hooks, 'afterExport', html, { ...ctx, indexPath });
+    if (typeof next !== 'string') {
+        throw new ExpoElectronError('E_HOOK', 'Hooks: afterExport must return a string (or nothing)');
+    }
+    if (next !== html) fs.writeFileSync(indexPath, next, 'utf8');
+}
+
+async function bundleWorkspaceMain({ project, workMain, hooks = {}, ctx = {} }) {
+    const { config, projectRoot } = project;
+    const beforeBuildFor = (entry) => (options) => runHook(hooks, 'beforeBundle', options, { ...ctx, entry });
+    // Bundle Electron preload script so its dependencies are included
+    // in the packaged app without relying on packaged node_modules.
+    try {
+        const preloadEntry = path.join(workMain, 'preload.js');
+        const preloadTempOut = path.join(workMain, 'preload.bundle.cjs');
+        const bundleResult = await bundleElectronPreloadIfNeeded({ entryFile: preloadEntry, outFile: preloadTempOut, projectRoot, enabled: config.bundlePreload, beforeBuild: beforeBuildFor('preload') });
+        if (bundleResult && bundleResult.bundled) {
+            await copyFileWithRetries(preloadTempOut, preloadEntry);
+            try { fs.unlinkSync(preloadTempOut); } catch (e) { }
+        }
+    } catch (e) {
+        if (isExpoElectronError(e)) throw e;
+        throw new ExpoElectronError('E_BUNDLE', 'Packaging: failed to bundle Electron preload: ' + (e && e.message), { cause: e });
+    }
+
+    // Bundle Electron main process entry so runtime dependencies are included
+    // in the packaged app without needing workspace node_modules.
+    try {
+        const entryFile = path.join(workMain, 'main.js');
+        const outFile = path.join(workMain, 'main.bundle.cjs');
+        const bundleResult = await bundleElectronMainIfNeeded({ entryFile, outFile, projectRoot, enabled: config.bundleMain, beforeBuild: beforeBuildFor('main') });
+        if (bundleResult && bundleResult.bundled) {
+            // Overwrite main.js with the bundled output and remove the intermediate.
+            await copyFileWithRetries(outFile, entryFile);
+            try { fs.unlinkSync(outFile); } catch (e) { }
+        }
+    } catch (e) {
+        if (isExpoElectronError(e)) throw e;
+        throw new ExpoElectronError('E_BUNDLE', 'Packaging: failed to bundle Electron main: ' + (e && e.message), { cause: e });
+    }
+}
+
+// Cache key of the bundled main/preload: `electron/main/**` (including the
+// generated preload), the hooks module and the project files it requires
+// (beforeBundle may change esbuild options), lockfiles and esbuild version. Null when hooks were passed in
+// programmatically, since their code cannot be hashed.
+function _bundleCacheKey({ project, projectMain, hooks, hooksFromOptions }) {
+    const { config, projectRoot } = project;
+    if (hooksFromOptions && hooks.beforeBundle) return null;
+    return hashValue({
+        main: hashDirectory(projectMain),
+        hooks: hashFiles(projectRoot, hookModuleFiles(project).map((file) => path.relative(projectRoot, file))),
+        lockfiles: hashFiles(projectRoot, LOCKFILES),
+        esbuild: _packageVersion('esbuild', projectRoot),
+        bundleMain: config.bundleMain,
+        bundlePreload: config.bundlePreload,
+        nodeEnv: process.env.NODE_ENV || null,
+    });
+}
+
+// Copy `electron/main` into the workspace and bundle it, or restore the
+// previously bundled output when its inputs are unchanged.
+async function prepareWorkspaceMain({ project, projectMain, workMain, hooks, hooksFromOptions, ctx, cache }) {
+    const key = _bundleCacheKey({ project, projectMain, hooks, hooksFromOptions });
+    if (key && cache.restoreDir('bundle', key, workMain)) {
+        console.log('Packaging: electron/main unchanged, reusing cached bundles in', workMain);
+        return;
+    }
+    // Copy into the workspace but SKIP existing files so developer edits
+    // are preserved and not clobbered.
+    if (fs.existsSync(projectMain)) {
+        copyRecursiveSkipExisting(projectMain, workMain);
+    }
+    await bundleWorkspaceMain({ project, workMain, hooks, ctx });
+    if (key) cache.storeDir('bundle', key, workMain);
+    else cache.record('bundle', 'built', null);
+}
+
+// Read the autolink resources manifest (`electron-resources.json` in the
+// project's `electron/` folder): {from,to} entries relative to the project
+// root; native binaries also carry `module`, `platform` and `arch`, or
+// `host: true` for binaries built on this machine, which get this machine's
+// platform and arch here. Older manifests are a bare array instead of
+// `{ contentHash, resources }`.
+function readAutolinkResources(project) {
+    return _readResourcesManifest(project).map((r) => (r.host ? { ...r, platform: process.platform, arch: process.arch } : r));
+}
+
+function _readResourcesManifest(project) {
+    const resourcesPath = path.join(project.electronDir, 'electron-resources.json');
+    if (!fs.existsSync(resourcesPath)) {
+        console.log('Packaging: no autolink resources file at', resourcesPath);
+        return [];
+    }
+    try {
+        const data = JSON.parse(fs.readFileSync(resourcesPath, 'utf8'));
+        return Array.isArray(data) ? data : (data && data.resources) || [];
+    } catch (e) {
+        console.warn('Packaging: failed to read autolink resources:', e && e.message);
+        return [];
+    }
+}
+
+// Every native module must have a binary for every requested target;
+// otherwise the packaged app would silently load the `_missing` stub.
+function checkNativeTargets(resources, targets) {
+    const problems = [];
+    const modules = Array.from(new Set(resources.filter((r) => r.module && r.arch).map((r) => r.module))).sort();
+    for (const name of modules) {
+        const own = resources.filter((r) => r.module === name && r.arch);
+        const have = Array.from(new Set(own.map((r) => `${r.platform}-${r.arch}`))).sort();
+        for (const target of targets) {
+            if (!own.some((r) => resourceMatchesTarget(r, target))) {
+                problems.push(`${name}: no native binary for ${target.id} (found: ${have.join(', ')})`);
+            }
+        }
+    }
+    if (problems.length) {
+        throw new ExpoElectronError('E_MISSING_BINARY', [
+            'Packaging: native modules are missing binaries for the requested targets:',
+            ...problems.map((p) => `  - ${p}`),
+            'Ship prebuilt binaries under a `<platform>-<arch>` folder in the module, or package these targets on a matching host.',
+        ].join('\n'), { details: { problems } });
+    }
+}
+
+// Copy the autolink resources for one target into the packaging workspace
+// so native files (and electron/ folders from modules) are available to the
+// packager. `native/` is cleared first so binaries of a previous target never
+// leak into the next one.
+function copyAutolinkResources({ project, appOut, resources, target }) {
+    const { config, projectRoot } = project;
+    const copied = [];
+    try {
+        removeDir(path.join(appOut, 'native'));
+        const strictNativeOnly = config.copyNativeOnly;
+        for (const r of resources.filter((res) => resourceMatchesTarget(res, target))) {
+            try {
+                // source is project-root relative
+                const src = path.join(projectRoot, r.from || '');
+                const dest = path.join(appOut, r.to || '');
+                if (!fs.existsSync(src)) {
+                    console.warn('Packaging: autolink resource missing, skipping', src);
+                    continue;
+                }
+                // Ensure destination parent exists
+                const dpar = path.dirname(dest);
+                if (!fs.existsSync(dpar)) fs.mkdirSync(dpar, { recursive: true });
+                // Copy resource (preserve directories) while pruning non-.node
+                // artifacts from native build outputs. Set `copyNativeOnly: true`
+                // to copy ONLY .node files from all resources.
+                const srcNorm = String(r.from || '').replace(/\\/g, '/');
+                const isNativeBuildDir = srcNorm.includes('/build/Release') || srcNorm.includes('/build/Debug');
+                const filterFn = (s) => {
+                    const ext = path.extname(String(s)).toLowerCase();
+                    if (strictNativeOnly) return ext === '.node';
+                    if (isNativeBuildDir) return ext === '.node';
+                    return true;
+                };
+                copyRecursiveFilteredSkipExisting(src, dest, filterFn);
+                console.log('Packaging: copied autolink resource', src, '->', dest);
+                copied.push(dest);
+            } catch (e) {
+                console.warn('Packaging: failed to copy autolink resource', e && e.message);
+            }
+        }
+    } catch (e) {
+        console.warn('Packaging: failed to apply autolink resources:', e && e.message);
+    }
+    return copied;
+}
+
+// App name/version/bundle id, desktop icons (generated into the workspace)
+// and BrowserWindow options from the evaluated Expo config.
+function resolvePackagingIdentity({ project, appOut }) {
+    const { config, projectRoot } = project;
+    let expo;
+    try {
+        expo = readExpoConfig(projectRoot).expo || {};
+    } catch (e) {
+        throw new ExpoElectronError('E_PROJECT_METADATA', 'Packaging: ' + (e && e.message), { cause: e });
+    }
+    const projectPkg = readJsonIfExists(path.join(projectRoot, 'package.json')) || {};
+    const identity = resolveAppIdentity({ projectRoot, expo, projectPkg });
+    const icons = prepareIcons({ identity, workspaceDir: appOut });
+    const window = resolveWindowOptions({ expo, config, icon: icons && icons.runtimeIcon });
+    return { identity, icons, window };
+}
+
+// Build a minimal, deterministic workspace package.json using ONLY root project values.
+// No implicit defaults: if required fields are missing, fail loudly.
+function createWorkspacePackageJson({ project, identity = null, window = null }) {
+    const { config, projectRoot } = project;
+    // Read project package.json to pull name/version/description
+    const projectPkgPath = path.join(projectRoot, 'package.json');
+    let projectPkg = {};
+    try {
+        if (fs.existsSync(projectPkgPath)) projectPkg = JSON.parse(fs.readFileSync(projectPkgPath, 'utf8'));
+    } catch (e) { /* ignore */ }
+
+    // Read Expo scheme(s) for deep-linking registration from the evaluated
+    // Expo config (app.json or app.config.js/ts).
+    let expoProtocols = [];
+    try {
+        expoProtocols = readExpoProtocols(projectRoot);
+    } catch (e) {
+        throw new ExpoElectronError('E_PROJECT_METADATA', 'Packaging: ' + (e && e.message), { cause: e });
+    }
+    expoProtocols = Array.from(new Set([...(config.protocols || []), ...(expoProtocols || [])]
+        .map((s) => String(s || '').trim())
+        .filter(Boolean)));
+
+    const rootName = typeof projectPkg.name === 'string' ? projectPkg.name.trim() : '';
+    const rootVersion = typeof projectPkg.version === 'string' ? projectPkg.version.trim() : '';
+    const rootDescription = typeof projectPkg.description === 'string' ? projectPkg.description.trim() : '';
+    const rootAuthor = projectPkg.author;
+    for (const [field, value] of [['name', rootName], ['version', rootVersion], ['description', rootDescription], ['author', rootAuthor]]) {
+        if (!value) {
+            throw new ExpoElectronError('E_PROJECT_METADATA', `Packaging: root package.json is missing required field "${field}" at ${projectPkgPath}`);
+        }
+    }
+    const electronFromRoot =
+        ((projectPkg.devDependencies || {}).electron) ||
+        ((projectPkg.dependencies || {}).electron);
+    if (!electronFromRoot) {
+        throw new ExpoElectronError('E_PROJECT_METADATA', [
+            `Packaging: root package.json must declare "electron" in dependencies or devDependencies at ${projectPkgPath}`,
+            'Example: add to devDependencies: { "electron": "39.2.7" }',
+        ].join('\n'));
+    }
+
+    const workspaceDevDependencies = {
+        ...(projectPkg.devDependencies || {}),
+        electron: electronFromRoot,
+    };
+
+    const workPkg = {
+        name: rootName,
+        version: rootVersion,
+        description: rootDescription,
+        author: rootAuthor,
+        // Electron derives app.getName() (and the userData folder) from productName.
+        ...(identity && identity.name ? { productName: identity.name } : {}),
+        // Always point at main/main.js. When bundling is enabled, this file
+        // is overwritten with the bundled output.
+        main: 'main/main.js',
+        devDependencies: workspaceDevDependencies,
+    };
+    // Read by main/main.js (main/config.js, main/deeplinks.js) in production
+    // via app.getAppPath()/package.json.
+    workPkg.expoElectron = { config: getRuntimeConfig(config) };
+    if (window) workPkg.expoElectron.config.window = window;
+    if (expoProtocols.length > 0) {
+        workPkg.expoElectron.protocols = expoProtocols;
+    }
+    return workPkg;
+}
+
+/**
+ * Package (and make) one `{ platform, arch }` target from the prepared
+ * workspace into `out/<platform>-<arch>/`.
+ */
+async function packageTarget({ project, hooks, ctx, target, resources, workPkg, electronVersion, identity, icons, make }) {
+    const appOut = ctx.workspaceDir;
+    const targetCtx = { ...ctx, platform: target.platform, arch: target.arch };
+    console.log(`Packaging: target ${target.id}`);
+    copyAutolinkResources({ project, appOut, resources, target });
+
+    const created = createForgeConfig({ project, make, electronVersion, identity, icons, target });
+    const forgeConfig = await runHook(hooks, 'forgeConfig', created.forgeConfig, targetCtx);
+    const { skipMake } = created;
+    const workPkgPath = path.join(appOut, 'package.json');
+    fs.writeFileSync(workPkgPath, JSON.stringify({ ...workPkg, config: { forge: forgeConfig } }, null, 2), 'utf8');
+    console.log(`Packaging: final Forge config for ${target.id} (${workPkgPath}):`);
+    console.log(JSON.stringify(forgeConfig, null, 2));
+
+    const targetArgs = ['--platform', target.platform, '--arch', target.arch];
+    // Always run `electron-forge package` so packaging hooks and the
+    // packaging step run (this produces the packaged application but
+    // not the final distributables). Only run `electron-forge make`
+    // when makers were explicitly requested.
+    try {
+        console.log(`Packaging: running electron-forge package (${target.id})`);
+        await runCommand(project.bins.electronForge, ['package', ...targetArgs], { cwd: appOut });
+    } catch (e) {
+        throw new ExpoElectronError('E_FORGE', `electron-forge package failed for ${target.id}: ` + (e && e.message), { cause: e, details: { target: target.id } });
+    }
+    // Read the fuse wire back from the packaged binaries so the log shows
+    // what actually shipped, not just what was requested.
+    const outDir = path.resolve(appOut, forgeConfig.outDir || 'out');
+    const executableName = (forgeConfig.packagerConfig && forgeConfig.packagerConfig.executableName) || workPkg.productName || workPkg.name;
+    const fuses = await reportPackagedFuses({ outDir, executableName, forgeConfig });
+
+    const makers = (forgeConfig.makers || []).map((m) => (m && m.name) || m);
+    const runMake = !skipMake && makers.length > 0;
+    if (runMake) {
+        if (target.platform === 'win32' && process.platform !== 'win32' && makers.some((m) => String(m).includes('maker-squirrel'))) {
+            console.warn('Packaging: the Squirrel maker needs wine and mono to build Windows installers on', process.platform);
+        }
+        console.log(`Packaging: running electron-forge make (${target.id})`);
+        try {
+            await runCommand(project.bins.electronForge, ['make', ...targetArgs, '--skip-package'], { cwd: appOut });
+        } catch (e) {
+            // preserve workspace for inspection
+            throw new ExpoElectronError('E_FORGE', `electron-forge make failed for ${target.id}: ` + (e && e.message), { cause: e, details: { target: target.id } });
+        }
+    } else {
+        console.log(`Packaging: skipping electron-forge make (${target.id})`);
+    }
+    // preserve workspace package.json and outputs for inspection
+    const artifactsDir = path.join(outDir, 'make');
+    const artifacts = listFilesRecursive(artifactsDir);
+    if (runMake) {
+        await runHook(hooks, 'afterMake', artifacts, { ...targetCtx, outDir, artifactsDir, makers });
+    }
+    return {
+        id: target.id,
+        platform: target.platform,
+        arch: target.arch,
+        outDir,
+        artifactsDir,
+        makers: runMake ? makers : [],
+        artifacts,
+        forgeConfig,
+        fuses,
+    };
+}
+
+function listFilesRecursive(dir) {
+    const out = [];
+    if (!fs.existsSync(dir)) return out;
+    for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, ent.name);
+        if (ent.isDirectory()) out.push(...listFilesRecursive(full));
+        else if (ent.isFile()) out.push(full);
+    }
+    return out.sort();
+}
+
+/**
+ * Export the web app, assemble a deterministic Forge workspace and run
+ * `electron-forge package` (and `make` when makers are requested).
+ *
+ * Lifecycle hooks come from the project's hook module (`electron/hooks.js`)
+ * unless `options.hooks` is passed; see lib/hooks.js.
+ *
+ * The web export, main/preload bundles and native builds are reused from the
+ * packaging cache when their inputs are unchanged (see lib/cache.js).
+ * `options.cache: false` (CLI `--no-cache`) rebuilds every stage.
+ *
+ * `options.platform` / `options.arch` (lists or comma-separated strings)
+ * package several targets in one run, each into `out/<platform>-<arch>/`;
+ * the default is the host platform and arch.
+ *
+ * @param {{ projectRoot?: string, config?: object, make?: string[]|null, platform?: string|string[]|null, arch?: string|string[]|null, hooks?: import('./hooks').Hooks, cache?: boolean }} [options]
+ * @returns {Promise<{ workspaceDir: string, appDir: string, outDir: string, targets: Array<{ id: string, platform: string, arch: string, outDir: string, artifactsDir: string, makers: string[], artifacts: string[], forgeConfig: object, fuses: object[] }>, makers: string[], artifacts: string[], forgeConfig: object, fuses: object[], cache: Array<{ stage: string, status: string, key: string|null }> }>}
+ */
+async function packageApp(options = {}) {
+    const project = resolveProject(options);
+    const { config, projectRoot } = project;
+    // Load hooks up front so a broken hook module fails before any work.
+    const hooks = options.hooks || loadHooks(project);
+    const hookNames = HOOK_NAMES.filter((n) => typeof hooks[n] === 'function');
+    if (hookNames.length) console.log('Packaging: using hooks', hookNames.join(', '));
+    const useCache = options.cache === undefined ? config.cache : options.cache !== false;
+    const cache = openCache({ projectRoot, noCache: !useCache });
+    if (!useCache) console.log('Packaging: cache disabled, rebuilding every stage');
+    // Validate `platform`/`arch` before any work (see lib/targets.js).
+    const targets = resolveTargets({ platform: options.platform, arch: options.arch });
+    console.log('Packaging: targets', targets.map((t) => t.id).join(', '));
+    // Ensure prebuild exists; if not, run prebuild to create it (deterministic).
+    const target = project.electronDir;
+    // Always run prebuild step so users get warnings if files would be
+    // overwritten. prebuild itself will skip existing files rather than
+    // overwriting them.
+    try {
+        await prebuild({ projectRoot, config });
+    } catch (e) {
+        throw new ExpoElectronError('E_PREBUILD', 'Package: prebuild failed: ' + (e && e.message), { cause: e });
+    }
+    // Ensure native electron modules are built so .node artifacts exist
+    // for autolink resource copying. Their failures keep E_NATIVE_BUILD.
+    // Rebuilt addons are compiled for every arch packaged for this
+    // platform (a macOS universal app needs both slices).
+    const hostArchs = Array.from(new Set(targets
+        .filter((t) => t.platform === process.platform)
+        .flatMap((t) => (t.arch === 'universal' ? ['x64', 'arm64'] : [t.arch]))));
+    try {
+        await buildNativeModules({ projectRoot, config, cache, arch: hostArchs });
+    } catch (e) {
+        if (isExpoElectronError(e)) throw e;
+        throw new ExpoElectronError('E_NATIVE_BUILD', 'Package: native build failed: ' + (e && e.message), { cause: e });
+    }
+    // The Electron ABI picks `abi<N>` prebuilds and validates binaries.
+    const electronVersion = getElectronVersion(projectRoot);
+    const electronAbi = await getElectronAbi(electronVersion);
+    try {
+        linkProject(projectRoot, target, { ...autolinkOptions(config), electronAbi });
+    } catch (e) {
+        if (isExpoElectronError(e)) throw e;
+        throw new ExpoElectronError('E_AUTOLINK', 'Package: autolink failed: ' + (e && e.message), { cause: e });
+    }
+
+    // Fail before the export when a target has no binary for a native module.
+    const resources = readAutolinkResources(project);
+    checkNativeTargets(resources, targets);
+    // ...or when a shipped binary does not match its target or Electron's ABI.
+    checkNativeBinaries({ projectRoot, resources, targets, electronVersion, electronAbi });
+
+    // Ensure binaries
+    requireBinary(project.bins.expo, 'expo', projectRoot);
+    requireBinary(project.bins.electronForge, 'electron-forge', projectRoot);
+
+    // Build web into the project's prebuild `electron/build` folder so
+    // packaging uses the editable prebuilt electron folder but keeps the
+    // static build separate from editable sources.
+    const appOut = path.resolve(target, config.buildDir);
+    if (fs.existsSync(appOut)) {
+        console.log('Removing existing build workspace at', appOut);
+        try {
+            removeDir(appOut);
+        } catch (e) {
+            throw new ExpoElectronError('E_WORKSPACE', [
+                `Failed to remove existing build workspace at ${appOut}: ${e && e.message}`,
+                'Per no-fallback policy this tool will not attempt alternative removal; please remove the folder manually and re-run packaging.',
+            ].join('\n'), { cause: e });
+        }
+    }
+    // recreate empty packaging workspace
+    fs.mkdirSync(appOut, { recursive: true });
+    // Export web into an `app` subdirectory so packaged apps will find
+    // `app/index.html` under the ASAR resources (expected by main.js).
+    const webOut = path.join(appOut, 'app');
+    /** @type {import('./hooks').HookContext} */
+    const ctx = {
+        projectRoot,
+        electronDir: target,
+        workspaceDir: appOut,
+        appDir: webOut,
+        config,
+        make: options.make || null,
+    };
+    await exportWebCached({ project, webOut, cache });
+    postProcessIndexHtml({ config, webOut });
+    await runAfterExportHook({ hooks, ctx });
+
+    // Run electron-forge from a packaging workspace inside the project's
+    // `electron/build` directory so all outputs live under that folder.
+    console.log('Packaging: preparing packaging workspace in', appOut);
+
+    // Copy electron main files into the workspace so packaging is self-contained
+    const projectMain = path.join(target, 'main');
+    const workMain = path.join(appOut, 'main');
+    await prepareWorkspaceMain({ project, projectMain, workMain, hooks, hooksFromOptions: !!options.hooks, ctx, cache });
+    const { identity, icons, window } = resolvePackagingIdentity({ project, appOut });
+
+    // Do not inherit any Forge config from the template package.json.
+    // The CLI controls the Forge configuration for the packaging workspace
+    // to ensure predictable makers and packager settings for every project.
+    const workPkg = createWorkspacePackageJson({ project, identity, window });
+    const outDir = path.join(appOut, 'out');
+    const results = [];
+    for (const t of targets) {
+        results.push(await packageTarget({ project, hooks, ctx, target: t, resources, workPkg, electronVersion, identity, icons, make: options.make }));
+    }
+
+    const cacheSummary = cache.summary();
+    if (cacheSummary.length) {
+        console.log('Packaging: cache summary');
+        console.log(formatCacheSummary(cacheSummary));
+    }
+    for (const r of results) {
+        console.log(`Packaging: complete (${r.id}) — output at:`, r.outDir);
+    }
+    return {
+        workspaceDir: appOut,
+        appDir: webOut,
+        outDir,
+        targets: results,
+        makers: Array.from(new Set([].concat(...results.map((r) => r.makers)))),
+        artifacts: [].concat(...results.map((r) => r.artifacts)),
+        forgeConfig: results[results.length - 1].forgeConfig,
+        fuses: [].concat(...results.map((r) => r.fuses)),
+        cache: cacheSummary,
+    };
+}
+
+module.exports = {
+    DEFAULT_MAKERS,
+    packageApp,
+};
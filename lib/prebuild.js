@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+const { resolveProject } = require('./project');
+const { copyRecursiveSkipExisting } = require('./fs-utils');
+const { ExpoElectronError } = require('./errors');
+const { STAMP_FILE, recordTemplateStamp, diffTemplate, upgradeTemplate, getTemplateVersion, readStamp } = require('./template');
+
+/**
+ * Create/update `electron/` from the bundled template without overwriting
+ * existing files.
+ * @param {{ projectRoot?: string, config?: object }} [options]
+ * @returns {Promise<{ electronDir: string }>}
+ */
+async function prebuild(options = {}) {
+    const project = resolveProject(options);
+    const target = project.electronDir;
+    const srcMain = path.join(project.selfRoot, 'main');
+    const tgtMain = path.join(target, 'main');
+
+    try {
+        if (!fs.existsSync(target)) {
+            console.log('Prebuild: creating', target);
+            fs.mkdirSync(target, { recursive: true });
+        } else {
+            // FALLBACK/PROTECT: target already exists — do not overwrite files.
+            console.log('Prebuild: target already exists at', target, '- will not overwrite existing files.');
+        }
+
+        // Copy template main into target but DO NOT overwrite existing files.
+        if (fs.existsSync(srcMain)) {
+            // Do not copy the template preload into the project's prebuild.
+            // The preload is generated by the autolinker and should not be
+            // overwritten by the template. Skip `preload.js` during copy.
+            copyRecursiveSkipExisting(srcMain, tgtMain, ['preload.js']);
+            // Remember which template version the copied files came from so
+            // `prebuild --upgrade` can three-way merge later template fixes.
+            recordTemplateStamp({ selfRoot: project.selfRoot, electronDir: target });
+        } else {
+            console.warn('Prebuild: template main missing at', srcMain);
+        }
+    } catch (e) {
+        throw new ExpoElectronError('E_PREBUILD', 'Prebuild failed: ' + (e && e.message), { cause: e });
+    }
+    // Add a .gitignore in the prebuild folder to avoid checking in build outputs
+    try {
+        const gi = path.join(target, '.gitignore');
+        if (!fs.existsSync(gi)) {
+            // Exclude build output, the generated preload, main-process
+            // module and handler lists, and autolink resources
+            fs.writeFileSync(gi, 'build\nmain/preload.js\nmain/native-main.js\nmain/native-hosted.js\nmain/project-handlers.js\nelectron-resources.json\n');
+            console.log('Prebuild: wrote', gi);
+        } else {
+            console.log('Prebuild: .gitignore already exists; leaving in place');
+        }
+    } catch (e) {
+        console.error('Prebuild: failed to write .gitignore', e && e.message);
+    }
+    console.log('Prebuild: done. You can now edit the electron files at', target);
+    return { electronDir: target };
+}
+
+/**
+ * Diff project `electron/` files against the current template (read-only).
+ * @param {{ projectRoot?: string, config?: object }} [options]
+ */
+async function prebuildDiff(options = {}) {
+    const project = resolveProject(options);
+    const stamp = readStamp(project.electronDir);
+    return {
+        templateVersion: getTemplateVersion(project.selfRoot),
+        projectVersion: stamp ? stamp.version : null,
+        files: diffTemplate({ selfRoot: project.selfRoot, electronDir: project.electronDir }),
+    };
+}
+
+/**
+ * Three-way merge the current template into the project's `electron/` files.
+ * @param {{ projectRoot?: string, config?: object }} [options]
+ */
+async function prebuildUpgrade(options = {}) {
+    const project = resolveProject(options);
+    if (!fs.existsSync(project.electronDir)) fs.mkdirSync(project.electronDir, { recursive: true });
+    const files = upgradeTemplate({ selfRoot: project.selfRoot, electronDir: project.electronDir });
+    const conflicted = files.filter((r) => r.action === 'conflict' || r.action === 'unresolved');
+    return {
+        stampPath: path.join(project.electronDir, STAMP_FILE),
+        files,
+        conflicts: conflicted.map((r) => r.file),
+    };
+}
+
+module.exports = {
+    prebuild,
+    prebuildDiff,
+    prebuildUpgrade,
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfig, resolveConfig } = require('./config');
+const { ExpoElectronError } = require('./errors');
+const { resolveBin, resolvePackageDir } = require('./resolve');
+
+// Root of the expo-electron package itself (template `main/` lives here).
+const SELF_ROOT = path.resolve(__dirname, '..');
+
+// Determine project root: the nearest package.json at or above the working
+// directory whose `name` differs from this package (expo-electron), else the
+// nearest one above this package (installed under `node_modules` or
+// `sub_modules` during development). Folders inside `node_modules` never
+// count. `--project-root` / `options.projectRoot` skip the search.
+function _findPackageAbove(start, selfName) {
+    let cur = path.resolve(start);
+    for (;;) {
+        const p = path.join(cur, 'package.json');
+        if (!cur.split(path.sep).includes('node_modules') && fs.existsSync(p)) {
+            try {
+                const name = JSON.parse(fs.readFileSync(p, 'utf8')).name;
+                if (name !== selfName) return cur;
+            } catch (e) { /* ignore parse errors */ }
+        }
+        const parent = path.dirname(cur);
+        if (parent === cur) return null;
+        cur = parent;
+    }
+}
+
+/**
+ * @param {string} [cwd] where to start looking (default `process.cwd()`)
+ * @returns {string}
+ */
+function findProjectRoot(cwd = process.cwd()) {
+    const selfPkgPath = path.join(SELF_ROOT, 'package.json');
+    let selfName = null;
+    try { selfName = JSON.parse(fs.readFileSync(selfPkgPath, 'utf8')).name; } catch (e) { /* ignore */ }
+    const found = _findPackageAbove(cwd, selfName) || _findPackageAbove(path.dirname(SELF_ROOT), selfName);
+    if (!found) {
+        throw new ExpoElectronError('E_CONFIG', `Cannot find the project root (a package.json) above ${cwd}. Pass --project-root <dir>.`);
+    }
+    return found;
+}
+
+/**
+ * Resolve the paths and config every API entry point needs.
+ * @param {{ projectRoot?: string, config?: object }} [options]
+ */
+function resolveProject(options = {}) {
+    const projectRoot = path.resolve(options.projectRoot || findProjectRoot());
+    let config;
+    try {
+        // A caller's `config` replaces the project config files but gets the
+        // same validation, defaults and env overrides.
+        config = options.config ? resolveConfig(options.config) : loadConfig(projectRoot);
+    } catch (e) {
+        throw new ExpoElectronError('E_CONFIG', e && e.message, { cause: e });
+    }
+    const binDir = path.join(projectRoot, 'node_modules', '.bin');
+    return {
+        projectRoot,
+        selfRoot: SELF_ROOT,
+        electronDir: path.join(projectRoot, 'electron'),
+        binDir,
+        // Nearest bins Node would find (hoisted to a monorepo root if needed).
+        bins: {
+            expo: resolveBin(projectRoot, 'expo'),
+            electron: resolveBin(projectRoot, 'electron'),
+            electronForge: resolveBin(projectRoot, 'electron-forge'),
+        },
+        config,
+    };
+}
+
+/**
+ * Electron version used by the project: the installed `electron` package if
+ * present, otherwise the version declared in the root package.json (with any
+ * range prefix stripped). Returns null when neither is available.
+ * @returns {string|null}
+ */
+function getElectronVersion(projectRoot) {
+    try {
+        const installed = JSON.parse(fs.readFileSync(path.join(resolvePackageDir(projectRoot, 'electron'), 'package.json'), 'utf8'));
+        if (installed && installed.version) return String(installed.version);
+    } catch (e) { /* not installed */ }
+    try {
+        const pkg = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8'));
+        const declared = (pkg.devDependencies || {}).electron || (pkg.dependencies || {}).electron;
+        const m = /(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(String(declared || ''));
+        if (m) return [m[1], m[2] || '0', m[3] || '0'].join('.');
+    } catch (e) { /* ignore */ }
+    return null;
+}
+
+function requireBinary(file, name, projectRoot) {
+    if (!fs.existsSync(file)) {
+        throw new ExpoElectronError('E_MISSING_BINARY', `Missing ${name} binary. Run \`npm install\` at project root: ${projectRoot}`, { details: { file } });
+    }
+}
+
+module.exports = {
+    SELF_ROOT,
+    findProjectRoot,
+    resolveProject,
+    getElectronVersion,
+    requireBinary,
+};
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { createRequire } = require('module');
+
+const { readJsonIfExists } = require('./fs-utils');
+
+// Dependency resolution for autolink, native builds and tool binaries.
+//
+// Packages are found the way Node finds them from the project root: in the
+// `node_modules` of the project and of every parent folder (hoisted
+// monorepo installs), following symlinks (pnpm's `.pnpm` store, `npm link`).
+// `workspace:`, `file:` and `link:` dependencies that are not installed are
+// looked up in the monorepo's workspace folders or at their path.
+
+/**
+ * `node_modules` folders Node searches from the project root, nearest first.
+ * @param {string} projectRoot
+ * @returns {string[]}
+ */
+function nodeModulesDirs(projectRoot) {
+    const req = createRequire(path.join(projectRoot, 'package.json'));
+    return (req.resolve.paths('x') || []).filter((dir) => path.basename(dir) === 'node_modules');
+}
+
+// Real path of a package folder (symlinks resolved), or null.
+function _packageDir(dir) {
+    try {
+        const real = fs.realpathSync(dir);
+        return fs.existsSync(path.join(real, 'package.json')) ? real : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Folder of an installed package as Node would resolve it from the project
+ * root, with symlinks resolved, or null.
+ * @param {string} projectRoot
+ * @param {string} name
+ * @returns {string|null}
+ */
+function resolvePackageDir(projectRoot, name) {
+    for (const dir of nodeModulesDirs(projectRoot)) {
+        const found = _packageDir(path.join(dir, name));
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Path of a tool binary (`node_modules/.bin/<name>`): the nearest one Node
+ * would find from the project root, else the project's own `.bin` path.
+ */
+function resolveBin(projectRoot, name) {
+    const file = process.platform === 'win32' ? `${name}.cmd` : name;
+    for (const dir of nodeModulesDirs(projectRoot)) {
+        const candidate = path.join(dir, '.bin', file);
+        if (fs.existsSync(candidate)) return candidate;
+    }
+    return path.join(projectRoot, 'node_modules', '.bin', file);
+}
+
+// `packages:` list of a pnpm-workspace.yaml (the only key read here).
+function _pnpmWorkspacePatterns(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        return null;
+    }
+    const patterns = [];
+    let inPackages = false;
+    for (const line of text.split(/\r?\n/)) {
+        if (/^packages\s*:/.test(line)) {
+            inPackages = true;
+            continue;
+        }
+        if (!inPackages) continue;
+        const m = /^\s+-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/.exec(line);
+        if (m) patterns.push(m[1]);
+        else if (/^\S/.test(line)) inPackages = false;
+    }
+    return patterns;
+}
+
+function _workspacePatterns(dir) {
+    const pnpm = _pnpmWorkspacePatterns(path.join(dir, 'pnpm-workspace.yaml'));
+    if (pnpm) return pnpm;
+    const pkg = readJsonIfExists(path.join(dir, 'package.json'));
+    if (!pkg || !pkg.workspaces) return null;
+    const list = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces.packages;
+    return Array.isArray(list) ? list : null;
+}
+
+/**
+ * Nearest folder at or above `projectRoot` that declares workspaces
+ * (`pnpm-workspace.yaml` or package.json `workspaces`), or null.
+ */
+function findWorkspaceRoot(projectRoot) {
+    let cur = path.resolve(projectRoot);
+    for (;;) {
+        if (_workspacePatterns(cur)) return cur;
+        const parent = path.dirname(cur);
+        if (parent === cur) return null;
+        cur = parent;
+    }
+}
+
+function _subdirs(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter((e) => (e.isDirectory() || e.isSymbolicLink()) && e.name !== 'node_modules' && !e.name.startsWith('.'))
+            .map((e) => path.join(dir, e.name));
+    } catch (e) {
+        return [];
+    }
+}
+
+// Expand a workspace glob (`packages/*`, `apps/**`, `tools/cli`) into folders.
+function _expandPattern(root, pattern) {
+    const parts = pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+    let dirs = [root];
+    for (const part of parts) {
+        const next = [];
+        for (const dir of dirs) {
+            if (part === '**') {
+                // Any depth (bounded); `**` also matches zero folders.
+                const stack = [{ dir, depth: 0 }];
+                while (stack.length) {
+                    const cur = stack.pop();
+                    next.push(cur.dir);
+                    if (cur.depth < 5) for (const sub of _subdirs(cur.dir)) stack.push({ dir: sub, depth: cur.depth + 1 });
+                }
+            } else if (part.includes('*')) {
+                const re = new RegExp('^' + part.split('*').map((s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+                for (const sub of _subdirs(dir)) if (re.test(path.basename(sub))) next.push(sub);
+            } else {
+                next.push(path.join(dir, part));
+            }
+        }
+        dirs = next;
+    }
+    return dirs;
+}
+
+/**
+ * Packages of a monorepo workspace: `[{ name, dir }]` (real paths).
+ * @param {string} workspaceRoot
+ */
+function listWorkspacePackages(workspaceRoot) {
+    const patterns = _workspacePatterns(workspaceRoot) || [];
+    const excluded = new Set();
+    for (const p of patterns.filter((x) => x.startsWith('!'))) {
+        for (const dir of _expandPattern(workspaceRoot, p.slice(1))) excluded.add(path.resolve(dir));
+    }
+    const seen = new Set();
+    const packages = [];
+    for (const p of patterns.filter((x) => !x.startsWith('!'))) {
+        for (const dir of _expandPattern(workspaceRoot, p)) {
+            if (excluded.has(path.resolve(dir))) continue;
+            const real = _packageDir(dir);
+            if (!real || seen.has(real)) continue;
+            seen.add(real);
+            const pkg = readJsonIfExists(path.join(real, 'package.json'));
+            if (pkg && pkg.name) packages.push({ name: pkg.name, dir: real });
+        }
+    }
+    return packages;
+}
+
+/**
+ * Resolve a declared dependency to its package folder.
+ *
+ * Tries Node's `node_modules` lookup first, then `workspace:` specs
+ * (`workspace:*`, `workspace:^1.0.0`, `workspace:alias@*`, `workspace:../pkg`)
+ * against the monorepo's workspace packages, then `file:`/`link:` paths.
+ * @param {string} projectRoot
+ * @param {string} name dependency key in package.json
+ * @param {string} [spec] its version spec
+ * @param {{ workspacePackages?: Array<{ name: string, dir: string }>|null }} [cache] reused across calls
+ * @returns {{ root: string, via: 'node_modules'|'workspace'|'path' }|null}
+ */
+function resolveDependency(projectRoot, name, spec = '', cache = {}) {
+    const installed = resolvePackageDir(projectRoot, name);
+    if (installed) return { root: installed, via: 'node_modules' };
+
+    const value = String(spec || '');
+    if (value.startsWith('workspace:')) {
+        const target = value.slice('workspace:'.length);
+        if (target.startsWith('.') || target.startsWith('/')) {
+            const dir = _packageDir(path.resolve(projectRoot, target));
+            return dir ? { root: dir, via: 'workspace' } : null;
+        }
+        // `workspace:alias@range` points at another workspace package name.
+        const at = target.lastIndexOf('@');
+        const wanted = at > 0 ? target.slice(0, at) : name;
+        if (cache.workspacePackages === undefined) {
+            const wsRoot = findWorkspaceRoot(projectRoot);
+            cache.workspacePackages = wsRoot ? listWorkspacePackages(wsRoot) : null;
+        }
+        const match = (cache.workspacePackages || []).find((p) => p.name === wanted);
+        return match ? { root: match.dir, via: 'workspace' } : null;
+    }
+    const m = /^(file|link):(.+)$/.exec(value);
+    if (m) {
+        const dir = _packageDir(path.resolve(projectRoot, m[2]));
+        return dir ? { root: dir, via: 'path' } : null;
+    }
+    return null;
+}
+
+module.exports = {
+    nodeModulesDirs,
+    resolvePackageDir,
+    resolveBin,
+    findWorkspaceRoot,
+    listWorkspacePackages,
+    resolveDependency,
+};
@@ -0,0 +1,283 @@
+const { spawn, spawnSync } = require('child_process');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const { resolveProject, requireBinary, getElectronVersion } = require('./project');
+const { getRuntimeConfig } = require('./config');
+const { readExpoProtocols, setupLinuxTempDesktopProtocolHandlers } = require('./linux-dev-deeplinks');
+const { readExpoConfig } = require('./expo-config');
+const { resolveAppIdentity, resolveWindowOptions } = require('./app-identity');
+const { prebuild } = require('./prebuild');
+const { buildNativeModules } = require('./native-build');
+const { getElectronAbi } = require('./native-rebuild');
+const { resolvePackageDir } = require('./resolve');
+const { linkProject, autolinkOptions } = require('./autolink');
+const { ExpoElectronError } = require('./errors');
+
+const DEFAULT_DEV_URL = 'http://localhost:8081';
+const POLL_INTERVAL = 500;
+const TIMEOUT_MS = 120000;
+
+function waitForUrl(url, timeoutMs = TIMEOUT_MS) {
+    const start = Date.now();
+    return new Promise((resolve, reject) => {
+        (function poll() {
+            const req = http.get(url, (res) => {
+                res.resume();
+                resolve(url);
+            });
+            req.on('error', () => {
+                if (Date.now() - start > timeoutMs) {
+                    reject(new Error('timeout waiting for ' + url));
+                } else {
+                    setTimeout(poll, POLL_INTERVAL);
+                }
+            });
+            req.setTimeout(2000, () => req.abort());
+        })();
+    });
+}
+
+function getExpoSpawnInfo(project) {
+    // On Windows, spawning `expo.cmd` uses a shell wrapper which can make
+    // signal propagation and process-tree cleanup unreliable. Prefer running
+    // Expo via Node directly when possible.
+    const expoDir = resolvePackageDir(project.projectRoot, 'expo');
+    const expoNodeCli = path.join(expoDir || path.join(project.projectRoot, 'node_modules', 'expo'), 'bin', 'cli');
+    if (process.platform === 'win32' && fs.existsSync(expoNodeCli)) {
+        return {
+            cmd: process.execPath,
+            argsPrefix: [expoNodeCli],
+            shell: false,
+            display: `${process.execPath} ${expoNodeCli}`,
+        };
+    }
+    return {
+        cmd: project.bins.expo,
+        argsPrefix: [],
+        shell: process.platform === 'win32' ? true : false,
+        display: project.bins.expo,
+    };
+}
+
+function getDevProtocols(project) {
+    let fromExpo = [];
+    try {
+        fromExpo = readExpoProtocols(project.projectRoot);
+    } catch (e) {
+        console.warn('Deep links:', e && e.message);
+    }
+    return Array.from(new Set([...(project.config.protocols || []), ...fromExpo]
+        .map((s) => String(s || '').trim())
+        .filter(Boolean)));
+}
+
+function spawnExpoWeb(project) {
+    // Build env without CI so Metro hot-reload remains enabled
+    const env = Object.assign({}, process.env);
+    delete env.CI;
+    env.BROWSER = 'none';
+
+    const expo = getExpoSpawnInfo(project);
+    requireBinary(expo.cmd, 'expo', project.projectRoot);
+    console.log('Starting Expo (web) via', expo.display, 'start --web');
+    /** @type {import('child_process').SpawnOptions} */
+    const expoSpawnOpts = { stdio: 'inherit', env, cwd: project.projectRoot, shell: expo.shell };
+    const child = spawn(expo.cmd, [...expo.argsPrefix, 'start', '--web'], expoSpawnOpts);
+    child.on('error', (err) => console.error('Expo process error:', err && err.message));
+    return child;
+}
+
+// Runtime config for development; packaged builds embed the same shape in
+// the workspace package.json.
+function getDevRuntimeConfig(project) {
+    const runtime = getRuntimeConfig(project.config);
+    let expo = {};
+    try {
+        expo = readExpoConfig(project.projectRoot).expo || {};
+    } catch (e) {
+        console.warn('App identity:', e && e.message);
+    }
+    const identity = resolveAppIdentity({ projectRoot: project.projectRoot, expo });
+    runtime.window = resolveWindowOptions({ expo, config: project.config, icon: identity.icon });
+    return runtime;
+}
+
+function spawnElectron(project, cwd, devUrl, protocols) {
+    console.log('Launching Electron in', cwd);
+    const preloadPath = path.join(cwd, 'main', 'preload.js');
+
+    const env = Object.assign({}, process.env, {
+        EXPO_WEB_URL: devUrl,
+        EXPO_PRELOAD_PATH: preloadPath,
+        NODE_ENV: 'development',
+        // Used by main/main.js to register scheme handlers and to filter argv.
+        EXPO_ELECTRON_PROTOCOLS: protocols.length ? protocols.join(',') : process.env.EXPO_ELECTRON_PROTOCOLS,
+        // Read by main/config.js (packaged builds embed it in package.json instead).
+        EXPO_ELECTRON_RUNTIME_CONFIG: JSON.stringify(getDevRuntimeConfig(project)),
+    });
+    const electronEntry = path.join(cwd, 'main', 'main.js');
+    const electronCmd = project.bins.electron;
+    requireBinary(electronCmd, 'electron', project.projectRoot);
+    console.log('Starting Electron via', electronCmd, electronEntry);
+    // Give Electron an ignored stdin so it does not steal terminal input from
+    // the Expo process. Keep stdout/stderr inherited so logs still appear.
+    /** @type {import('child_process').SpawnOptions} */
+    const electronSpawnOpts = { stdio: ['ignore', 'inherit', 'inherit'], cwd, env };
+    if (electronSpawnOpts.shell === undefined && process.platform === 'win32') electronSpawnOpts.shell = true;
+    const child = spawn(electronCmd, [electronEntry, '--no-sandbox'], electronSpawnOpts);
+    child.on('error', (err) => console.error('Electron process error:', err && err.message));
+    return child;
+}
+
+// Ask a child process to stop (the whole process tree on Windows).
+function sendSigint(p, opts = {}) {
+    if (!p || !p.pid) return;
+    try {
+        if (process.platform === 'win32') {
+            // Windows: SIGINT often doesn't propagate, and with `shell:true`
+            // the PID may be a wrapper. Kill the process tree synchronously.
+            try { process.kill(p.pid, 'SIGINT'); } catch (e) { }
+
+            try {
+                const r1 = spawnSync('taskkill', ['/PID', String(p.pid), '/T', '/F'], { windowsHide: true });
+                if (r1.error) console.warn('taskkill /PID failed:', r1.error && r1.error.message);
+            } catch (e) {
+                console.warn('taskkill /PID threw:', e && e.message);
+            }
+
+            // Backup: kill any remaining Electron processes (ONLY when we're
+            // explicitly trying to stop Electron, not when stopping Expo).
+            if (opts && opts.kind === 'electron') {
+                try {
+                    const r2 = spawnSync('taskkill', ['/IM', 'electron.exe', '/T', '/F'], { windowsHide: true });
+                    if (r2.error) console.warn('taskkill /IM electron.exe failed:', r2.error && r2.error.message);
+                } catch (e) {
+                    console.warn('taskkill /IM threw:', e && e.message);
+                }
+            }
+        } else {
+            p.kill('SIGINT');
+        }
+    } catch (e) { }
+}
+
+/**
+ * Run `expo start --web`, wait for the dev server, then launch Electron.
+ *
+ * Resolves once both processes are running. The returned handle exposes the
+ * child processes, `stop()` to shut both down, and `exited`, a promise that
+ * resolves with the exit code once both are gone.
+ *
+ * @param {{ projectRoot?: string, config?: object, devUrl?: string }} [options]
+ * @returns {Promise<{ expoProcess: import('child_process').ChildProcess, electronProcess: import('child_process').ChildProcess, stop: () => void, exited: Promise<number> }>}
+ */
+async function start(options = {}) {
+    const project = resolveProject(options);
+    const { projectRoot } = project;
+    const devUrl = options.devUrl || process.env.EXPO_WEB_URL || DEFAULT_DEV_URL;
+
+    // Ensure prebuild exists and generate autolink files into it
+    await prebuild({ projectRoot, config: project.config });
+    // Build native electron modules (per-module `npm run build`) before autolink
+    // so compiled .node artifacts exist for preload + packaging resources.
+    await buildNativeModules({ projectRoot, config: project.config });
+    try {
+        const electronAbi = await getElectronAbi(getElectronVersion(projectRoot));
+        linkProject(projectRoot, project.electronDir, { ...autolinkOptions(project.config), electronAbi });
+    } catch (e) {
+        throw new ExpoElectronError('E_AUTOLINK', 'Startup: autolink failed: ' + (e && e.message), { cause: e });
+    }
+
+    // Start Expo web dev server
+    const expoProc = spawnExpoWeb(project);
+    try {
+        await waitForUrl(devUrl);
+    } catch (e) {
+        sendSigint(expoProc, { kind: 'expo' });
+        throw new ExpoElectronError('E_DEV_SERVER', `Startup: the Expo dev server did not answer at ${devUrl}: ${e && e.message}`, { cause: e });
+    }
+
+    const cwd = fs.existsSync(project.electronDir) ? project.electronDir : project.selfRoot;
+    console.log('Using Electron working directory:', cwd);
+
+    // Linux dev helper: temporarily register x-scheme-handler defaults via a
+    // generated .desktop file, and remove/restore defaults when dev stops.
+    const protocols = getDevProtocols(project);
+    const electronEntry = path.join(cwd, 'main', 'main.js');
+    const linuxTempDesktop = setupLinuxTempDesktopProtocolHandlers({
+        projectRoot,
+        electronCmd: project.bins.electron,
+        electronEntry,
+        electronCwd: cwd,
+        protocols,
+        enabled: project.config.linuxTempDesktop,
+    });
+
+    const electronProc = spawnElectron(project, cwd, devUrl, protocols);
+
+    // Centralized shutdown handling
+    let isShuttingDown = false;
+    let finalized = false;
+    let livenessInterval = null;
+    let resolveExited;
+    const exited = new Promise((resolve) => { resolveExited = resolve; });
+
+    function alive(p) {
+        if (!p || !p.pid) return false;
+        try { process.kill(p.pid, 0); return true; } catch (e) { return false; }
+    }
+
+    function bothGone() {
+        return !alive(expoProc) && !alive(electronProc);
+    }
+
+    function finalizeExit(code) {
+        if (finalized) return;
+        finalized = true;
+        if (livenessInterval) { clearInterval(livenessInterval); livenessInterval = null; }
+        try { linuxTempDesktop.cleanup(); } catch (e) { }
+        resolveExited(typeof code === 'number' ? code : 0);
+    }
+
+    function initiateShutdown(code) {
+        if (isShuttingDown) return;
+        isShuttingDown = true;
+        sendSigint(expoProc, { kind: 'expo' });
+        sendSigint(electronProc, { kind: 'electron' });
+        if (bothGone()) return finalizeExit(code);
+        // fall through and wait for exit events or liveness poll
+    }
+
+    // Handle expo exit: if electron still running, signal it; finalize when both gone
+    expoProc.on('exit', (code) => {
+        console.log('Expo exited', code);
+        if (!isShuttingDown) initiateShutdown(code);
+        if (bothGone()) finalizeExit(code);
+    });
+
+    // Handle electron exit: if expo still running, signal it; finalize when both gone
+    electronProc.on('exit', (code) => {
+        console.log('Electron exited', code);
+        if (!isShuttingDown) initiateShutdown(code);
+        if (bothGone()) finalizeExit(code);
+    });
+
+    // Periodic liveness check to cover edge cases where 'exit' isn't emitted
+    livenessInterval = setInterval(() => {
+        if (bothGone()) finalizeExit(0);
+    }, 250);
+
+    return {
+        expoProcess: expoProc,
+        electronProcess: electronProc,
+        stop: () => initiateShutdown(0),
+        exited,
+    };
+}
+
+module.exports = {
+    start,
+    waitForUrl,
+};
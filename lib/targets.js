@@ -0,0 +1,108 @@
+const { ExpoElectronError } = require('./errors');
+
+// Package targets (`--platform` / `--arch`).
+//
+// Every target is packaged in turn from the same workspace into
+// `out/<platform>-<arch>/`, with the native resources built for that target.
+
+const PLATFORMS = ['linux', 'win32', 'darwin', 'mas'];
+const ARCHS = ['x64', 'arm64', 'ia32', 'armv7l', 'universal'];
+
+// Architectures Electron ships for each platform.
+const PLATFORM_ARCHS = {
+    linux: ['x64', 'arm64', 'armv7l'],
+    win32: ['x64', 'arm64', 'ia32'],
+    darwin: ['x64', 'arm64', 'universal'],
+    mas: ['x64', 'arm64', 'universal'],
+};
+
+// Platforms Electron Packager can produce from each host. macOS bundles need
+// macOS for signing and symlinks, so they are only built on macOS.
+const HOST_PLATFORMS = {
+    linux: ['linux', 'win32'],
+    win32: ['win32'],
+    darwin: ['darwin', 'mas'],
+};
+
+// Node's name for an arch where it differs from Electron's (prebuildify
+// writes `prebuilds/linux-arm/` for armv7l).
+const NODE_ARCH_ALIASES = { arm: 'armv7l' };
+
+// `<platform>-<arch>` path segment used by prebuilt binaries
+// (for example `prebuilds/linux-arm64/addon.node`).
+const TARGET_SEGMENT = new RegExp(`(?:^|/)(${PLATFORMS.join('|')})-(${ARCHS.concat(Object.keys(NODE_ARCH_ALIASES)).join('|')})(?:/|$)`);
+
+function _list(value) {
+    if (value === undefined || value === null) return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return Array.from(new Set(items.map((s) => String(s).trim()).filter(Boolean)));
+}
+
+/**
+ * Resolve the requested platforms and archs into `{ platform, arch, id }`
+ * targets. Defaults to the host platform and arch.
+ * @param {{ platform?: string|string[]|null, arch?: string|string[]|null, hostPlatform?: string, hostArch?: string }} [options]
+ */
+function resolveTargets({ platform = null, arch = null, hostPlatform = process.platform, hostArch = process.arch } = {}) {
+    const platforms = _list(platform);
+    const archs = _list(arch);
+    if (!platforms.length) platforms.push(hostPlatform);
+    if (!archs.length) archs.push(hostArch);
+
+    const errors = [];
+    const buildable = HOST_PLATFORMS[hostPlatform] || [hostPlatform];
+    for (const p of platforms) {
+        if (!PLATFORMS.includes(p)) errors.push(`unknown platform "${p}" (known: ${PLATFORMS.join(', ')})`);
+        else if (!buildable.includes(p)) errors.push(`cannot package for ${p} on ${hostPlatform} (supported here: ${buildable.join(', ')}); run this target on a ${p} host`);
+    }
+    for (const a of archs) {
+        if (!ARCHS.includes(a)) errors.push(`unknown arch "${a}" (known: ${ARCHS.join(', ')})`);
+    }
+    const targets = [];
+    if (!errors.length) {
+        for (const p of platforms) {
+            for (const a of archs) {
+                if (!PLATFORM_ARCHS[p].includes(a)) {
+                    errors.push(`Electron does not ship ${p}-${a} (${p} archs: ${PLATFORM_ARCHS[p].join(', ')})`);
+                    continue;
+                }
+                targets.push({ platform: p, arch: a, id: `${p}-${a}` });
+            }
+        }
+    }
+    if (errors.length) {
+        throw new ExpoElectronError('E_CONFIG', ['Packaging: invalid targets:', ...errors.map((e) => `  - ${e}`)].join('\n'), { details: { errors } });
+    }
+    return targets;
+}
+
+/**
+ * Platform/arch a native binary was built for, from a `<platform>-<arch>`
+ * path segment, or null when the path does not say.
+ * @param {string} relPath
+ * @returns {{ platform: string, arch: string }|null}
+ */
+function targetFromPath(relPath) {
+    const m = String(relPath || '').replace(/\\/g, '/').match(TARGET_SEGMENT);
+    return m ? { platform: m[1], arch: NODE_ARCH_ALIASES[m[2]] || m[2] } : null;
+}
+
+/**
+ * Whether an autolink resource entry ships with `target`. Entries without
+ * a platform/arch (JS entries, data files) ship with every target.
+ */
+function resourceMatchesTarget(resource, target) {
+    if (resource.platform && resource.platform !== target.platform) return false;
+    if (resource.arch && resource.arch !== target.arch) return false;
+    return true;
+}
+
+module.exports = {
+    PLATFORMS,
+    ARCHS,
+    PLATFORM_ARCHS,
+    HOST_PLATFORMS,
+    resolveTargets,
+    targetFromPath,
+    resourceMatchesTarget,
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { unifiedDiff, merge3 } = require('./diff');
+
+// Tracks which template version each `electron/` file was generated from so
+// `prebuild --upgrade` can three-way merge template fixes into edited files.
+//
+// The stamp lives at `electron/.expo-electron-template.json` and should be
+// committed. For every template file it stores the template version and the
+// exact content that was copied (the merge base):
+//   { version, files: { 'main/main.js': { version, sha256, content } } }
+
+const STAMP_FILE = '.expo-electron-template.json';
+
+// Generated by autolink; never part of the template upgrade flow.
+const SKIP_FILES = ['preload.js'];
+
+function _sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function getTemplateVersion(selfRoot) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(selfRoot, 'package.json'), 'utf8')).version || '0.0.0';
+    } catch (e) {
+        return '0.0.0';
+    }
+}
+
+// Template files keyed by their path relative to the project `electron/` folder.
+function listTemplateFiles(selfRoot) {
+    const srcMain = path.join(selfRoot, 'main');
+    const out = {};
+    function walk(dir) {
+        if (!fs.existsSync(dir)) return;
+        for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+            const full = path.join(dir, ent.name);
+            if (ent.isDirectory()) walk(full);
+            else if (ent.isFile() && !SKIP_FILES.includes(ent.name)) {
+                const rel = path.join('main', path.relative(srcMain, full)).replace(/\\/g, '/');
+                out[rel] = full;
+            }
+        }
+    }
+    walk(srcMain);
+    return out;
+}
+
+function readStamp(electronDir) {
+    const p = path.join(electronDir, STAMP_FILE);
+    try {
+        if (!fs.existsSync(p)) return null;
+        const stamp = JSON.parse(fs.readFileSync(p, 'utf8'));
+        if (!stamp || typeof stamp !== 'object') return null;
+        stamp.files = stamp.files || {};
+        return stamp;
+    } catch (e) {
+        console.warn('Prebuild: ignoring unreadable template stamp at', p + ':', e && e.message);
+        return null;
+    }
+}
+
+function writeStamp(electronDir, stamp) {
+    const files = {};
+    for (const k of Object.keys(stamp.files || {}).sort()) files[k] = stamp.files[k];
+    const out = { version: stamp.version, files };
+    fs.writeFileSync(path.join(electronDir, STAMP_FILE), JSON.stringify(out, null, 2) + '\n', 'utf8');
+}
+
+function _stampEntry(version, content) {
+    return { version, sha256: _sha256(content), content };
+}
+
+/**
+ * Record template files that are present and untouched in the project.
+ * Called after every `prebuild` copy so newly copied files get a merge base.
+ * Files that already existed with different content (projects created before
+ * stamps existed) are left unrecorded; `--upgrade` treats them as having no
+ * known base.
+ */
+function recordTemplateStamp({ selfRoot, electronDir }) {
+    const version = getTemplateVersion(selfRoot);
+    const stamp = readStamp(electronDir) || { version, files: {} };
+    const templateFiles = listTemplateFiles(selfRoot);
+    let changed = !fs.existsSync(path.join(electronDir, STAMP_FILE));
+    for (const rel of Object.keys(templateFiles)) {
+        if (stamp.files[rel]) continue;
+        const projectFile = path.join(electronDir, rel);
+        if (!fs.existsSync(projectFile)) continue;
+        const tpl = fs.readFileSync(templateFiles[rel], 'utf8');
+        if (fs.readFileSync(projectFile, 'utf8') !== tpl) continue;
+        stamp.files[rel] = _stampEntry(version, tpl);
+        changed = true;
+    }
+    if (changed) writeStamp(electronDir, stamp);
+    return stamp;
+}
+
+/**
+ * Unified diffs between project files and the current template.
+ * Returns [{ file, status: 'same'|'modified'|'missing', diff }].
+ */
+function diffTemplate({ selfRoot, electronDir }) {
+    const version = getTemplateVersion(selfRoot);
+    const templateFiles = listTemplateFiles(selfRoot);
+    const results = [];
+    for (const rel of Object.keys(templateFiles).sort()) {
+        const tpl = fs.readFileSync(templateFiles[rel], 'utf8');
+        const projectFile = path.join(electronDir, rel);
+        if (!fs.existsSync(projectFile)) {
+            results.push({ file: rel, status: 'missing', diff: unifiedDiff('', tpl, { fromLabel: '/dev/null', toLabel: `template@${version}/${rel}` }) });
+            continue;
+        }
+        const cur = fs.readFileSync(projectFile, 'utf8');
+        const diff = unifiedDiff(cur, tpl, { fromLabel: `electron/${rel}`, toLabel: `template@${version}/${rel}` });
+        results.push({ file: rel, status: diff ? 'modified' : 'same', diff });
+    }
+    return results;
+}
+
+/**
+ * Three-way merge the current template into the project's `electron/` files.
+ * Conflicts are written with diff3-style markers, never silently resolved.
+ * Returns [{ file, action: 'unchanged'|'added'|'updated'|'kept'|'merged'|'conflict'|'unresolved', conflicts }].
+ */
+function upgradeTemplate({ selfRoot, electronDir }) {
+    const version = getTemplateVersion(selfRoot);
+    const templateFiles = listTemplateFiles(selfRoot);
+    const stamp = readStamp(electronDir) || { version, files: {} };
+    const results = [];
+
+    for (const rel of Object.keys(templateFiles).sort()) {
+        const theirs = fs.readFileSync(templateFiles[rel], 'utf8');
+        const projectFile = path.join(electronDir, rel);
+        const entry = stamp.files[rel];
+        const base = entry && typeof entry.content === 'string' ? entry.content : null;
+
+        if (!fs.existsSync(projectFile)) {
+            fs.mkdirSync(path.dirname(projectFile), { recursive: true });
+            fs.writeFileSync(projectFile, theirs, 'utf8');
+            stamp.files[rel] = _stampEntry(version, theirs);
+            results.push({ file: rel, action: 'added', conflicts: 0 });
+            continue;
+        }
+
+        const ours = fs.readFileSync(projectFile, 'utf8');
+        // Do not stack a second merge on top of unresolved markers.
+        if (/^<<<<<<< /m.test(ours) && /^>>>>>>> /m.test(ours)) {
+            results.push({ file: rel, action: 'unresolved', conflicts: 0 });
+            continue;
+        }
+        let action;
+        let conflicts = 0;
+        if (ours === theirs) {
+            action = 'unchanged';
+        } else if (base !== null && ours === base) {
+            fs.writeFileSync(projectFile, theirs, 'utf8');
+            action = 'updated';
+        } else if (base !== null && theirs === base) {
+            action = 'kept';
+        } else {
+            const merged = merge3(base, ours, theirs, {
+                oursLabel: `electron/${rel}`,
+                baseLabel: base !== null ? `template@${entry.version}` : 'template (unknown base)',
+                theirsLabel: `template@${version}`,
+            });
+            fs.writeFileSync(projectFile, merged.text, 'utf8');
+            conflicts = merged.conflicts;
+            action = conflicts > 0 ? 'conflict' : 'merged';
+        }
+        // The new template becomes the merge base for the next upgrade, even
+        // when conflicts remain for the developer to resolve.
+        stamp.files[rel] = _stampEntry(version, theirs);
+        results.push({ file: rel, action, conflicts });
+    }
+
+    stamp.version = version;
+    writeStamp(electronDir, stamp);
+    return results;
+}
+
+module.exports = {
+    STAMP_FILE,
+    getTemplateVersion,
+    readStamp,
+    recordTemplateStamp,
+    diffTemplate,
+    upgradeTemplate,
+};
@@ -0,0 +1,55 @@
+const path = require('path');
+const fs = require('fs');
+
+// Runtime view of the project config (see `electron.config.js` / `expo.electron`).
+// The CLI embeds it into the packaging workspace package.json under
+// `expoElectron.config`, and passes it via EXPO_ELECTRON_RUNTIME_CONFIG during
+// `expo-electron start`. Environment variables still override it.
+
+function _envBoolean(name) {
+    const raw = String(process.env[name] || '').trim().toLowerCase();
+    if (['1', 'true', 'yes'].includes(raw)) return true;
+    if (['0', 'false', 'no'].includes(raw)) return false;
+    return undefined;
+}
+
+function _readEmbeddedConfig(app) {
+    if (process.env.EXPO_ELECTRON_RUNTIME_CONFIG) {
+        try {
+            return JSON.parse(process.env.EXPO_ELECTRON_RUNTIME_CONFIG) || {};
+        } catch (e) {
+            console.warn('Ignoring malformed EXPO_ELECTRON_RUNTIME_CONFIG:', e && e.message);
+        }
+    }
+    try {
+        const pkgPath = path.join(app.getAppPath(), 'package.json');
+        if (!fs.existsSync(pkgPath)) return {};
+        const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+        return (((pkg || {}).expoElectron || {}).config) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+let _cached = null;
+
+function getRuntimeConfig(app) {
+    if (_cached) return _cached;
+    const cfg = Object.assign({ csp: true, protocols: [], singleInstance: true, window: {}, windowState: true, sandbox: false, nativeHost: 'utility', webviewTag: false, navigation: {} }, _readEmbeddedConfig(app));
+
+    if (_envBoolean('EXPO_ELECTRON_NO_CSP') === true) cfg.csp = false;
+    else if (process.env.EXPO_ELECTRON_CSP) cfg.csp = String(process.env.EXPO_ELECTRON_CSP);
+
+    const noSingle = _envBoolean('EXPO_ELECTRON_NO_SINGLE_INSTANCE');
+    if (noSingle !== undefined) cfg.singleInstance = !noSingle;
+
+    const noWindowState = _envBoolean('EXPO_ELECTRON_NO_WINDOW_STATE');
+    if (noWindowState !== undefined) cfg.windowState = !noWindowState;
+
+    _cached = cfg;
+    return cfg;
+}
+
+module.exports = {
+    getRuntimeConfig,
+};
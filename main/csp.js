@@ -9,7 +9,7 @@ function getDefaultCsp({ isDev }) {
         "font-src 'self' data:",
         "style-src 'self' 'unsafe-inline'",
         // Script inline is disabled by default; if your exported HTML needs it,
-        // set EXPO_ELECTRON_CSP to override.
+        // set `csp` in electron.config.js (or EXPO_ELECTRON_CSP) to override.
         "script-src 'self'",
         "connect-src 'self' https: wss:",
     ].join('; ');
@@ -30,12 +30,14 @@ function getDefaultCsp({ isDev }) {
     return isDev ? DEFAULT_CSP_DEV : DEFAULT_CSP_PROD;
 }
 
-function installCspHeaders({ session }) {
-    const disabled = ['1', 'true', 'yes'].includes(String(process.env.EXPO_ELECTRON_NO_CSP || '').toLowerCase());
-    if (disabled) return;
+function installCspHeaders({ session, config }) {
+    // `config.csp` is `false` (disabled), `true` (default policy) or a policy
+    // string; see main/config.js for how env vars override it.
+    const configured = config ? config.csp : true;
+    if (configured === false) return;
 
     const isDev = process.env.NODE_ENV === 'development';
-    const csp = process.env.EXPO_ELECTRON_CSP || getDefaultCsp({ isDev });
+    const csp = typeof configured === 'string' ? configured : getDefaultCsp({ isDev });
     if (!csp) return;
 
     try {
@@ -1,9 +1,7 @@
 const path = require('path');
 const fs = require('fs');
 
-function _truthyEnv(name) {
-    return ['1', 'true', 'yes'].includes(String(process.env[name] || '').toLowerCase());
-}
+const { APP_SCHEME } = require('./protocol');
 
 function _sanitizeProtocol(raw) {
     if (!raw) return null;
@@ -11,6 +9,10 @@ function _sanitizeProtocol(raw) {
     // Only characters allowed by RFC 3986 scheme production.
     s = s.replace(/[^a-z0-9+.-]/g, '');
     if (!/^[a-z][a-z0-9+.-]*$/.test(s)) return null;
+    if (s === APP_SCHEME) {
+        console.warn(`Deep links: "${s}" is the scheme the packaged app is served from; ignoring it`);
+        return null;
+    }
     return s;
 }
 
@@ -50,6 +52,11 @@ function _readProtocolsFromPackageJson(app) {
     }
 }
 
+// Last-resort fallback for launches that bypass the CLI (e.g. running
+// `electron electron/main/main.js` directly). The CLI resolves schemes from the
+// evaluated Expo config (including app.config.js/ts) and passes them via
+// EXPO_ELECTRON_PROTOCOLS in dev and `expoElectron.protocols` when packaged, so
+// app.json is only read when neither of those (nor the config) lists any.
 function _readProtocolsFromAppJson(app) {
     const candidates = [
         path.join(process.cwd(), 'app.json'),
@@ -66,34 +73,38 @@ function _readProtocolsFromAppJson(app) {
         const scheme = expo.scheme;
         const schemes = expo.schemes;
         if (typeof scheme === 'string' && scheme.trim()) return [scheme.trim()];
+        if (Array.isArray(scheme)) return scheme;
         if (Array.isArray(schemes)) return schemes;
     }
     return [];
 }
 
-function getConfiguredProtocols(app) {
+function getConfiguredProtocols(app, config) {
     const envRaw = process.env.EXPO_ELECTRON_PROTOCOLS || process.env.EXPO_ELECTRON_PROTOCOL;
     const fromEnv = String(envRaw || '')
         .split(',')
         .map((s) => s.trim())
         .filter(Boolean);
 
+    const fromConfig = Array.isArray((config || {}).protocols) ? config.protocols : [];
     const fromPkg = _readProtocolsFromPackageJson(app);
-    const fromApp = _readProtocolsFromAppJson(app);
-
-    const merged = _unique([...fromEnv, ...fromPkg, ...fromApp])
+    const sanitize = (list) => _unique(list)
         .map(_sanitizeProtocol)
         .filter((p) => typeof p === 'string');
 
+    const merged = sanitize([...fromEnv, ...fromConfig, ...fromPkg]);
     if (merged.length > 0) return merged;
 
+    const fromApp = sanitize(_readProtocolsFromAppJson(app));
+    if (fromApp.length > 0) return fromApp;
+
     // Last resort: derive a scheme from the Electron app name.
     const fallback = _sanitizeProtocol(String(app.getName ? app.getName() : 'app'));
     return fallback ? [fallback] : [];
 }
 
-function createDeepLinkBridge({ app }) {
-    const PROTOCOLS = getConfiguredProtocols(app);
+function createDeepLinkBridge({ app, config }) {
+    const PROTOCOLS = getConfiguredProtocols(app, config);
 
     let mainWindow = null;
     let pendingDeepLinkUrl = null;
@@ -170,9 +181,9 @@ function createDeepLinkBridge({ app }) {
     });
 
     // Windows/Linux deep linking via single-instance handoff
-    const disableSingleInstance = _truthyEnv('EXPO_ELECTRON_NO_SINGLE_INSTANCE');
+    const singleInstance = !config || config.singleInstance !== false;
     let gotTheLock = true;
-    if (!disableSingleInstance) {
+    if (singleInstance) {
         gotTheLock = app.requestSingleInstanceLock();
         if (!gotTheLock) {
             app.quit();
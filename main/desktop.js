@@ -9,39 +9,73 @@ function _fileExists(p) {
     try { return !!(p && fs.existsSync(p)); } catch (e) { return false; }
 }
 
-function _sanitizeOpenExternalUrl(url) {
-    if (typeof url !== 'string') return null;
-    const trimmed = url.trim();
-    if (!trimmed) return null;
-    // Only allow a small set of schemes to reduce abuse.
-    if (/^(https?:\/\/|mailto:)/i.test(trimmed)) return trimmed;
-    return null;
-}
-
-function _sanitizeSaveDialogOptions(options) {
-    if (!options || typeof options !== 'object') return {};
-    /** @type {any} */
-    const out = {};
-
-    if (typeof options.title === 'string' && options.title.trim()) out.title = options.title;
-    if (typeof options.buttonLabel === 'string' && options.buttonLabel.trim()) out.buttonLabel = options.buttonLabel;
+// Argument schemas (see main/ipc.js). Dialog options list the fields the
+// renderer may set; anything else is dropped before it reaches Electron.
+const SHORT_TEXT = { type: 'string', optional: true, maxLength: 1024 };
+const PATH_TEXT = { type: 'string', optional: true, maxLength: 4096 };
+const FILE_FILTERS = {
+    type: 'array',
+    optional: true,
+    maxItems: 64,
+    items: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', maxLength: 256 },
+            extensions: { type: 'array', maxItems: 64, items: { type: 'string', maxLength: 32 } },
+        },
+    },
+};
 
-    // `defaultPath` must be a string if provided. Passing undefined/null across IPC
-    // can cause Electron to reject the options object on some platforms.
-    if (typeof options.defaultPath === 'string' && options.defaultPath.trim()) out.defaultPath = options.defaultPath;
+const OPEN_DIALOG_OPTIONS = {
+    type: 'object',
+    optional: true,
+    properties: {
+        title: SHORT_TEXT,
+        defaultPath: PATH_TEXT,
+        buttonLabel: SHORT_TEXT,
+        message: SHORT_TEXT,
+        filters: FILE_FILTERS,
+        properties: {
+            type: 'array',
+            optional: true,
+            items: {
+                type: 'string',
+                enum: ['openFile', 'openDirectory', 'multiSelections', 'showHiddenFiles', 'createDirectory', 'promptToCreate', 'noResolveAliases', 'treatPackageAsDirectory', 'dontAddToRecent'],
+            },
+        },
+    },
+};
 
-    if (typeof options.nameFieldLabel === 'string' && options.nameFieldLabel.trim()) out.nameFieldLabel = options.nameFieldLabel;
-    if (typeof options.message === 'string' && options.message.trim()) out.message = options.message;
-    if (typeof options.filters === 'object' && Array.isArray(options.filters)) out.filters = options.filters;
+const SAVE_DIALOG_OPTIONS = {
+    type: 'object',
+    optional: true,
+    properties: {
+        title: SHORT_TEXT,
+        defaultPath: PATH_TEXT,
+        buttonLabel: SHORT_TEXT,
+        nameFieldLabel: SHORT_TEXT,
+        message: SHORT_TEXT,
+        filters: FILE_FILTERS,
+        showsTagField: { type: 'boolean', optional: true },
+        showOverwriteConfirmation: { type: 'boolean', optional: true },
+    },
+};
 
-    // Common boolean flags
-    if (typeof options.showsTagField === 'boolean') out.showsTagField = options.showsTagField;
-    if (typeof options.showOverwriteConfirmation === 'boolean') out.showOverwriteConfirmation = options.showOverwriteConfirmation;
+const APP_PATH_NAMES = ['userData', 'documents', 'downloads', 'desktop', 'music', 'pictures', 'videos', 'logs', 'temp'];
 
+// Empty strings are dropped like missing fields: passing blank values across
+// IPC can make Electron reject the options object on some platforms.
+function _withoutBlankStrings(options) {
+    const out = {};
+    for (const key of Object.keys(options || {})) {
+        const v = options[key];
+        if (typeof v === 'string' && !v.trim()) continue;
+        out[key] = v;
+    }
     return out;
 }
 
-function createDesktopBridge({ app, ipcMain, nativeTheme, clipboard, dialog, shell, powerMonitor }) {
+function createDesktopBridge({ app, ipc, navigation, windowState, nativeTheme, clipboard, dialog, shell, powerMonitor }) {
     let mainWindow = null;
 
     function setMainWindow(win) {
@@ -76,20 +110,25 @@ function createDesktopBridge({ app, ipcMain, nativeTheme, clipboard, dialog, she
         } catch (e) { }
     }
 
+    // Handlers go through the IPC guard (main/ipc.js): only the main
+    // window's top frame may call them, with arguments matching the schemas.
     function registerIpcHandlers() {
         // Dialogs
-        ipcMain.handle('dialog:open', async (event, options) => {
+        ipc.handle('dialog:open', { args: [OPEN_DIALOG_OPTIONS] }, async (event, options) => {
             try {
-                const res = await dialog.showOpenDialog(mainWindow || null, options || {});
+                const safeOptions = _withoutBlankStrings(options);
+                const res = mainWindow
+                    ? await dialog.showOpenDialog(mainWindow, safeOptions)
+                    : await dialog.showOpenDialog(safeOptions);
                 return res;
             } catch (e) {
                 return { canceled: true, filePaths: [], error: e && e.message };
             }
         });
 
-        ipcMain.handle('dialog:save', async (event, options) => {
+        ipc.handle('dialog:save', { args: [SAVE_DIALOG_OPTIONS] }, async (event, options) => {
             try {
-                const safeOptions = _sanitizeSaveDialogOptions(options);
+                const safeOptions = _withoutBlankStrings(options);
                 const res = mainWindow
                     ? await dialog.showSaveDialog(mainWindow, safeOptions)
                     : await dialog.showSaveDialog(safeOptions);
@@ -100,13 +139,13 @@ function createDesktopBridge({ app, ipcMain, nativeTheme, clipboard, dialog, she
         });
 
         // Clipboard
-        ipcMain.handle('clipboard:readText', async () => {
+        ipc.handle('clipboard:readText', { args: [] }, async () => {
             try { return clipboard.readText(); } catch (e) { return ''; }
         });
 
-        ipcMain.handle('clipboard:writeText', async (event, text) => {
+        ipc.handle('clipboard:writeText', { args: [{ type: 'string', optional: true, maxLength: 10 * 1024 * 1024 }] }, async (event, text) => {
             try {
-                clipboard.writeText(String(text ?? ''));
+                clipboard.writeText(text ?? '');
                 return true;
             } catch (e) {
                 return false;
@@ -114,7 +153,7 @@ function createDesktopBridge({ app, ipcMain, nativeTheme, clipboard, dialog, she
         });
 
         // Theme
-        ipcMain.handle('nativeTheme:get', async () => {
+        ipc.handle('nativeTheme:get', { args: [] }, async () => {
             try {
                 return {
                     shouldUseDarkColors: !!nativeTheme.shouldUseDarkColors,
@@ -125,33 +164,29 @@ function createDesktopBridge({ app, ipcMain, nativeTheme, clipboard, dialog, she
             }
         });
 
-        ipcMain.handle('nativeTheme:setThemeSource', async (event, themeSource) => {
+        ipc.handle('nativeTheme:setThemeSource', { args: [{ type: 'string', optional: true, enum: ['system', 'light', 'dark'] }] }, async (event, themeSource) => {
             try {
-                const v = String(themeSource || 'system');
-                if (!['system', 'light', 'dark'].includes(v)) return false;
-                nativeTheme.themeSource = v;
+                nativeTheme.themeSource = themeSource || 'system';
                 return true;
             } catch (e) {
                 return false;
             }
         });
 
-        // Shell helpers
-        ipcMain.handle('shell:openExternal', async (event, url) => {
+        // Shell helpers. External URLs follow the link policy: only the
+        // `navigation.openExternal` schemes (see main/navigation.js).
+        ipc.handle('shell:openExternal', { args: [{ type: 'string', maxLength: 8192 }] }, async (event, url) => {
             try {
-                const safe = _sanitizeOpenExternalUrl(url);
-                if (!safe) return false;
-                await shell.openExternal(safe);
-                return true;
+                return await navigation.openExternal(url);
             } catch (e) {
                 return false;
             }
         });
 
-        ipcMain.handle('shell:showItemInFolder', async (event, filePath) => {
+        ipc.handle('shell:showItemInFolder', { args: [{ type: 'string', maxLength: 4096 }] }, async (event, filePath) => {
             try {
                 if (!_isFilePathString(filePath)) return false;
-                const resolved = path.resolve(String(filePath));
+                const resolved = path.resolve(filePath);
                 if (!_fileExists(resolved)) return false;
                 shell.showItemInFolder(resolved);
                 return true;
@@ -160,21 +195,21 @@ function createDesktopBridge({ app, ipcMain, nativeTheme, clipboard, dialog, she
             }
         });
 
-        // App paths (useful for logs/data dirs)
-        ipcMain.handle('app:getPath', async (event, name) => {
+        // App paths (useful for logs/data dirs); a conservative subset.
+        ipc.handle('app:getPath', { args: [{ type: 'string', optional: true, enum: APP_PATH_NAMES }] }, async (event, name) => {
             try {
-                const n = String(name || 'userData');
-                // Allow a conservative subset; expand as needed.
-                const allowed = ['userData', 'documents', 'downloads', 'desktop', 'music', 'pictures', 'videos', 'logs', 'temp'];
-                if (!allowed.includes(n)) return null;
-                return app.getPath(n);
+                return app.getPath(name || 'userData');
             } catch (e) {
                 return null;
             }
         });
 
+        // Saved window bounds (see main/window-state.js)
+        ipc.handle('window:getState', { args: [] }, async () => windowState.get());
+        ipc.handle('window:resetState', { args: [] }, async () => windowState.reset());
+
         // Relaunch (useful for quick dev refresh flows)
-        ipcMain.handle('app:relaunch', async () => {
+        ipc.handle('app:relaunch', { args: [] }, async () => {
             try {
                 app.relaunch();
                 app.exit(0);
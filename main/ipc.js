@@ -0,0 +1,165 @@
+// Guarded ipcMain handlers: sender verification and argument schemas.
+//
+// Every handler the template registers goes through `guard.handle(channel,
+// { args }, fn)`. Before `fn` runs, the call must come from the main window's
+// top frame on an allowed origin (the packaged `expo-electron://bundle` origin, or the
+// dev server URL in development), and its arguments must match the declared
+// schemas. A rejected call is not passed on; the renderer gets
+// `{ error: { code, message, channel, details } }` back instead.
+//
+// Schemas are plain objects:
+//
+//   { type: 'string', optional: true, maxLength: 4096, enum: ['a', 'b'] }
+//   { type: 'number', integer: true, min: 0, max: 10 }
+//   { type: 'boolean' }
+//   { type: 'array', items: <schema>, maxItems: 100 }
+//   { type: 'object', properties: { key: <schema>, ... } }
+//   { type: 'any' }
+//
+// Like the dialog option sanitizers before it, object fields that are not
+// declared are dropped, and `null`/`undefined` optional fields are left out.
+// Declared fields of the wrong type reject the call. Arguments past the
+// declared ones are dropped.
+
+const IPC_ERROR_CODES = {
+    sender: 'E_IPC_SENDER',
+    args: 'E_IPC_ARGS',
+};
+
+// `scheme://host` of a URL. WHATWG `URL#origin` is "null" for custom schemes
+// such as expo-electron://, so it is not used here.
+function urlOrigin(url) {
+    const m = /^([a-z][a-z0-9+.-]*:)\/\/([^/?#]*)/i.exec(String(url || ''));
+    return m ? `${m[1]}//${m[2]}`.toLowerCase() : null;
+}
+
+function _typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Check `value` against `schema`; pushes problems and returns the cleaned value.
+function _check(schema, value, at, problems) {
+    if (!schema || schema.type === 'any') return value;
+    const actual = _typeOf(value);
+    const fail = (msg) => {
+        problems.push(`${at} ${msg}`);
+        return undefined;
+    };
+    switch (schema.type) {
+        case 'string':
+            if (actual !== 'string') return fail(`must be a string, got ${actual}`);
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+            if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+            return value;
+        case 'number':
+            if (actual !== 'number' || !Number.isFinite(value)) return fail(`must be a finite number, got ${actual}`);
+            if (schema.integer && !Number.isInteger(value)) return fail('must be an integer');
+            if (schema.min !== undefined && value < schema.min) return fail(`must be >= ${schema.min}`);
+            if (schema.max !== undefined && value > schema.max) return fail(`must be <= ${schema.max}`);
+            return value;
+        case 'boolean':
+            if (actual !== 'boolean') return fail(`must be true or false, got ${actual}`);
+            return value;
+        case 'array': {
+            if (actual !== 'array') return fail(`must be an array, got ${actual}`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+            return value.map((item, i) => _check(schema.items, item, `${at}[${i}]`, problems));
+        }
+        case 'object': {
+            if (actual !== 'object') return fail(`must be an object, got ${actual}`);
+            const out = {};
+            const props = schema.properties || {};
+            for (const key of Object.keys(props)) {
+                const v = value[key];
+                if (v === undefined || v === null) {
+                    if (!props[key].optional) problems.push(`${at}.${key} is required`);
+                    continue;
+                }
+                out[key] = _check(props[key], v, `${at}.${key}`, problems);
+            }
+            return out;
+        }
+        default:
+            return fail(`has an unknown schema type "${schema.type}"`);
+    }
+}
+
+/**
+ * Validate positional IPC arguments against their schemas.
+ * @param {object[]|null} schemas one schema per argument; null skips validation
+ * @param {any[]} args
+ * @returns {{ args: any[], problems: string[] }}
+ */
+function validateArgs(schemas, args) {
+    if (!schemas) return { args, problems: [] };
+    const problems = [];
+    const out = schemas.map((schema, i) => {
+        const value = args[i];
+        if (value === undefined || value === null) {
+            if (!schema.optional) problems.push(`argument ${i + 1} is required`);
+            return undefined;
+        }
+        return _check(schema, value, `argument ${i + 1}`, problems);
+    });
+    return { args: out, problems };
+}
+
+/**
+ * @param {{ ipcMain: object, getMainWindow: () => object|null, origins: string[] }} options
+ *   `origins` are URLs whose `scheme://host` may call the handlers.
+ */
+function createIpcGuard({ ipcMain, getMainWindow, origins }) {
+    const allowed = new Set(origins.filter(Boolean).map(urlOrigin).filter(Boolean));
+
+    /**
+     * Why the sender of `event` may not call guarded handlers, or null when
+     * it may.
+     */
+    function checkSender(event) {
+        const win = getMainWindow();
+        const frame = event && event.senderFrame;
+        if (!win || win.isDestroyed() || event.sender !== win.webContents) return 'sender is not the main window';
+        if (!frame || frame !== event.sender.mainFrame) return 'sender is not the top frame of the main window';
+        const origin = urlOrigin(frame.url);
+        if (!allowed.has(origin)) return `origin ${origin || JSON.stringify(frame.url)} is not allowed`;
+        return null;
+    }
+
+    function _reject(code, channel, message, details) {
+        console.warn(`IPC: rejected ${channel}: ${message}`);
+        return { error: { code, message: `${channel}: ${message}`, channel, details } };
+    }
+
+    /**
+     * `ipcMain.handle(channel)` that runs `fn(event, ...args)` only for the
+     * main window's top frame and with `spec.args` validated.
+     * @param {string} channel
+     * @param {{ args?: object[]|null }} spec
+     * @param {(event: object, ...args: any[]) => any} fn
+     */
+    function handle(channel, spec, fn) {
+        ipcMain.handle(channel, (event, ...args) => {
+            const senderProblem = checkSender(event);
+            if (senderProblem) return _reject(IPC_ERROR_CODES.sender, channel, senderProblem);
+            const checked = validateArgs(spec && spec.args, args);
+            if (checked.problems.length) {
+                return _reject(IPC_ERROR_CODES.args, channel, checked.problems.join('; '), { problems: checked.problems });
+            }
+            return fn(event, ...checked.args);
+        });
+    }
+
+    return {
+        checkSender,
+        handle,
+    };
+}
+
+module.exports = {
+    IPC_ERROR_CODES,
+    urlOrigin,
+    validateArgs,
+    createIpcGuard,
+};
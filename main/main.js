@@ -1,35 +1,93 @@
-const { app, BrowserWindow, ipcMain, session, nativeTheme, clipboard, dialog, shell, powerMonitor } = require('electron');
+const { app, BrowserWindow, ipcMain, protocol, session, nativeTheme, clipboard, dialog, shell, powerMonitor, utilityProcess, screen } = require('electron');
 const path = require('path');
 const fs = require('fs');
 
 const { createDeepLinkBridge } = require('./deeplinks');
 const { installCspHeaders } = require('./csp');
 const { createDesktopBridge } = require('./desktop');
+const { getRuntimeConfig } = require('./config');
+const { APP_ORIGIN, registerAppScheme, createAppProtocol } = require('./protocol');
+const { createIpcGuard } = require('./ipc');
+const { createNavigationPolicy } = require('./navigation');
+const { createWindowState } = require('./window-state');
+const { createNativeModuleHost } = require('./native-modules');
+const { createNativeHost } = require('./native-host');
+// Generated by autolink: main-process modules of linked packages, the
+// modules hosted for a sandboxed preload (empty unless `sandbox` is set) and
+// the project's IPC handlers in handlers/ (the `handlers` config).
+const nativeMainModules = require('./native-main');
+const nativeHostedModules = require('./native-hosted');
+const projectHandlerModules = require('./project-handlers');
 
 let mainWindow;
 const DEV_URL = process.env.EXPO_WEB_URL || 'http://localhost:8081';
 const PROD_INDEX = path.join(__dirname, '..', 'app', 'index.html');
+const appProtocol = createAppProtocol({ protocol, root: path.dirname(PROD_INDEX) });
 
-const deepLinks = createDeepLinkBridge({ app });
-const desktop = createDesktopBridge({ app, ipcMain, nativeTheme, clipboard, dialog, shell, powerMonitor });
+const config = getRuntimeConfig(app);
+// The app itself: the packaged export, or the dev server in development.
+const APP_ORIGINS = [APP_ORIGIN, process.env.NODE_ENV === 'development' ? DEV_URL : null];
+// Only the main window's top frame on an app origin may call the IPC
+// handlers (see main/ipc.js).
+const ipc = createIpcGuard({ ipcMain, getMainWindow: () => mainWindow, origins: APP_ORIGINS });
+// Links, popups, navigation and <webview> attachment (see main/navigation.js).
+const navigation = createNavigationPolicy({ app, shell, BrowserWindow, appOrigins: APP_ORIGINS, config: config.navigation });
+const deepLinks = createDeepLinkBridge({ app, config });
+// Saved bounds of the main window, restored on the next launch.
+const windowState = createWindowState({ app, screen, enabled: config.windowState });
+const desktop = createDesktopBridge({ app, ipc, navigation, windowState, nativeTheme, clipboard, dialog, shell, powerMonitor });
+const nativeModules = createNativeModuleHost({ app, ipcMain, ipc, modules: nativeMainModules });
+const projectHandlers = createNativeModuleHost({ app, ipcMain, ipc, modules: projectHandlerModules, kind: 'IPC handlers', listedIn: 'the "handlers" config' });
+const nativeHost = createNativeHost({
+    app,
+    ipcMain,
+    ipc,
+    utilityProcess,
+    modules: config.sandbox ? nativeHostedModules : [],
+    mode: config.nativeHost,
+    hostScript: path.join(__dirname, 'native-host-process.js'),
+});
 
+navigation.install();
 desktop.registerIpcHandlers();
+// The packaged web export is served from expo-electron://bundle/ (see main/protocol.js);
+// privileged schemes must be registered before `ready`.
+registerAppScheme({ protocol });
+
+// Window size, title, background colour and icon come from the Expo config
+// and the `window` config option (see main/config.js); the size and position
+// the user last left the window at win over them (see main/window-state.js).
+function getWindowOptions() {
+    const options = Object.assign({ width: 480, height: 960 }, config.window || {});
+    if (options.icon) {
+        // Packaged builds store the icon relative to the app root.
+        const iconPath = path.resolve(app.getAppPath(), options.icon);
+        if (fs.existsSync(iconPath)) options.icon = iconPath;
+        else delete options.icon;
+    }
+    return options;
+}
 
 function createWindow() {
     const preloadPath = process.env.EXPO_PRELOAD_PATH ? path.resolve(process.env.EXPO_PRELOAD_PATH) : path.join(__dirname, 'preload.js');
     mainWindow = new BrowserWindow({
-        width: 480,
-        height: 960,
+        ...windowState.windowOptions(getWindowOptions()),
         webPreferences: {
             preload: preloadPath,
-            webviewTag: true,
+            // Opt-in: `<webview>` embeds arbitrary content (config `webviewTag`).
+            webviewTag: !!config.webviewTag,
             contextIsolation: true,
             nodeIntegration: false,
-            sandbox: false
+            // With `sandbox` the generated preload only talks IPC; native
+            // modules run in the native host (main/native-host.js).
+            sandbox: !!config.sandbox,
         },
     });
+    windowState.track(mainWindow);
     deepLinks.setMainWindow(mainWindow);
     desktop.setMainWindow(mainWindow);
+    nativeModules.setMainWindow(mainWindow);
+    projectHandlers.setMainWindow(mainWindow);
 
     // Determine whether a production index exists in the packaged app.
     // If the production index is present we prefer it (packaged apps should
@@ -39,7 +97,8 @@ function createWindow() {
     const hasProdIndex = fs.existsSync(PROD_INDEX);
 
     if (hasProdIndex) {
-        mainWindow.loadFile(PROD_INDEX).catch((err) => {
+        appProtocol.handle();
+        mainWindow.loadURL(appProtocol.url).catch((err) => {
             console.error('Failed to load production index', PROD_INDEX, err);
             app.exit(1);
         });
@@ -59,9 +118,14 @@ let isSquirrelStartup = !!require('electron-squirrel-startup');
 if (isSquirrelStartup) {
     app.quit();
 } else if (deepLinks.gotTheLock) {
-    app.whenReady().then(() => {
+    app.whenReady().then(async () => {
         deepLinks.registerProtocols();
-        installCspHeaders({ session });
+        installCspHeaders({ session, config });
+        // Before the window exists, so module IPC handlers are ready and the
+        // sandboxed preload can list the hosted modules' functions.
+        nativeModules.registerAll();
+        projectHandlers.registerAll();
+        await nativeHost.start();
         createWindow();
         desktop.startEventForwarding();
 
@@ -78,9 +142,14 @@ if (isSquirrelStartup) {
                 console.warn('watcher failed', e && e.message);
             }
         }
+    }).catch((err) => {
+        console.error('Failed to start the app', err);
+        app.exit(1);
     });
 }
 
+app.on('will-quit', () => nativeHost.stop());
+
 app.on('window-all-closed', () => {
     if (process.platform !== 'darwin') app.quit();
 });
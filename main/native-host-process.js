@@ -0,0 +1,39 @@
+// Entry of the utility process that hosts native modules for sandboxed
+// renderers (see native-host.js). Loads every module listed in the generated
+// native-hosted.js, reports the function names each one exports, then
+// answers `{ type: 'call' }` messages from the main process.
+
+const { describeExports, serializeError } = require('./native-host');
+
+// The loaders look for shipped binaries under `process.resourcesPath`.
+if (!process.resourcesPath && process.env.EXPO_ELECTRON_RESOURCES_PATH) {
+    process.resourcesPath = process.env.EXPO_ELECTRON_RESOURCES_PATH;
+}
+
+const hostedModules = require('./native-hosted');
+
+const loaded = {};
+const exportsByName = {};
+for (const mod of hostedModules) {
+    try {
+        loaded[mod.name] = mod.load();
+    } catch (e) {
+        console.error(`Native host: failed to load ${mod.name}:`, e && e.message);
+        loaded[mod.name] = null;
+    }
+    exportsByName[mod.name] = describeExports(loaded[mod.name]);
+}
+
+process.parentPort.on('message', async (event) => {
+    const msg = event && event.data;
+    if (!msg || msg.type !== 'call') return;
+    try {
+        const impl = loaded[msg.name];
+        const value = await impl[msg.method](...msg.args);
+        process.parentPort.postMessage({ type: 'result', id: msg.id, ok: true, value });
+    } catch (e) {
+        process.parentPort.postMessage({ type: 'result', id: msg.id, ok: false, error: serializeError(e) });
+    }
+});
+
+process.parentPort.postMessage({ type: 'ready', exports: exportsByName });
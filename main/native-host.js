@@ -0,0 +1,152 @@
+// Native module host for sandboxed renderers (`sandbox: true`).
+//
+// A sandboxed preload cannot `require()` native addons, so the modules the
+// preload would load (listed in the generated native-hosted.js) run here
+// instead: in an Electron utilityProcess (`nativeHost: 'utility'`, the
+// default, see native-host-process.js) or in the main process
+// (`nativeHost: 'main'`). The generated preload asks once for the function
+// names each module exports and exposes async stubs with the same
+// `ElectronNative[name].method()` shape; every call is forwarded over IPC
+// and only the arguments and the result cross process boundaries.
+
+const DESCRIBE_CHANNEL = 'expo-electron:native:describe';
+const CALL_CHANNEL = 'expo-electron:native:call';
+const READY_TIMEOUT_MS = 10000;
+
+// Function names of a loaded module, or null when it did not load.
+function describeExports(impl) {
+    if (!impl || (typeof impl !== 'object' && typeof impl !== 'function')) return null;
+    return Object.keys(impl).filter((k) => typeof impl[k] === 'function').sort();
+}
+
+// Plain-object form of an error thrown by a hosted module, for postMessage.
+function serializeError(e) {
+    return { name: (e && e.name) || 'Error', message: String((e && e.message) || e), code: e && e.code };
+}
+
+function _toError(info, name, method) {
+    const err = new Error(`${name}.${method}: ${info.message}`);
+    err.name = info.name || 'Error';
+    if (info.code !== undefined) err.code = info.code;
+    return err;
+}
+
+function createNativeHost({ app, ipcMain, ipc, utilityProcess, modules, mode = 'utility', hostScript }) {
+    let exportsByName = {};
+    let callMain = null;
+    let child = null;
+    let stopping = false;
+    let nextId = 1;
+    const pending = new Map();
+
+    function _startInMain() {
+        const loaded = {};
+        for (const mod of modules) {
+            try {
+                loaded[mod.name] = mod.load();
+            } catch (e) {
+                console.error(`Native host: failed to load ${mod.name}:`, e && e.message);
+                loaded[mod.name] = null;
+            }
+            exportsByName[mod.name] = describeExports(loaded[mod.name]);
+        }
+        callMain = async (name, method, args) => loaded[name][method](...args);
+        return Promise.resolve();
+    }
+
+    function _startUtility() {
+        return new Promise((resolve) => {
+            let ready = false;
+            const finish = () => {
+                if (ready) return;
+                ready = true;
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                console.error(`Native host: no answer from the utility process after ${READY_TIMEOUT_MS} ms; native modules are unavailable`);
+                finish();
+            }, READY_TIMEOUT_MS);
+            child = utilityProcess.fork(hostScript, [], {
+                serviceName: `${app.getName()} native modules`,
+                env: Object.assign({}, process.env, { EXPO_ELECTRON_RESOURCES_PATH: process.resourcesPath || '' }),
+            });
+            child.on('message', (msg) => {
+                if (!msg || typeof msg !== 'object') return;
+                if (msg.type === 'ready') {
+                    exportsByName = msg.exports || {};
+                    finish();
+                } else if (msg.type === 'result' && pending.has(msg.id)) {
+                    const call = pending.get(msg.id);
+                    pending.delete(msg.id);
+                    if (msg.ok) call.resolve(msg.value);
+                    else call.reject(_toError(msg.error || {}, call.name, call.method));
+                }
+            });
+            child.on('exit', (code) => {
+                child = null;
+                exportsByName = {};
+                if (!stopping) console.error(`Native host: utility process exited with code ${code}`);
+                for (const call of pending.values()) call.reject(new Error(`${call.name}.${call.method}: the native host exited (code ${code})`));
+                pending.clear();
+                finish();
+            });
+        });
+    }
+
+    function _callUtility(name, method, args) {
+        if (!child) return Promise.reject(new Error(`${name}.${method}: the native host is not running`));
+        const id = nextId++;
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject, name, method });
+            child.postMessage({ type: 'call', id, name, method, args });
+        });
+    }
+
+    function _registerIpcHandlers() {
+        // Answered synchronously: the preload builds its stubs while it runs.
+        // Other senders see no modules (see main/ipc.js).
+        ipcMain.on(DESCRIBE_CHANNEL, (event) => {
+            const problem = ipc.checkSender(event);
+            if (problem) console.warn(`IPC: rejected ${DESCRIBE_CHANNEL}: ${problem}`);
+            event.returnValue = problem ? {} : exportsByName;
+        });
+        const callArgs = [{ type: 'string', maxLength: 214 }, { type: 'string', maxLength: 256 }, { type: 'array', optional: true }];
+        ipc.handle(CALL_CHANNEL, { args: callArgs }, async (event, name, method, args) => {
+            const names = exportsByName[name];
+            if (!names || !names.includes(method)) throw new Error(`${name}.${method} is not a function exported by a hosted native module`);
+            const list = args || [];
+            return mode === 'main' ? callMain(name, method, list) : _callUtility(name, method, list);
+        });
+    }
+
+    /**
+     * Load the hosted modules and register the IPC handlers. Resolves once
+     * the export names are known (or loading failed), so call it before the
+     * window is created.
+     */
+    async function start() {
+        _registerIpcHandlers();
+        if (!modules.length) return;
+        if (mode === 'main') await _startInMain();
+        else await _startUtility();
+    }
+
+    function stop() {
+        stopping = true;
+        if (child) child.kill();
+    }
+
+    return {
+        start,
+        stop,
+    };
+}
+
+module.exports = {
+    DESCRIBE_CHANNEL,
+    CALL_CHANNEL,
+    describeExports,
+    serializeError,
+    createNativeHost,
+};
@@ -0,0 +1,130 @@
+// Main-process entries of autolinked modules (the generated native-main.js)
+// and the project's own IPC handlers (project-handlers.js, files in
+// handlers/ declared by the `handlers` config).
+//
+// A module's `main` file is required once the app is ready, before the window
+// is created, and registered with a context:
+//
+//   module.exports = function register({ name, app, ipcMain, mainWindow, handle, checkSender }) {
+//       handle('getVersion', async () => addon.version(), []);
+//   };
+//
+// `handle(method, fn, args)` answers `ElectronNative[name][method](...args)`
+// from the generated preload over the `<name>:<method>` channel; only the
+// arguments and the result cross IPC. Calls go through the IPC guard
+// (main/ipc.js): `args` are the argument schemas; a handler without them
+// logs a warning, as only its sender is checked. A `main` file may also
+// export an object with `register(ctx)`, or just the functions named in its
+// `methods` list, which are then handled automatically with the schemas in
+// its `schemas` export (`{ method: [schema, ...] }`). `mainWindow` is null
+// until the window exists. `kind` and `listedIn` only word the log messages.
+//
+// `ipcMain` in the context is not Electron's: `ipcMain.handle(channel, fn,
+// args)` and `ipcMain.on(channel, fn)` register the block's raw `ipc`
+// channels behind the same guard (`fn` gets the event first, as usual).
+
+function createNativeModuleHost({ app, ipcMain, ipc, modules, kind = 'main-process module', listedIn = 'its Electron block "methods"' }) {
+    let mainWindow = null;
+
+    function setMainWindow(win) {
+        mainWindow = win;
+    }
+
+    function _register(mod) {
+        const exported = mod.load();
+        const impl = exported && exported.__esModule && exported.default ? exported.default : exported;
+        const declared = mod.methods || [];
+        const channels = mod.ipc || [];
+        const handled = new Set();
+        const handledChannels = new Set();
+
+        function _warnUnchecked(what, args) {
+            if (!args) console.warn(`${mod.name}: ${what} declares no argument schemas; only its sender is checked`);
+        }
+
+        function _checkChannel(channel) {
+            if (!channels.includes(channel)) {
+                console.warn(`${mod.name}: channel "${channel}" is not listed in its Electron block "ipc"; the preload cannot call it`);
+            }
+        }
+
+        // Guarded stand-in for Electron's ipcMain (block `ipc` channels).
+        const guardedIpcMain = {
+            handle(channel, fn, args = null) {
+                if (typeof fn !== 'function') throw new TypeError(`ipcMain.handle('${channel}') needs a function`);
+                _checkChannel(channel);
+                _warnUnchecked(`channel "${channel}"`, args);
+                if (handledChannels.has(channel)) ipcMain.removeHandler(channel);
+                ipc.handle(channel, { args }, fn);
+                handledChannels.add(channel);
+            },
+            removeHandler(channel) {
+                if (handledChannels.delete(channel)) ipcMain.removeHandler(channel);
+            },
+            on(channel, fn) {
+                if (typeof fn !== 'function') throw new TypeError(`ipcMain.on('${channel}') needs a function`);
+                _checkChannel(channel);
+                ipcMain.on(channel, (event, ...values) => {
+                    const problem = ipc.checkSender(event);
+                    if (problem) console.warn(`IPC: rejected ${channel}: ${problem}`);
+                    else fn(event, ...values);
+                });
+            },
+        };
+
+        const ctx = {
+            name: mod.name,
+            app,
+            ipcMain: guardedIpcMain,
+            // Why a sender is refused, or null (see main/ipc.js).
+            checkSender: ipc.checkSender,
+            get mainWindow() {
+                return mainWindow;
+            },
+            handle(method, fn, args = null) {
+                if (typeof fn !== 'function') throw new TypeError(`handle('${method}') needs a function`);
+                if (!declared.includes(method)) {
+                    console.warn(`${mod.name}: method "${method}" is not listed in ${listedIn}; the preload has no wrapper for it`);
+                }
+                _warnUnchecked(`method "${method}"`, args);
+                const channel = `${mod.name}:${method}`;
+                if (handled.has(method)) ipcMain.removeHandler(channel);
+                ipc.handle(channel, { args }, (event, ...values) => fn(...values));
+                handled.add(method);
+            },
+        };
+
+        const register = typeof impl === 'function' ? impl : (impl && typeof impl.register === 'function' ? impl.register.bind(impl) : null);
+        if (register) {
+            const result = register(ctx);
+            if (result && typeof result.then === 'function') {
+                result.catch((e) => console.error(`Failed to register ${kind} ${mod.name}:`, e && e.message));
+            }
+        }
+        for (const method of declared) {
+            if (handled.has(method)) continue;
+            const schemas = impl && impl.schemas && Array.isArray(impl.schemas[method]) ? impl.schemas[method] : null;
+            if (impl && typeof impl[method] === 'function') ctx.handle(method, impl[method].bind(impl), schemas);
+            else console.warn(`${mod.name}: method "${method}" has no handler; calls to it will reject`);
+        }
+    }
+
+    function registerAll() {
+        for (const mod of modules) {
+            try {
+                _register(mod);
+            } catch (e) {
+                console.error(`Failed to load ${kind} ${mod.name}:`, e && e.message);
+            }
+        }
+    }
+
+    return {
+        setMainWindow,
+        registerAll,
+    };
+}
+
+module.exports = {
+    createNativeModuleHost,
+};
@@ -0,0 +1,177 @@
+// Navigation and new-window policy for every webContents of the app.
+//
+// - `window.open` and `target="_blank"` never create Electron windows that
+//   would get the privileged preload. Links to `navigation.allowedOrigins`
+//   open in an unprivileged window (below); other links with an allowed
+//   external scheme open in the system browser / mail client instead.
+// - The main window (which has the privileged preload) may only navigate,
+//   be redirected, or load frames within the app origins: `expo-electron://bundle` and
+//   the dev server in development. Pages on `navigation.allowedOrigins` open
+//   in a separate window without the preload, sandboxed and with context
+//   isolation; frames may also load them. Navigating to any other link opens
+//   it externally instead.
+// - `<webview>` guests (only with `webviewTag: true`) are attached without
+//   the preload, sandboxed and with context isolation; with
+//   `navigation.webviewOrigins` set, only those origins may be attached or
+//   navigated to.
+//
+// `navigation.openExternal` lists the schemes handed to `shell.openExternal`
+// (default: https, http, mailto); `shell:openExternal` uses the same check.
+
+const { urlOrigin } = require('./ipc');
+
+const DEFAULT_EXTERNAL_SCHEMES = ['https:', 'http:', 'mailto:'];
+
+function _scheme(s) {
+    const v = String(s || '').trim().toLowerCase();
+    return v.endsWith(':') ? v : `${v}:`;
+}
+
+/**
+ * The URL if its scheme may be opened externally, else null. http(s) URLs
+ * must have a host.
+ * @param {string} url
+ * @param {string[]} [schemes]
+ * @returns {string|null}
+ */
+function sanitizeExternalUrl(url, schemes = DEFAULT_EXTERNAL_SCHEMES) {
+    if (typeof url !== 'string') return null;
+    const trimmed = url.trim();
+    const m = /^([a-z][a-z0-9+.-]*:)/i.exec(trimmed);
+    if (!m || !schemes.map(_scheme).includes(m[1].toLowerCase())) return null;
+    if (/^https?:$/i.test(m[1]) && !/^https?:\/\/[^/?#\s]+/i.test(trimmed)) return null;
+    return trimmed;
+}
+
+// Frames may stay blank or use `srcdoc`.
+const BLANK_FRAME_URLS = ['about:blank', 'about:srcdoc'];
+
+/**
+ * @param {{ app: object, shell: object, BrowserWindow: Function, appOrigins: string[], config?: { allowedOrigins?: string[], openExternal?: string[], webviewOrigins?: string[] } }} options
+ *   `appOrigins` are URLs of the app itself (see main/main.js); `config` is
+ *   the `navigation` config option.
+ */
+function createNavigationPolicy({ app, shell, BrowserWindow, appOrigins, config = {} }) {
+    const origins = new Set(appOrigins.filter(Boolean).map(urlOrigin).filter(Boolean));
+    const allowedOrigins = new Set((config.allowedOrigins || []).map(urlOrigin).filter(Boolean));
+    const externalSchemes = config.openExternal || DEFAULT_EXTERNAL_SCHEMES;
+    const webviewOrigins = (config.webviewOrigins || []).map(urlOrigin).filter(Boolean);
+    // webContents of the windows opened for `allowedOrigins` pages.
+    const allowedWindows = new WeakSet();
+
+    function isAppUrl(url) {
+        return origins.has(urlOrigin(url));
+    }
+
+    function isAllowedUrl(url) {
+        return allowedOrigins.has(urlOrigin(url));
+    }
+
+    // A window for an `allowedOrigins` page: no preload, sandboxed.
+    function _openAllowed(url) {
+        const win = new BrowserWindow({
+            width: 900,
+            height: 700,
+            autoHideMenuBar: true,
+            webPreferences: { sandbox: true, contextIsolation: true, nodeIntegration: false },
+        });
+        allowedWindows.add(win.webContents);
+        win.loadURL(url).catch((e) => console.warn(`Navigation: failed to load ${url}:`, e && e.message));
+    }
+
+    function _webviewAllowed(url) {
+        if (!/^https?:\/\//i.test(String(url || ''))) return url === 'about:blank';
+        return !webviewOrigins.length || webviewOrigins.includes(urlOrigin(url));
+    }
+
+    /**
+     * Open `url` in the system handler when its scheme is allowed.
+     * @returns {Promise<boolean>} whether it was opened
+     */
+    async function openExternal(url) {
+        const safe = sanitizeExternalUrl(url, externalSchemes);
+        if (!safe) return false;
+        await shell.openExternal(safe);
+        return true;
+    }
+
+    function _openExternalOrLog(url, why) {
+        openExternal(url).then((opened) => {
+            if (!opened) console.warn(`Navigation: blocked ${why} to ${url}`);
+        }).catch((e) => console.warn('Navigation: openExternal failed:', e && e.message));
+    }
+
+    function _guardWindow(contents) {
+        // Checked per event: windows for allowed pages are registered after
+        // their webContents was created.
+        const ownUrl = (url) => (allowedWindows.has(contents) ? isAllowedUrl(url) : isAppUrl(url));
+        contents.on('will-navigate', (event, url) => {
+            if (ownUrl(url)) return;
+            event.preventDefault();
+            if (isAllowedUrl(url)) _openAllowed(url);
+            else _openExternalOrLog(url, 'navigation');
+        });
+        contents.on('will-redirect', (event, url) => {
+            if (ownUrl(url)) return;
+            event.preventDefault();
+            console.warn(`Navigation: blocked redirect to ${url}`);
+        });
+        contents.on('will-frame-navigate', (details) => {
+            const url = details.url;
+            if (details.isMainFrame || BLANK_FRAME_URLS.includes(url) || isAppUrl(url) || isAllowedUrl(url)) return;
+            details.preventDefault();
+            console.warn(`Navigation: blocked frame navigation to ${url}`);
+        });
+        contents.on('will-attach-webview', (event, webPreferences, params) => {
+            delete webPreferences.preload;
+            delete webPreferences.preloadURL;
+            webPreferences.nodeIntegration = false;
+            webPreferences.nodeIntegrationInSubFrames = false;
+            webPreferences.contextIsolation = true;
+            webPreferences.sandbox = true;
+            if (!_webviewAllowed(params.src)) {
+                event.preventDefault();
+                console.warn(`Navigation: blocked <webview> for ${params.src}`);
+            }
+        });
+    }
+
+    function _guardWebview(contents) {
+        const block = (event, url) => {
+            if (_webviewAllowed(url)) return;
+            event.preventDefault();
+            console.warn(`Navigation: blocked <webview> navigation to ${url}`);
+        };
+        contents.on('will-navigate', block);
+        contents.on('will-redirect', block);
+    }
+
+    /**
+     * Apply the policy to every webContents the app creates. Call before the
+     * first window is created.
+     */
+    function install() {
+        app.on('web-contents-created', (event, contents) => {
+            contents.setWindowOpenHandler(({ url }) => {
+                if (isAllowedUrl(url)) _openAllowed(url);
+                else _openExternalOrLog(url, 'new window');
+                return { action: 'deny' };
+            });
+            if (contents.getType() === 'webview') _guardWebview(contents);
+            else _guardWindow(contents);
+        });
+    }
+
+    return {
+        isAppUrl,
+        isAllowedUrl,
+        openExternal,
+        install,
+    };
+}
+
+module.exports = {
+    DEFAULT_EXTERNAL_SCHEMES,
+    sanitizeExternalUrl,
+    createNavigationPolicy,
+};
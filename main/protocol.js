@@ -0,0 +1,155 @@
+const path = require('path');
+const fs = require('fs');
+
+// Serves the packaged web export (`app/` next to `main/`) over a privileged
+// `expo-electron://bundle/` origin instead of file://. A standard, secure scheme gives
+// the renderer a real origin, so root-absolute URLs (`/_expo/...`, CSS
+// `url(/assets/...)`, chunk loaders, fonts) resolve against the export root
+// and expo-router deep routes work with the history API.
+
+// Namespaced so it cannot clash with a project's deep link scheme (those are
+// checked against it, see lib/config.js and main/deeplinks.js).
+const APP_SCHEME = 'expo-electron';
+const APP_HOST = 'bundle';
+const APP_ORIGIN = `${APP_SCHEME}://${APP_HOST}`;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.htm': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.cjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.bmp': 'image/bmp',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.eot': 'application/vnd.ms-fontobject',
+    '.wasm': 'application/wasm',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.pdf': 'application/pdf',
+};
+
+function getMimeType(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Register the `expo-electron://` scheme as standard and secure. Must run before the
+ * app `ready` event.
+ */
+function registerAppScheme({ protocol }) {
+    protocol.registerSchemesAsPrivileged([{
+        scheme: APP_SCHEME,
+        privileges: {
+            standard: true,
+            secure: true,
+            supportFetchAPI: true,
+            corsEnabled: true,
+            stream: true,
+            codeCache: true,
+        },
+    }]);
+}
+
+// fs in Electron reads transparently from app.asar.
+function _isFile(filePath) {
+    try {
+        return fs.statSync(filePath).isFile();
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Map a request pathname to a file under `root`, or null.
+ *
+ * Tries the exact file, then `<path>.html` and `<path>/index.html` (static
+ * expo-router exports). Extension-less paths that match nothing fall back to
+ * `index.html` so client-side routes survive reloads; missing files with an
+ * extension are real 404s.
+ */
+function resolveAppFile(root, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname || '/');
+    } catch (e) {
+        return null;
+    }
+    const target = path.resolve(root, '.' + path.posix.normalize('/' + decoded));
+    if (target !== root && !target.startsWith(root + path.sep)) return null;
+
+    if (_isFile(target)) return target;
+    if (path.extname(target)) return null;
+    for (const candidate of [target + '.html', path.join(target, 'index.html')]) {
+        if (_isFile(candidate)) return candidate;
+    }
+    const index = path.join(root, 'index.html');
+    return _isFile(index) ? index : null;
+}
+
+/**
+ * Create the `expo-electron://` request handler serving files from `root`.
+ * @param {{ protocol: object, root: string }} options
+ */
+function createAppProtocol({ protocol, root }) {
+    const appRoot = path.resolve(root);
+
+    async function handleRequest(request) {
+        const url = new URL(request.url);
+        if (url.host !== APP_HOST) return new Response('Not found', { status: 404 });
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            return new Response('Method not allowed', { status: 405 });
+        }
+        const filePath = resolveAppFile(appRoot, url.pathname);
+        if (!filePath) return new Response('Not found', { status: 404, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+        try {
+            const body = request.method === 'HEAD' ? null : await fs.promises.readFile(filePath);
+            return new Response(body, { status: 200, headers: { 'Content-Type': getMimeType(filePath) } });
+        } catch (e) {
+            console.error('expo-electron:// failed to read', filePath, e && e.message);
+            return new Response('Internal error', { status: 500 });
+        }
+    }
+
+    let handled = false;
+    function handle() {
+        if (handled) return;
+        protocol.handle(APP_SCHEME, handleRequest);
+        handled = true;
+    }
+
+    return {
+        url: `${APP_ORIGIN}/`,
+        handle,
+        handleRequest,
+    };
+}
+
+module.exports = {
+    APP_SCHEME,
+    APP_ORIGIN,
+    MIME_TYPES,
+    getMimeType,
+    registerAppScheme,
+    resolveAppFile,
+    createAppProtocol,
+};
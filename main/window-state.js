@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+
+// Remembers the main window's bounds, maximized/fullscreen state and display
+// across launches, in `<userData>/window-state.json`.
+//
+// The state is written (debounced) when the window moves or resizes, right
+// away when it is maximized, restored or enters/leaves fullscreen, and
+// synchronously on close. Restored bounds are clamped to a connected
+// display: if the saved display is gone, the window keeps its size (shrunk to
+// fit) and is centred on the display nearest to where it was.
+
+const STATE_FILE = 'window-state.json';
+const SAVE_DELAY_MS = 500;
+// How long reset() waits for the window to leave fullscreen or unmaximize.
+const RESET_WAIT_MS = 2000;
+
+function _isNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+}
+
+// Saved state with the expected shape, or null.
+function _parseState(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const { x, y, width, height } = raw;
+    if (![x, y, width, height].every(_isNumber) || width <= 0 || height <= 0) return null;
+    return {
+        x: Math.round(x),
+        y: Math.round(y),
+        width: Math.round(width),
+        height: Math.round(height),
+        isMaximized: raw.isMaximized === true,
+        isFullScreen: raw.isFullScreen === true,
+        displayId: _isNumber(raw.displayId) ? raw.displayId : null,
+    };
+}
+
+function _intersects(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Bounds that fit on a connected display: the saved display if it is still
+ * there, else the display the bounds overlap, else the nearest one (centred).
+ * @param {{ x: number, y: number, width: number, height: number, displayId: number|null }} state
+ * @param {Array<{ id: number, workArea: { x: number, y: number, width: number, height: number } }>} displays
+ * @param {{ id: number, workArea: object }} nearest display to fall back to
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+function clampBounds(state, displays, nearest) {
+    const saved = displays.find((d) => d.id === state.displayId);
+    const display = saved || displays.find((d) => _intersects(d.workArea, state)) || nearest;
+    const area = display.workArea;
+    const width = Math.min(state.width, area.width);
+    const height = Math.min(state.height, area.height);
+    if (!saved && !_intersects(area, state)) {
+        return {
+            x: area.x + Math.round((area.width - width) / 2),
+            y: area.y + Math.round((area.height - height) / 2),
+            width,
+            height,
+        };
+    }
+    return {
+        x: Math.min(Math.max(state.x, area.x), area.x + area.width - width),
+        y: Math.min(Math.max(state.y, area.y), area.y + area.height - height),
+        width,
+        height,
+    };
+}
+
+/**
+ * @param {{ app: object, screen: object, enabled?: boolean }} options
+ *   `enabled` is the `windowState` config option; when false nothing is read
+ *   or saved.
+ */
+function createWindowState({ app, screen, enabled = true }) {
+    const file = path.join(app.getPath('userData'), STATE_FILE);
+    let state = null;
+    let win = null;
+    let timer = null;
+    let defaults = null;
+    // Set while reset() puts the window back; the events it causes are not
+    // saved.
+    let resetting = false;
+    // Bounds reset() left the window at; the move/resize events that report
+    // them can arrive after reset() returned and are not saved either.
+    let resetBounds = null;
+
+    function _read() {
+        try {
+            return _parseState(JSON.parse(fs.readFileSync(file, 'utf8')));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // The window's current state, or null.
+    function _current() {
+        if (!win || win.isDestroyed()) return null;
+        const bounds = win.getNormalBounds();
+        return _parseState({
+            ...bounds,
+            isMaximized: win.isMaximized(),
+            isFullScreen: win.isFullScreen(),
+            displayId: screen.getDisplayMatching(bounds).id,
+        });
+    }
+
+    function _write() {
+        clearTimeout(timer);
+        timer = null;
+        if (!win || win.isDestroyed()) return;
+        state = _current();
+        if (!state) return;
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (e) {
+            console.warn('Window state: cannot save', file, e && e.message);
+        }
+    }
+
+    function _atResetBounds() {
+        if (!resetBounds || !win || win.isDestroyed()) return false;
+        const b = win.getNormalBounds();
+        if (b.x === resetBounds.x && b.y === resetBounds.y && b.width === resetBounds.width && b.height === resetBounds.height) return true;
+        resetBounds = null;
+        return false;
+    }
+
+    function _schedule() {
+        if (resetting || _atResetBounds()) return;
+        clearTimeout(timer);
+        timer = setTimeout(_write, SAVE_DELAY_MS);
+    }
+
+    function _writeNow() {
+        if (resetting) return;
+        _write();
+    }
+
+    /**
+     * BrowserWindow options with the saved bounds applied over `options`
+     * (which also become the defaults for `reset()`).
+     */
+    function windowOptions(options) {
+        defaults = { width: options.width, height: options.height };
+        if (!enabled) return options;
+        state = _read();
+        if (!state) return options;
+        const nearest = screen.getDisplayNearestPoint({ x: state.x, y: state.y });
+        return { ...options, ...clampBounds(state, screen.getAllDisplays(), nearest) };
+    }
+
+    /**
+     * Restore maximized/fullscreen state and start saving changes of `window`.
+     */
+    function track(window) {
+        win = window;
+        if (!enabled) return;
+        if (state && state.isMaximized) win.maximize();
+        if (state && state.isFullScreen) win.setFullScreen(true);
+        win.on('resize', _schedule);
+        win.on('move', _schedule);
+        for (const name of ['maximize', 'unmaximize', 'enter-full-screen', 'leave-full-screen']) win.on(name, _writeNow);
+        win.on('close', _writeNow);
+    }
+
+    /**
+     * The saved state (what the next launch restores), or null. A change
+     * that is still waiting to be saved is included but not written.
+     */
+    function get() {
+        const current = timer ? _current() : state;
+        return current ? { ...current } : null;
+    }
+
+    // Run `change` and continue once the window has emitted `name` (leaving
+    // fullscreen animates on macOS), has closed, or RESET_WAIT_MS passed;
+    // right away when it is not needed.
+    function _after(needed, name, change) {
+        if (!needed) return Promise.resolve();
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(wait);
+                win.removeListener(name, done);
+                win.removeListener('closed', done);
+                resolve();
+            };
+            const wait = setTimeout(done, RESET_WAIT_MS);
+            win.once(name, done);
+            win.once('closed', done);
+            change();
+        });
+    }
+
+    /**
+     * Forget the saved state and put the window back to its default size,
+     * centred. Moves and resizes after that are saved again.
+     * @returns {Promise<boolean>} resolves once the window is back
+     */
+    async function reset() {
+        clearTimeout(timer);
+        timer = null;
+        state = null;
+        resetting = true;
+        resetBounds = null;
+        try {
+            fs.rmSync(file, { force: true });
+        } catch (e) {
+            console.warn('Window state: cannot remove', file, e && e.message);
+        }
+        try {
+            if (win && !win.isDestroyed()) {
+                await _after(win.isFullScreen(), 'leave-full-screen', () => win.setFullScreen(false));
+                await _after(win.isMaximized(), 'unmaximize', () => win.unmaximize());
+                if (!win.isDestroyed()) {
+                    if (defaults && defaults.width && defaults.height) win.setSize(defaults.width, defaults.height);
+                    win.center();
+                    resetBounds = win.getNormalBounds();
+                }
+            }
+        } finally {
+            resetting = false;
+        }
+        return true;
+    }
+
+    return {
+        windowOptions,
+        track,
+        get,
+        reset,
+    };
+}
+
+module.exports = {
+    clampBounds,
+    createWindowState,
+};
@@ -0,0 +1,20 @@
+const assert = require('assert');
+const test = require('node:test');
+
+const { merge3 } = require('../lib/diff');
+
+test('merge3 writes conflict markers with the file\'s CRLF line endings', () => {
+    const base = 'a\r\nb\r\nc\r\n';
+    const ours = 'a\r\nours\r\nc\r\n';
+    const theirs = 'a\r\ntheirs\r\nc\r\n';
+    const { text, conflicts } = merge3(base, ours, theirs);
+    assert.strictEqual(conflicts, 1);
+    assert.strictEqual(text, 'a\r\n<<<<<<< ours\r\nours\r\n||||||| base\r\nb\r\n=======\r\ntheirs\r\n>>>>>>> theirs\r\nc\r\n');
+    assert.ok(!/[^\r]\n/.test(text));
+});
+
+test('merge3 keeps LF conflict markers for LF files', () => {
+    const { text, conflicts } = merge3('a\nb\n', 'a\nx\n', 'a\ny\n');
+    assert.strictEqual(conflicts, 1);
+    assert.strictEqual(text, 'a\n<<<<<<< ours\nx\n||||||| base\nb\n=======\ny\n>>>>>>> theirs\n');
+});